@@ -10,4 +10,8 @@ module.exports = {
   globals: {
     shopify: "readonly"
   },
+  settings: {
+    // Tests run on vitest; the jest rules only need a version to check against
+    jest: { version: 29 },
+  },
 };
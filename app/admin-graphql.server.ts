@@ -0,0 +1,246 @@
+// app/admin-graphql.server.ts
+import { apiVersion } from "./shopify.server";
+import type { ShopAdminConfig } from "./shops.server";
+import { toNumericId, type GraphqlRunner } from "./subscriptions.server";
+
+/**
+ * Admin GraphQL over an offline token, for routes that have no
+ * `authenticate.admin` session (Flow, storefront, webhooks, workers).
+ *
+ * Tracks Shopify's leaky-bucket throttle status per shop from the
+ * `extensions.cost` block, waits before sending when the bucket is low,
+ * and retries THROTTLED / 429 / 5xx responses with backoff.
+ */
+
+export const ADMIN_API_VERSION: string = apiVersion;
+
+const MAX_ATTEMPTS = 5;
+// Don't start a query unless roughly this many points are available
+const MIN_AVAILABLE_POINTS = 100;
+
+type ThrottleState = {
+  maximumAvailable: number;
+  currentlyAvailable: number;
+  restoreRate: number;
+  updatedAt: number;
+  costConsumed: number;
+  requests: number;
+};
+
+const throttleByShop = new Map<string, ThrottleState>();
+
+function sleep(ms: number) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// Bucket level now, assuming it kept refilling since the last response
+function estimateAvailable(state: ThrottleState) {
+  const elapsedSeconds = (Date.now() - state.updatedAt) / 1000;
+  return Math.min(
+    state.maximumAvailable,
+    state.currentlyAvailable + elapsedSeconds * state.restoreRate,
+  );
+}
+
+async function waitForBudget(shopDomain: string, points: number) {
+  const state = throttleByShop.get(shopDomain);
+  if (!state || state.restoreRate <= 0) return;
+
+  const missing = points - estimateAvailable(state);
+  if (missing <= 0) return;
+
+  const waitMs = Math.ceil((missing / state.restoreRate) * 1000);
+  console.log(`Admin GraphQL [${shopDomain}]: bucket low, waiting ${waitMs}ms`);
+  await sleep(waitMs);
+}
+
+function recordCost(shopDomain: string, cost: any) {
+  const status = cost?.throttleStatus;
+  if (!status) return;
+
+  const previous = throttleByShop.get(shopDomain);
+  const actual = Number(cost.actualQueryCost ?? cost.requestedQueryCost ?? 0);
+
+  const state: ThrottleState = {
+    maximumAvailable: Number(status.maximumAvailable),
+    currentlyAvailable: Number(status.currentlyAvailable),
+    restoreRate: Number(status.restoreRate),
+    updatedAt: Date.now(),
+    costConsumed: (previous?.costConsumed ?? 0) + actual,
+    requests: (previous?.requests ?? 0) + 1,
+  };
+  throttleByShop.set(shopDomain, state);
+
+  console.log(
+    `Admin GraphQL [${shopDomain}]: cost ${actual}, total ${state.costConsumed} over ${state.requests} requests, available ${state.currentlyAvailable}/${state.maximumAvailable}`,
+  );
+}
+
+function isThrottled(jsonObj: any) {
+  return (
+    Array.isArray(jsonObj?.errors) &&
+    jsonObj.errors.some((e: any) => e?.extensions?.code === "THROTTLED")
+  );
+}
+
+// How long until the bucket holds enough for the query Shopify just refused
+function throttledWaitMs(jsonObj: any, attempt: number) {
+  const cost = jsonObj?.extensions?.cost;
+  const requested = Number(cost?.requestedQueryCost ?? 0);
+  const available = Number(cost?.throttleStatus?.currentlyAvailable ?? 0);
+  const restoreRate = Number(cost?.throttleStatus?.restoreRate ?? 0);
+
+  if (restoreRate > 0 && requested > available) {
+    return Math.ceil(((requested - available) / restoreRate) * 1000);
+  }
+
+  return 1000 * 2 ** (attempt - 1);
+}
+
+/**
+ * Admin GraphQL call using fetch + offline token.
+ */
+export async function adminGraphql(
+  shopCfg: ShopAdminConfig,
+  query: string,
+  variables: Record<string, any> = {},
+) {
+  const url = `https://${shopCfg.shopDomain}/admin/api/${ADMIN_API_VERSION}/graphql.json`;
+
+  for (let attempt = 1; ; attempt++) {
+    await waitForBudget(shopCfg.shopDomain, MIN_AVAILABLE_POINTS);
+
+    const resp = await fetch(url, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "X-Shopify-Access-Token": shopCfg.adminAccessToken,
+      },
+      body: JSON.stringify({ query, variables }),
+    });
+
+    // 429 / 5xx: retry with Retry-After or exponential backoff
+    if ((resp.status === 429 || resp.status >= 500) && attempt < MAX_ATTEMPTS) {
+      const retryAfter = Number(resp.headers.get("Retry-After"));
+      const waitMs = retryAfter > 0 ? retryAfter * 1000 : 1000 * 2 ** (attempt - 1);
+      console.warn(
+        `Admin GraphQL [${shopCfg.shopDomain}]: HTTP ${resp.status}, retrying in ${waitMs}ms (attempt ${attempt})`,
+      );
+      await sleep(waitMs);
+      continue;
+    }
+
+    let text: string;
+    try {
+      text = await resp.text();
+    } catch (err) {
+      console.error("Admin GraphQL: failed to read response body:", err);
+      throw new Error("fetch failed");
+    }
+
+    let jsonObj: any;
+    try {
+      jsonObj = JSON.parse(text);
+    } catch {
+      console.error("Admin GraphQL response not JSON:", text);
+      throw new Error("Admin GraphQL non-JSON response");
+    }
+
+    if (!resp.ok) {
+      console.error("Admin GraphQL HTTP error", resp.status, JSON.stringify(jsonObj, null, 2));
+      throw new Error(`Admin GraphQL HTTP ${resp.status}: ${JSON.stringify(jsonObj)}`);
+    }
+
+    recordCost(shopCfg.shopDomain, jsonObj?.extensions?.cost);
+
+    if (isThrottled(jsonObj)) {
+      if (attempt >= MAX_ATTEMPTS) {
+        throw new Error(`Admin GraphQL THROTTLED after ${attempt} attempts`);
+      }
+
+      const waitMs = throttledWaitMs(jsonObj, attempt);
+      console.warn(
+        `Admin GraphQL [${shopCfg.shopDomain}]: THROTTLED, retrying in ${waitMs}ms (attempt ${attempt})`,
+      );
+      await sleep(waitMs);
+      continue;
+    }
+
+    if (jsonObj.errors) {
+      console.error("Admin GraphQL errors:", JSON.stringify(jsonObj.errors));
+    }
+
+    return jsonObj;
+  }
+}
+
+/**
+ * Bind a shop so the call fits the GraphqlRunner signature.
+ */
+export function offlineGraphqlRunner(shopCfg: ShopAdminConfig): GraphqlRunner {
+  return (query, variables) => adminGraphql(shopCfg, query, variables ?? {});
+}
+
+/**
+ * Like Promise.all over `items`, but with at most `limit` calls in flight.
+ * Used for per-record Admin lookups so long lists don't drain the bucket at once.
+ */
+export async function mapWithConcurrency<T, R>(
+  items: T[],
+  limit: number,
+  fn: (item: T, index: number) => Promise<R>,
+): Promise<R[]> {
+  const results: R[] = new Array(items.length);
+  let next = 0;
+
+  async function worker() {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  }
+
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+const NODES_CHUNK_SIZE = 50;
+const NODES_CONCURRENCY = 2;
+
+function chunkArray<T>(arr: T[], size: number): T[][] {
+  const chunks: T[][] = [];
+  for (let i = 0; i < arr.length; i += size) chunks.push(arr.slice(i, i + size));
+  return chunks;
+}
+
+/**
+ * `nodes(ids:)` in chunks, returning a map keyed by numeric ID.
+ * `selection` is the fragment to read, e.g. "... on Company { id name }".
+ */
+export async function loadNodes(
+  graphql: GraphqlRunner,
+  gids: string[],
+  selection: string,
+): Promise<Record<string, any>> {
+  const byId: Record<string, any> = {};
+  const chunks = chunkArray(Array.from(new Set(gids)), NODES_CHUNK_SIZE);
+
+  await mapWithConcurrency(chunks, NODES_CONCURRENCY, async (ids) => {
+    const nodesJson = await graphql(
+      `
+        query BackinstockNodes($ids: [ID!]!) {
+          nodes(ids: $ids) {
+            ${selection}
+          }
+        }
+      `,
+      { ids },
+    );
+
+    for (const node of nodesJson?.data?.nodes ?? []) {
+      if (node?.id) byId[toNumericId(node.id)] = node;
+    }
+  });
+
+  return byId;
+}
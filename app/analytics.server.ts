@@ -0,0 +1,346 @@
+// app/analytics.server.ts
+import prisma from "./db.server";
+import { loadNodes } from "./admin-graphql.server";
+import { toNumericId, type GraphqlRunner } from "./subscriptions.server";
+import { waitingDemand } from "./waiting.server";
+
+/**
+ * Demand analytics for the admin Analytics page, from the local Subscription
+ * and VariantInventory tables plus recent orders from the Admin API.
+ *
+ * - Top SKUs: variants with the most companies waiting right now
+ * - Lost sales estimate: waiting units x current price. A subscriber who gave
+ *   no quantity counts as one unit.
+ * - Time to restock: subscription -> notification, for rows notified in the window
+ * - Conversion: notified subscribers who ordered the variant within
+ *   CONVERSION_WINDOW_DAYS of the email
+ * - Weekly trend: new subscriptions and notifications per week
+ */
+
+// Orders older than 60 days need read_all_orders, so the window stops there
+export const ANALYTICS_WINDOWS = [30, 60];
+export const DEFAULT_ANALYTICS_WINDOW = 60;
+
+const TOP_SKU_LIMIT = 20;
+// Waiting variants priced for the lost sales estimate, highest demand first
+const PRICED_VARIANT_LIMIT = 250;
+const CONVERSION_WINDOW_DAYS = 30;
+const ORDERS_PAGE_SIZE = 25;
+const MAX_ORDER_PAGES = 40;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export type TopSku = {
+  variantId: string;
+  productTitle: string;
+  sku: string;
+  waitingCompanies: number;
+  waitingSubscribers: number;
+  requestedUnits: number;
+  outOfStockSince: string | null;
+  unitPrice: number | null;
+  lostSalesEstimate: number | null;
+};
+
+export type WeeklyPoint = {
+  weekStart: string; // YYYY-MM-DD, Monday
+  subscribed: number;
+  notified: number;
+};
+
+function weekStart(date: Date): string {
+  const d = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  // Monday = 0
+  d.setUTCDate(d.getUTCDate() - ((d.getUTCDay() + 6) % 7));
+  return d.toISOString().slice(0, 10);
+}
+
+async function loadTopSkus(graphql: GraphqlRunner, shop: string) {
+  const demand = await waitingDemand(shop);
+  const priced = demand.slice(0, PRICED_VARIANT_LIMIT);
+  const top = demand.slice(0, TOP_SKU_LIMIT);
+
+  const [variants, inventory, shopJson] = await Promise.all([
+    loadNodes(
+      graphql,
+      priced.map((d) => `gid://shopify/ProductVariant/${d.variantId}`),
+      `
+        ... on ProductVariant {
+          id
+          sku
+          price
+          product {
+            title
+          }
+        }
+      `,
+    ),
+    prisma.variantInventory.findMany({
+      where: { shop, variantId: { in: top.map((d) => d.variantId) } },
+      select: { variantId: true, outOfStockSince: true },
+    }),
+    graphql(`
+      query BackinstockShopCurrency {
+        shop {
+          currencyCode
+        }
+      }
+    `),
+  ]);
+
+  const outSince = new Map<string, Date | null>(
+    inventory.map((i: { variantId: string; outOfStockSince: Date | null }) => [
+      i.variantId,
+      i.outOfStockSince,
+    ]),
+  );
+
+  const priceOf = (variantId: string) => {
+    const price = Number.parseFloat(variants[variantId]?.price);
+    return Number.isFinite(price) ? price : null;
+  };
+
+  const lostSalesTotal = priced.reduce((sum, d) => {
+    const price = priceOf(d.variantId);
+    return price === null ? sum : sum + price * d.requestedUnits;
+  }, 0);
+
+  // Variants with no recorded sell-out fall back to the oldest waiting subscriber
+  const topSkus: TopSku[] = top.map((d) => {
+    const variant = variants[d.variantId];
+    const unitPrice = priceOf(d.variantId);
+    const since = outSince.get(d.variantId) ?? d.waitingSince;
+
+    return {
+      variantId: d.variantId,
+      productTitle: variant?.product?.title || `Variant ${d.variantId}`,
+      sku: variant?.sku || "—",
+      waitingCompanies: d.waitingCompanies,
+      waitingSubscribers: d.waitingSubscribers,
+      requestedUnits: d.requestedUnits,
+      outOfStockSince: since ? new Date(since).toISOString() : null,
+      unitPrice,
+      lostSalesEstimate: unitPrice === null ? null : unitPrice * d.requestedUnits,
+    };
+  });
+
+  return {
+    topSkus,
+    lostSales: {
+      total: lostSalesTotal,
+      currencyCode: (shopJson?.data?.shop?.currencyCode as string) ?? "",
+      waitingVariants: demand.length,
+      pricedVariants: priced.length,
+    },
+  };
+}
+
+/**
+ * Orders placed since `since`, reduced to who bought which variants.
+ */
+async function loadRecentOrders(graphql: GraphqlRunner, since: Date) {
+  const orders: {
+    createdAt: number;
+    companyId: string | null;
+    customerId: string | null;
+    email: string | null;
+    variantIds: Set<string>;
+  }[] = [];
+
+  let after: string | null = null;
+  let pages = 0;
+  let truncated = false;
+
+  for (;;) {
+    const ordersJson = await graphql(
+      `
+        query BackinstockRecentOrders($query: String!, $first: Int!, $after: String) {
+          orders(first: $first, after: $after, query: $query, sortKey: CREATED_AT) {
+            nodes {
+              createdAt
+              email
+              customer {
+                id
+              }
+              purchasingEntity {
+                ... on PurchasingCompany {
+                  company {
+                    id
+                  }
+                }
+              }
+              lineItems(first: 30) {
+                nodes {
+                  variant {
+                    id
+                  }
+                }
+              }
+            }
+            pageInfo {
+              hasNextPage
+              endCursor
+            }
+          }
+        }
+      `,
+      { query: `created_at:>='${since.toISOString()}'`, first: ORDERS_PAGE_SIZE, after },
+    );
+
+    const connection = ordersJson?.data?.orders;
+    for (const order of connection?.nodes ?? []) {
+      orders.push({
+        createdAt: new Date(order.createdAt).getTime(),
+        companyId: order.purchasingEntity?.company?.id
+          ? toNumericId(order.purchasingEntity.company.id)
+          : null,
+        customerId: order.customer?.id ? toNumericId(order.customer.id) : null,
+        email: order.email ? String(order.email).toLowerCase() : null,
+        variantIds: new Set(
+          (order.lineItems?.nodes ?? [])
+            .map((li: any) => (li?.variant?.id ? toNumericId(li.variant.id) : ""))
+            .filter(Boolean),
+        ),
+      });
+    }
+
+    pages += 1;
+    if (!connection?.pageInfo?.hasNextPage) break;
+    if (pages >= MAX_ORDER_PAGES) {
+      truncated = true;
+      break;
+    }
+    after = connection.pageInfo.endCursor;
+  }
+
+  return { orders, truncated };
+}
+
+/**
+ * Notified subscribers who ordered the variant they asked for within
+ * CONVERSION_WINDOW_DAYS, counted once per subscriber and variant.
+ */
+async function loadConversion(
+  ordersGraphql: GraphqlRunner,
+  notified: {
+    variantId: string;
+    kind: string;
+    companyId: string | null;
+    customerId: string | null;
+    email: string | null;
+    notifiedAt: Date;
+  }[],
+) {
+  if (notified.length === 0) {
+    return { notified: 0, converted: 0, rate: null, ordersScanned: 0, truncated: false };
+  }
+
+  const firstNotified = new Date(Math.min(...notified.map((n) => n.notifiedAt.getTime())));
+  const { orders, truncated } = await loadRecentOrders(ordersGraphql, firstNotified);
+
+  const pairs = new Map<string, boolean>();
+
+  for (const n of notified) {
+    const subscriber =
+      n.kind === "company"
+        ? `c:${n.companyId}`
+        : n.customerId
+          ? `u:${n.customerId}`
+          : `e:${n.email}`;
+    const key = `${subscriber}:${n.variantId}`;
+    if (pairs.get(key)) continue;
+
+    const from = n.notifiedAt.getTime();
+    const until = from + CONVERSION_WINDOW_DAYS * DAY_MS;
+
+    const ordered = orders.some((o) => {
+      if (o.createdAt < from || o.createdAt > until || !o.variantIds.has(n.variantId)) {
+        return false;
+      }
+      if (n.kind === "company") return o.companyId === n.companyId;
+      if (n.customerId) return o.customerId === n.customerId;
+      return !!n.email && o.email === n.email;
+    });
+
+    pairs.set(key, ordered);
+  }
+
+  const converted = Array.from(pairs.values()).filter(Boolean).length;
+
+  return {
+    notified: pairs.size,
+    converted,
+    rate: converted / pairs.size,
+    ordersScanned: orders.length,
+    truncated,
+  };
+}
+
+export async function loadDemandAnalytics(
+  graphql: GraphqlRunner,
+  ordersGraphql: GraphqlRunner,
+  shop: string,
+  days: number,
+) {
+  const since = new Date(Date.now() - days * DAY_MS);
+
+  const [{ topSkus, lostSales }, created, notified] = await Promise.all([
+    loadTopSkus(graphql, shop),
+    prisma.subscription.findMany({
+      where: { shop, createdAt: { gte: since } },
+      select: { createdAt: true },
+    }),
+    prisma.subscription.findMany({
+      where: { shop, status: "notified", notifiedAt: { gte: since } },
+      select: {
+        variantId: true,
+        kind: true,
+        companyId: true,
+        customerId: true,
+        email: true,
+        createdAt: true,
+        notifiedAt: true,
+      },
+    }),
+  ]);
+
+  const restockDays = notified.map(
+    (n: { createdAt: Date; notifiedAt: Date }) =>
+      (new Date(n.notifiedAt).getTime() - new Date(n.createdAt).getTime()) / DAY_MS,
+  );
+  const avgDaysToRestock =
+    restockDays.length > 0
+      ? restockDays.reduce((sum: number, d: number) => sum + d, 0) / restockDays.length
+      : null;
+
+  // Every week in the window, including empty ones
+  const weeks = new Map<string, WeeklyPoint>();
+  for (let t = Date.parse(weekStart(since)); t <= Date.now(); t += 7 * DAY_MS) {
+    const key = weekStart(new Date(t));
+    weeks.set(key, { weekStart: key, subscribed: 0, notified: 0 });
+  }
+  for (const c of created as { createdAt: Date }[]) {
+    const point = weeks.get(weekStart(new Date(c.createdAt)));
+    if (point) point.subscribed += 1;
+  }
+  for (const n of notified as { notifiedAt: Date }[]) {
+    const point = weeks.get(weekStart(new Date(n.notifiedAt)));
+    if (point) point.notified += 1;
+  }
+
+  const conversion = await loadConversion(
+    ordersGraphql,
+    notified.map((n: any) => ({ ...n, notifiedAt: new Date(n.notifiedAt) })),
+  );
+
+  return {
+    days,
+    topSkus,
+    lostSales,
+    avgDaysToRestock,
+    notifiedCount: notified.length,
+    conversion,
+    conversionWindowDays: CONVERSION_WINDOW_DAYS,
+    weekly: Array.from(weeks.values()),
+  };
+}
@@ -0,0 +1,187 @@
+// app/attribution.server.ts
+import prisma from "./db.server";
+import { signPayload, verifyPayload } from "./signed-links.server";
+import { toNumericId } from "./subscriptions.server";
+
+/**
+ * Restock-to-order attribution.
+ *
+ * Every product link in a notification email carries a signed `bis` parameter
+ * naming the subscriptions it was sent for. The orders/create webhook credits
+ * the revenue of each ordered variant to one subscription of the buyer
+ * (company, customer or email) notified about the variant within the shop's
+ * attribution window before the order:
+ * - link: one the order's landing page carried a valid token for
+ * - window: otherwise the buyer's most recent one
+ *
+ * Revenue is the line price x quantity less line discounts, per variant.
+ */
+
+export const ATTRIBUTION_PARAM = "bis";
+
+export const DEFAULT_ATTRIBUTION_WINDOW_DAYS = 14;
+export const MAX_ATTRIBUTION_WINDOW_DAYS = 90;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+type TrackingPayload = { shop: string; v: string; ids: number[] };
+
+/**
+ * `productUrl` with the variant selected and a signed token for the subscriptions.
+ */
+export function trackedProductUrl(
+  productUrl: string,
+  shop: string,
+  variantId: string,
+  subscriptionIds: number[],
+) {
+  const url = new URL(productUrl);
+  url.searchParams.set("variant", variantId);
+
+  if (subscriptionIds.length > 0) {
+    const payload: TrackingPayload = { shop, v: variantId, ids: subscriptionIds };
+    url.searchParams.set(ATTRIBUTION_PARAM, signPayload(payload));
+  }
+
+  return url.toString();
+}
+
+// landing_site is a path ("/products/x?variant=1&bis=...") or, on some channels, a full URL
+function parseLandingToken(shop: string, landingSite: string | null | undefined) {
+  if (!landingSite) return null;
+
+  let token: string | null;
+  try {
+    token = new URL(landingSite, "https://placeholder.invalid").searchParams.get(ATTRIBUTION_PARAM);
+  } catch {
+    return null;
+  }
+
+  const payload = verifyPayload<TrackingPayload>(token);
+  if (payload?.shop !== shop || !payload.v || !Array.isArray(payload.ids)) return null;
+  return payload;
+}
+
+export function toAttributionWindowDays(value: unknown): number {
+  const days = Number.parseInt(String(value ?? ""), 10);
+  if (!Number.isFinite(days) || days < 1) return DEFAULT_ATTRIBUTION_WINDOW_DAYS;
+  return Math.min(days, MAX_ATTRIBUTION_WINDOW_DAYS);
+}
+
+/**
+ * Credit an orders/create payload (REST shape) to notified subscriptions.
+ * Safe to run twice for the same order: attributions are unique per
+ * subscription and order.
+ */
+export async function attributeOrder(shop: string, order: any) {
+  const orderId = String(order?.id ?? "");
+  if (!orderId) return [];
+
+  const shopRow = await prisma.shop.findUnique({ where: { shopDomain: shop } });
+  const windowDays = toAttributionWindowDays(shopRow?.attributionWindowDays);
+
+  const placedAt = new Date(order.created_at ?? Date.now());
+  const windowStart = new Date(placedAt.getTime() - windowDays * DAY_MS);
+
+  // Revenue per ordered variant
+  const revenueByVariant = new Map<string, number>();
+  for (const line of order.line_items ?? []) {
+    if (!line?.variant_id) continue;
+    const variantId = String(line.variant_id);
+    const amount =
+      Number.parseFloat(line.price ?? "0") * Number(line.quantity ?? 0) -
+      Number.parseFloat(line.total_discount ?? "0");
+    if (!Number.isFinite(amount)) continue;
+    revenueByVariant.set(variantId, (revenueByVariant.get(variantId) ?? 0) + amount);
+  }
+  if (revenueByVariant.size === 0) return [];
+
+  const companyId = order.company?.id ? toNumericId(order.company.id) : null;
+  const customerId = order.customer?.id ? toNumericId(order.customer.id) : null;
+  const email = order.email ? String(order.email).toLowerCase() : null;
+
+  const buyer = [
+    ...(companyId ? [{ kind: "company", companyId }] : []),
+    ...(customerId ? [{ kind: "customer", customerId }] : []),
+    ...(email ? [{ kind: "email", email }] : []),
+  ];
+  if (buyer.length === 0) return [];
+
+  const token = parseLandingToken(shop, order.landing_site);
+  const attributed: { subscriptionId: number; variantId: string; via: string }[] = [];
+
+  for (const [variantId, revenue] of revenueByVariant) {
+    // Notifications of this buyer about the variant, inside the window.
+    // A forwarded link alone doesn't credit someone else's subscription.
+    const notified = {
+      shop,
+      variantId,
+      status: "notified",
+      notifiedAt: { gte: windowStart, lte: placedAt },
+      OR: buyer,
+    };
+
+    let match: { id: number } | null = null;
+    let via = "link";
+
+    if (token?.v === variantId) {
+      match = await prisma.subscription.findFirst({
+        where: { ...notified, id: { in: token.ids } },
+        orderBy: [{ notifiedAt: "desc" }, { id: "asc" }],
+        select: { id: true },
+      });
+    }
+
+    // Most recent one otherwise
+    if (!match) {
+      via = "window";
+      match = await prisma.subscription.findFirst({
+        where: notified,
+        orderBy: [{ notifiedAt: "desc" }, { id: "asc" }],
+        select: { id: true },
+      });
+    }
+
+    if (!match) continue;
+
+    await prisma.orderAttribution.upsert({
+      where: { subscriptionId_orderId: { subscriptionId: match.id, orderId } },
+      create: {
+        shop,
+        subscriptionId: match.id,
+        variantId,
+        orderId,
+        revenue,
+        currency: String(order.currency ?? ""),
+        via,
+      },
+      update: {},
+    });
+
+    attributed.push({ subscriptionId: match.id, variantId, via });
+  }
+
+  return attributed;
+}
+
+/**
+ * Attributed orders and revenue per subscription, for the rows on screen.
+ */
+export async function loadAttributedRevenue(subscriptionIds: number[]) {
+  const byId = new Map<number, { orders: number; revenue: number; currency: string }>();
+  if (subscriptionIds.length === 0) return byId;
+
+  const rows = await prisma.orderAttribution.findMany({
+    where: { subscriptionId: { in: subscriptionIds } },
+    select: { subscriptionId: true, revenue: true, currency: true },
+  });
+
+  for (const r of rows as { subscriptionId: number; revenue: number; currency: string }[]) {
+    const entry = byId.get(r.subscriptionId) ?? { orders: 0, revenue: 0, currency: r.currency };
+    entry.orders += 1;
+    entry.revenue += r.revenue;
+    byId.set(r.subscriptionId, entry);
+  }
+
+  return byId;
+}
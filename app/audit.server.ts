@@ -0,0 +1,32 @@
+// app/audit.server.ts
+import prisma from "./db.server";
+import { toNumericId } from "./subscriptions.server";
+
+/**
+ * Audit trail for subscription changes made by merchants in the admin.
+ */
+
+export type AuditAction =
+  "subscriber_removed" | "subscriber_added" | "notify_now" | "waitlist_cleared";
+
+type AuditEntry = {
+  shop: string;
+  actor?: string | null;
+  action: AuditAction;
+  variantId?: string | null;
+  companyId?: string | null;
+  details?: Record<string, unknown>;
+};
+
+export async function recordAudit(entry: AuditEntry) {
+  return prisma.auditLog.create({
+    data: {
+      shop: entry.shop,
+      actor: entry.actor ?? null,
+      action: entry.action,
+      variantId: entry.variantId ? toNumericId(entry.variantId) : null,
+      companyId: entry.companyId ? toNumericId(entry.companyId) : null,
+      details: JSON.stringify(entry.details ?? {}),
+    },
+  });
+}
@@ -0,0 +1,59 @@
+// app/companies.server.ts
+import type { GraphqlRunner } from "./subscriptions.server";
+import { toNumericId } from "./subscriptions.server";
+
+/**
+ * B2B company lookups shared by the subscribe routes and the restock pipeline.
+ */
+
+export type CompanyContactMatch = {
+  contactId: string; // numeric CompanyContact ID
+  companyId: string;
+  locationIds: string[]; // company locations the contact has a role at
+};
+
+/**
+ * Find the customer's CompanyContact for `companyId`, or null when the
+ * customer is not a contact of that company.
+ */
+export async function findCompanyContact(
+  graphql: GraphqlRunner,
+  customerId: string,
+  companyId: string,
+): Promise<CompanyContactMatch | null> {
+  const customerJson = await graphql(
+    `
+      query BackinstockCustomerContacts($id: ID!) {
+        customer(id: $id) {
+          companyContactProfiles {
+            id
+            company {
+              id
+            }
+            roleAssignments(first: 50) {
+              nodes {
+                companyLocation {
+                  id
+                }
+              }
+            }
+          }
+        }
+      }
+    `,
+    { id: `gid://shopify/Customer/${toNumericId(customerId)}` },
+  );
+
+  const profiles: any[] = customerJson?.data?.customer?.companyContactProfiles ?? [];
+  const match = profiles.find((p) => toNumericId(p?.company?.id) === toNumericId(companyId));
+
+  if (!match) return null;
+
+  return {
+    contactId: toNumericId(match.id),
+    companyId: toNumericId(companyId),
+    locationIds: (match.roleAssignments?.nodes ?? [])
+      .map((r: any) => toNumericId(r?.companyLocation?.id))
+      .filter(Boolean),
+  };
+}
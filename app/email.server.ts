@@ -0,0 +1,433 @@
+// app/email.server.ts
+import { mkdir, writeFile } from "fs/promises";
+import path from "path";
+import { Liquid } from "liquidjs";
+import nodemailer, { type Transporter } from "nodemailer";
+import prisma from "./db.server";
+import { DEFAULT_LOCALE, translate } from "./i18n.server";
+import { postToLaravel } from "./request-signing.server";
+import type { ShopAdminConfig } from "./shops.server";
+
+/**
+ * Restock email delivery.
+ *
+ * EMAIL_TRANSPORT picks how notifications leave the app:
+ * - "laravel" (default): signed POST to the seller app's sendEmail endpoint,
+ *   which renders and sends
+ * - "smtp": render the shop's template and send through SMTP_* via nodemailer
+ * - "console": render and log, for local development
+ * - "file": render and write one .html per message to EMAIL_FILE_DIR
+ *
+ * Templates are Liquid with a `t` filter over the theme locale keys
+ * (app/i18n.server.ts), so the default template renders in each buyer's locale.
+ *
+ * Guest double opt-in emails need a transport that can deliver a single
+ * rendered message; with "laravel" they go through SMTP when SMTP_HOST is set.
+ */
+
+export type RestockEmailFields = {
+  product_id: number;
+  product_title: string;
+  variant_title: string;
+  sku: string;
+  product_url: string;
+  product_image_url: string;
+  shop_id: string;
+  variant_id: string;
+};
+
+export type EmailRecipient = {
+  email: string;
+  companyName?: string;
+  productUrl?: string; // fields.product_url with this recipient's tracking token, or their invoice
+  reservedQuantity?: number; // units held for them in a draft order
+  reservedUntil?: Date;
+  unsubscribeUrl?: string;
+};
+
+export type DeliveryResult = {
+  ok: boolean;
+  transport: string;
+  sent: number;
+  delivered: string[]; // addresses accepted before any failure, so a retry can skip them
+  status?: number;
+  response?: any;
+  error?: string;
+};
+
+type SendArgs = {
+  shopCfg: ShopAdminConfig;
+  fields: RestockEmailFields;
+  recipients: EmailRecipient[];
+  locale: string;
+};
+
+type EmailTransport = {
+  name: string;
+  send: (args: SendArgs) => Promise<DeliveryResult>;
+  // Single pre-rendered message (confirmation emails); absent for "laravel"
+  deliver?: (message: RenderedMessage) => Promise<void>;
+};
+
+export { DEFAULT_LOCALE };
+
+export const DEFAULT_TEMPLATE = {
+  subject: "{{ 'backinstock.email.subject' | t: product: product_title }}",
+  body: `<p>{% if company_name %}{{ 'backinstock.email.greeting_name' | t: name: company_name }}{% else %}{{ 'backinstock.email.greeting' | t }}{% endif %}</p>
+<p>{% if variant_title %}{{ 'backinstock.email.back_in_stock' | t: product: variant_title }}{% else %}{{ 'backinstock.email.back_in_stock' | t: product: product_title }}{% endif %}</p>
+{% if product_image_url %}<p><img src="{{ product_image_url }}" alt="{{ product_title }}" width="240"></p>{% endif %}
+{% if sku %}<p>{{ 'backinstock.email.sku' | t: sku: sku }}</p>{% endif %}
+{% if reserved_quantity %}<p>{{ 'backinstock.email.reserved' | t: quantity: reserved_quantity, until: reserved_until }}</p>
+<p><a href="{{ product_url }}">{{ 'backinstock.email.view_invoice' | t }}</a></p>{% else %}<p><a href="{{ product_url }}">{{ 'backinstock.email.view_product' | t }}</a></p>{% endif %}
+{% if unsubscribe_url %}<p style="font-size:12px;color:#666"><a href="{{ unsubscribe_url }}">{{ 'backinstock.email.unsubscribe' | t }}</a></p>{% endif %}`,
+};
+
+export const CONFIRM_TEMPLATE = {
+  subject: "{{ 'backinstock.email.confirm_subject' | t: product: product_title }}",
+  body: `<p>{{ 'backinstock.email.greeting' | t }}</p>
+<p>{% if variant_title %}{{ 'backinstock.email.confirm_intro' | t: product: variant_title }}{% else %}{{ 'backinstock.email.confirm_intro' | t: product: product_title }}{% endif %}</p>
+<p><a href="{{ confirm_url }}">{{ 'backinstock.email.confirm_button' | t }}</a></p>
+<p>{{ 'backinstock.email.confirm_ignore' | t }}</p>`,
+};
+
+// Sample values for the admin preview
+export const PREVIEW_FIELDS: RestockEmailFields & {
+  company_name: string;
+  unsubscribe_url: string;
+} = {
+  product_id: 1,
+  product_title: "Sample product",
+  variant_title: "Sample product - Large",
+  sku: "SKU-001",
+  product_url: "https://example.com/products/sample-product",
+  product_image_url: "",
+  shop_id: "0",
+  variant_id: "1",
+  company_name: "Sample Company",
+  unsubscribe_url: "https://example.com/apps/backinstock/unsubscribe?token=sample",
+};
+
+// Locales a template can be saved for in the admin editor
+export const EMAIL_LOCALES = [
+  { label: "English", value: "en" },
+  { label: "繁體中文", value: "zh-TW" },
+  { label: "Bahasa Indonesia", value: "id" },
+  { label: "Bahasa Melayu", value: "ms" },
+];
+
+// "20 Oct 2026, 14:00 UTC", in the buyer's language
+function formatReservedUntil(date: Date, locale: string) {
+  const formatted = new Intl.DateTimeFormat(locale, {
+    dateStyle: "medium",
+    timeStyle: "short",
+    timeZone: "UTC",
+  }).format(date);
+  return `${formatted} UTC`;
+}
+
+// Body output is HTML-escaped; the subject is plain text. Templates are
+// merchant-written, so `render`/`include`/`layout` look up an empty in-memory
+// map instead of the server's filesystem.
+const bodyLiquid = new Liquid({ strictFilters: true, outputEscape: "escape", templates: {} });
+const subjectLiquid = new Liquid({ strictFilters: true, templates: {} });
+
+// {{ 'backinstock.email.subject' | t: product: product_title }}, locale from the render context
+for (const engine of [bodyLiquid, subjectLiquid]) {
+  engine.registerFilter("t", function (this: any, key: string, ...args: unknown[]) {
+    const locale = this.context.getSync(["locale"]) ?? DEFAULT_LOCALE;
+    const vars = Object.fromEntries(args.filter((a): a is [string, unknown] => Array.isArray(a)));
+    return translate(String(locale), String(key), vars);
+  });
+}
+
+/**
+ * The shop's saved template for `locale`, otherwise the built-in one (which
+ * translates itself). A saved English template is not used for other locales.
+ */
+export async function getEmailTemplate(shop: string, locale: string = DEFAULT_LOCALE) {
+  const match = await prisma.emailTemplate.findUnique({
+    where: { shop_locale: { shop, locale } },
+  });
+
+  return match
+    ? {
+        subject: match.subject as string,
+        body: match.body as string,
+        isDefault: false,
+      }
+    : { ...DEFAULT_TEMPLATE, isDefault: true };
+}
+
+export async function renderTemplate(
+  template: { subject: string; body: string },
+  context: Record<string, unknown>,
+  locale: string = DEFAULT_LOCALE,
+) {
+  const scope = { ...context, locale };
+  const [subject, html] = await Promise.all([
+    subjectLiquid.parseAndRender(template.subject, scope),
+    bodyLiquid.parseAndRender(template.body, scope),
+  ]);
+
+  return { subject: subject.trim(), html };
+}
+
+// ==============================
+// Transports
+// ==============================
+
+const laravelTransport: EmailTransport = {
+  name: "laravel",
+  async send({ fields, recipients, locale }) {
+    const ocUrl = "https://sellerapp.bloomandgrowgroup.com/api/backinstock/sendEmail";
+
+    const payloadToOC = {
+      ...fields,
+      locale,
+      subscribers: recipients.map((r) => r.email),
+      product_urls: Object.fromEntries(
+        recipients.map((r) => [r.email, r.productUrl ?? fields.product_url]),
+      ),
+      unsubscribe_urls: Object.fromEntries(
+        recipients.map((r) => [r.email, r.unsubscribeUrl ?? ""]),
+      ),
+      // product_urls holds the invoice link for these addresses
+      reservations: Object.fromEntries(
+        recipients
+          .filter((r) => r.reservedQuantity && r.reservedUntil)
+          .map((r) => [
+            r.email,
+            { quantity: r.reservedQuantity, reserved_until: r.reservedUntil?.toISOString() },
+          ]),
+      ),
+    };
+
+    console.log("Backinstock email: posting to OpenCart payload:", payloadToOC);
+
+    try {
+      const ocResp = await postToLaravel(ocUrl, payloadToOC);
+
+      const text = await ocResp.text();
+      let ocJson: any;
+      try {
+        ocJson = JSON.parse(text);
+      } catch {
+        ocJson = { raw: text };
+      }
+
+      console.log("OpenCart response:", ocJson);
+
+      if (!ocResp.ok) {
+        return {
+          ok: false,
+          transport: "laravel",
+          sent: 0,
+          delivered: [],
+          status: ocResp.status,
+          response: ocJson,
+          error: "OpenCart sendEmail failed",
+        };
+      }
+
+      return {
+        ok: true,
+        transport: "laravel",
+        sent: recipients.length,
+        delivered: recipients.map((r) => r.email),
+        response: ocJson,
+      };
+    } catch (err) {
+      console.error("Backinstock email: error calling OpenCart sendEmail:", err);
+      return {
+        ok: false,
+        transport: "laravel",
+        sent: 0,
+        delivered: [],
+        error: "Error calling OpenCart sendEmail",
+      };
+    }
+  },
+};
+
+type RenderedMessage = {
+  to: string;
+  subject: string;
+  html: string;
+  unsubscribeUrl?: string;
+};
+
+/**
+ * Transport that renders the shop template per recipient and hands each
+ * message to `deliver`. Stops at the first failure so the job can retry;
+ * `delivered` tells it who already has the email.
+ */
+function renderingTransport(
+  name: string,
+  deliver: (message: RenderedMessage) => Promise<void>,
+): EmailTransport {
+  return {
+    name,
+    deliver,
+    async send({ shopCfg, fields, recipients, locale }) {
+      const template = await getEmailTemplate(shopCfg.shopDomain, locale);
+      const delivered: string[] = [];
+
+      for (const recipient of recipients) {
+        try {
+          const { subject, html } = await renderTemplate(
+            template,
+            {
+              ...fields,
+              product_url: recipient.productUrl ?? fields.product_url,
+              company_name: recipient.companyName ?? "",
+              reserved_quantity: recipient.reservedQuantity ?? 0,
+              reserved_until: recipient.reservedUntil
+                ? formatReservedUntil(recipient.reservedUntil, locale)
+                : "",
+              recipient_email: recipient.email,
+              unsubscribe_url: recipient.unsubscribeUrl ?? "",
+            },
+            locale,
+          );
+          await deliver({
+            to: recipient.email,
+            subject,
+            html,
+            unsubscribeUrl: recipient.unsubscribeUrl,
+          });
+          delivered.push(recipient.email);
+        } catch (err) {
+          console.error(`Backinstock email: ${name} delivery failed for`, recipient.email, err);
+          return {
+            ok: false,
+            transport: name,
+            sent: delivered.length,
+            delivered,
+            error: err instanceof Error ? err.message : String(err),
+          };
+        }
+      }
+
+      return { ok: true, transport: name, sent: delivered.length, delivered };
+    },
+  };
+}
+
+let smtpTransporter: Transporter | null = null;
+
+function getSmtpTransporter() {
+  if (!smtpTransporter) {
+    smtpTransporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: Number(process.env.SMTP_PORT || 587),
+      secure: process.env.SMTP_SECURE === "true",
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined,
+    });
+  }
+  return smtpTransporter;
+}
+
+const smtpTransport = renderingTransport("smtp", async (message) => {
+  await getSmtpTransporter().sendMail({
+    from: process.env.EMAIL_FROM,
+    to: message.to,
+    subject: message.subject,
+    html: message.html,
+    // RFC 8058 one-click unsubscribe; the link accepts the POST directly
+    headers: message.unsubscribeUrl
+      ? {
+          "List-Unsubscribe": `<${message.unsubscribeUrl}>`,
+          "List-Unsubscribe-Post": "List-Unsubscribe=One-Click",
+        }
+      : undefined,
+  });
+});
+
+const consoleTransport = renderingTransport("console", async (message) => {
+  console.log("Backinstock email (console transport):", message);
+});
+
+const fileTransport = renderingTransport("file", async (message) => {
+  const dir = process.env.EMAIL_FILE_DIR || path.join(process.cwd(), "tmp", "emails");
+  await mkdir(dir, { recursive: true });
+
+  const safeTo = message.to.replace(/[^a-z0-9@._-]/gi, "_");
+  const file = path.join(dir, `${Date.now()}-${safeTo}.html`);
+  await writeFile(
+    file,
+    `<!-- To: ${message.to}\n     Subject: ${message.subject} -->\n${message.html}`,
+  );
+
+  console.log("Backinstock email: wrote", file);
+});
+
+const TRANSPORTS: Record<string, EmailTransport> = {
+  laravel: laravelTransport,
+  smtp: smtpTransport,
+  console: consoleTransport,
+  file: fileTransport,
+};
+
+export function getEmailTransport(): EmailTransport {
+  const name = process.env.EMAIL_TRANSPORT || "laravel";
+  const transport = TRANSPORTS[name];
+
+  if (!transport) {
+    throw new Error(`Unknown EMAIL_TRANSPORT: ${name}`);
+  }
+  return transport;
+}
+
+export async function sendRestockEmail(args: SendArgs): Promise<DeliveryResult> {
+  return getEmailTransport().send(args);
+}
+
+// A transport that delivers single messages: the configured one, else SMTP when set up
+function confirmationTransport(): EmailTransport | null {
+  const configured = getEmailTransport();
+  return configured.deliver ? configured : process.env.SMTP_HOST ? smtpTransport : null;
+}
+
+/**
+ * Whether guest double opt-in emails can be sent with the current configuration.
+ */
+export function canSendConfirmationEmail(): boolean {
+  try {
+    return !!confirmationTransport()?.deliver;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Send the guest double opt-in email with the link that activates the subscription.
+ */
+export async function sendConfirmationEmail(args: {
+  to: string;
+  productTitle: string;
+  variantTitle: string;
+  confirmUrl: string;
+  locale?: string;
+}) {
+  const transport = confirmationTransport();
+
+  if (!transport?.deliver) {
+    throw new Error(
+      `EMAIL_TRANSPORT=${getEmailTransport().name} cannot send confirmation emails; set SMTP_HOST`,
+    );
+  }
+
+  const { subject, html } = await renderTemplate(
+    CONFIRM_TEMPLATE,
+    {
+      product_title: args.productTitle,
+      variant_title: args.variantTitle,
+      confirm_url: args.confirmUrl,
+    },
+    args.locale ?? DEFAULT_LOCALE,
+  );
+
+  await transport.deliver({ to: args.to, subject, html });
+}
@@ -4,6 +4,9 @@ import { RemixServer } from "@remix-run/react";
 import { createReadableStreamFromReadable } from "@remix-run/node";
 import { isbot } from "isbot";
 import { addDocumentResponseHeaders } from "./shopify.server";
+import { startNotificationWorker } from "./jobs.server";
+
+startNotificationWorker();
 
 export const streamTimeout = 5000;
 
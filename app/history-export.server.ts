@@ -0,0 +1,123 @@
+// app/history-export.server.ts
+import { PassThrough } from "stream";
+import { createReadableStreamFromReadable } from "@remix-run/node";
+import ExcelJS from "exceljs";
+import { iterateHistory, type HistoryExportRow, type HistoryQuery } from "./history.server";
+import type { GraphqlRunner } from "./subscriptions.server";
+
+/**
+ * Subscription history as a streamed CSV or XLSX download. Rows are written
+ * as each batch arrives from iterateHistory, so server memory stays flat however
+ * large the shop's history is. (The admin page still collects the whole file in
+ * the browser before saving it; see downloadExport in app._index.jsx.)
+ */
+
+export type ExportFormat = "csv" | "xlsx";
+
+const COLUMNS = [
+  "Product",
+  "Variant",
+  "SKU",
+  "Company / subscriber",
+  "Quantity wanted",
+  "Subscription date",
+  "Notification date",
+  "Status",
+  "Time to restock (days)",
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function daysToRestock(row: HistoryExportRow): number | null {
+  if (!row.notifiedAt) return null;
+  return Math.round(((row.notifiedAt.getTime() - row.createdAt.getTime()) / DAY_MS) * 10) / 10;
+}
+
+function toCells(row: HistoryExportRow) {
+  return [
+    row.productTitle,
+    row.variantTitle,
+    row.sku,
+    row.subscriber,
+    row.requestedQuantity,
+    row.createdAt,
+    row.notifiedAt,
+    row.status,
+    daysToRestock(row),
+  ];
+}
+
+// Cells spreadsheet apps would run as a formula; buyer-typed text (guest emails) can start so
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+function csvValue(value: unknown): string {
+  if (value === null || value === undefined) return "";
+  let str = value instanceof Date ? value.toISOString() : String(value);
+  if (typeof value === "string" && FORMULA_START.test(str)) str = `'${str}`;
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+function csvLine(values: unknown[]): string {
+  return `${values.map(csvValue).join(",")}\r\n`;
+}
+
+async function writeCsv(out: PassThrough, rows: AsyncGenerator<HistoryExportRow[]>) {
+  // BOM so Excel opens UTF-8 (Chinese product names) correctly
+  out.write(`\uFEFF${csvLine(COLUMNS)}`);
+
+  for await (const batch of rows) {
+    const chunk = batch.map((row) => csvLine(toCells(row))).join("");
+    // Respect backpressure from the HTTP response
+    if (!out.write(chunk)) {
+      await new Promise((resolve) => out.once("drain", resolve));
+    }
+  }
+
+  out.end();
+}
+
+async function writeXlsx(out: PassThrough, rows: AsyncGenerator<HistoryExportRow[]>) {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: out, useStyles: true });
+  const sheet = workbook.addWorksheet("Subscriptions");
+
+  sheet.columns = COLUMNS.map((header) => ({ header, width: header.length + 8 }));
+  sheet.getColumn(6).numFmt = "yyyy-mm-dd hh:mm";
+  sheet.getColumn(7).numFmt = "yyyy-mm-dd hh:mm";
+  sheet.getRow(1).font = { bold: true };
+  sheet.getRow(1).commit();
+
+  for await (const batch of rows) {
+    for (const row of batch) {
+      sheet.addRow(toCells(row)).commit();
+    }
+  }
+
+  sheet.commit();
+  await workbook.commit();
+}
+
+/**
+ * Response body for the export; errors after the headers are sent can only
+ * abort the stream, so they are logged here.
+ */
+export function historyExportStream(
+  graphql: GraphqlRunner,
+  shop: string,
+  query: HistoryQuery,
+  format: ExportFormat,
+) {
+  const out = new PassThrough();
+  const rows = iterateHistory(graphql, shop, query);
+
+  (format === "xlsx" ? writeXlsx(out, rows) : writeCsv(out, rows)).catch((err) => {
+    console.error("Backinstock history export failed", err);
+    out.destroy(err);
+  });
+
+  return createReadableStreamFromReadable(out);
+}
+
+export const EXPORT_CONTENT_TYPES: Record<ExportFormat, string> = {
+  csv: "text/csv; charset=utf-8",
+  xlsx: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+};
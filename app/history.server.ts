@@ -0,0 +1,411 @@
+// app/history.server.ts
+import prisma from "./db.server";
+import { loadNodes } from "./admin-graphql.server";
+import { loadAttributedRevenue } from "./attribution.server";
+import { toNumericId, type GraphqlRunner } from "./subscriptions.server";
+import { loadVariantDemand } from "./waiting.server";
+
+/**
+ * Subscription history for the admin Subscriptions page, read from the local
+ * Subscription table one page at a time.
+ *
+ * Filters and sort come from the page URL (see parseHistoryQuery), so a view
+ * can be bookmarked. Search and name sorting use the productTitle / sku /
+ * companyName snapshots on each row; rows saved without them are filled in by
+ * backfillSnapshots.
+ */
+
+export const HISTORY_PAGE_SIZE = 25;
+
+export type HistoryStatus = "all" | "pending" | "notified" | "cancelled" | "unconfirmed";
+
+// "<column> <direction>", the format of Polaris IndexFilters sort options
+export type HistorySort = `${"created" | "notified" | "product" | "company"} ${"asc" | "desc"}`;
+
+export type HistoryQuery = {
+  search: string;
+  status: HistoryStatus;
+  from: string; // YYYY-MM-DD, subscribed on or after
+  to: string; // YYYY-MM-DD, subscribed on or before
+  companyId: string;
+  productId: string;
+  variantIds: string[]; // used by the Waiting now export; no page filter sets it
+  sort: HistorySort;
+  page: number;
+};
+
+const STATUSES: HistoryStatus[] = ["all", "pending", "notified", "cancelled", "unconfirmed"];
+
+const SORT_COLUMNS: Record<string, string> = {
+  created: "createdAt",
+  notified: "notifiedAt",
+  product: "productTitle",
+  company: "companyName",
+};
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Rows looked up per page load when filling in missing snapshots
+const BACKFILL_LIMIT = 100;
+
+function isHistorySort(value: string | null): value is HistorySort {
+  const [column, direction] = (value || "").split(" ");
+  return column in SORT_COLUMNS && (direction === "asc" || direction === "desc");
+}
+
+export function parseHistoryQuery(params: URLSearchParams): HistoryQuery {
+  const status = params.get("status") as HistoryStatus;
+  const sort = params.get("sort");
+  const from = params.get("from") || "";
+  const to = params.get("to") || "";
+
+  return {
+    search: params.get("q")?.trim() || "",
+    status: STATUSES.includes(status) ? status : "all",
+    from: DATE_PATTERN.test(from) ? from : "",
+    to: DATE_PATTERN.test(to) ? to : "",
+    companyId: toNumericId(params.get("companyId")),
+    productId: toNumericId(params.get("productId")),
+    variantIds: params.getAll("variantId").map(toNumericId).filter(Boolean),
+    sort: isHistorySort(sort) ? sort : "created desc",
+    page: Math.max(1, Number.parseInt(params.get("page") || "1", 10) || 1),
+  };
+}
+
+/**
+ * Prisma `where` for a query; shared with the history export.
+ */
+export function historyWhere(shop: string, query: HistoryQuery) {
+  const createdAt: { gte?: Date; lt?: Date } = {};
+  if (query.from) createdAt.gte = new Date(`${query.from}T00:00:00Z`);
+  if (query.to) {
+    // Inclusive: everything before the start of the next day
+    const end = new Date(`${query.to}T00:00:00Z`);
+    end.setUTCDate(end.getUTCDate() + 1);
+    createdAt.lt = end;
+  }
+
+  return {
+    shop,
+    ...(query.status !== "all" ? { status: query.status } : {}),
+    ...(query.companyId ? { companyId: query.companyId } : {}),
+    ...(query.productId ? { productId: query.productId } : {}),
+    ...(query.variantIds.length > 0 ? { variantId: { in: query.variantIds } } : {}),
+    ...(createdAt.gte || createdAt.lt ? { createdAt } : {}),
+    ...(query.search
+      ? {
+          OR: [
+            { productTitle: { contains: query.search } },
+            { sku: { contains: query.search } },
+            { companyName: { contains: query.search } },
+            { email: { contains: query.search.toLowerCase() } },
+          ],
+        }
+      : {}),
+  };
+}
+
+export function historyOrderBy(sort: HistorySort) {
+  const [column, direction] = sort.split(" ");
+  const field = SORT_COLUMNS[column];
+
+  // Newest first among equal names / dates
+  return field === "createdAt"
+    ? [{ createdAt: direction }]
+    : [{ [field]: direction }, { createdAt: "desc" }];
+}
+
+export async function listHistoryPage(shop: string, query: HistoryQuery) {
+  const where = historyWhere(shop, query);
+
+  const total: number = await prisma.subscription.count({ where });
+  const pageCount = Math.max(1, Math.ceil(total / HISTORY_PAGE_SIZE));
+  const page = Math.min(query.page, pageCount);
+
+  const rows = await prisma.subscription.findMany({
+    where,
+    orderBy: historyOrderBy(query.sort),
+    skip: (page - 1) * HISTORY_PAGE_SIZE,
+    take: HISTORY_PAGE_SIZE,
+  });
+
+  return { rows, total, page, pageCount };
+}
+
+/**
+ * Companies and products that appear in the shop's history, for the filter pickers.
+ */
+export async function listHistoryFilterOptions(shop: string) {
+  const [companies, products] = await Promise.all([
+    prisma.subscription.findMany({
+      where: { shop, kind: "company", companyId: { not: null } },
+      distinct: ["companyId"],
+      select: { companyId: true, companyName: true },
+    }),
+    prisma.subscription.findMany({
+      where: { shop, productId: { not: null } },
+      distinct: ["productId"],
+      select: { productId: true, productTitle: true },
+    }),
+  ]);
+
+  const byLabel = (a: { label: string }, b: { label: string }) => a.label.localeCompare(b.label);
+
+  return {
+    companies: companies
+      .map((c: { companyId: string; companyName: string | null }) => ({
+        value: c.companyId,
+        label: c.companyName || `Company ${c.companyId}`,
+      }))
+      .sort(byLabel),
+    products: products
+      .map((p: { productId: string; productTitle: string | null }) => ({
+        value: p.productId,
+        label: p.productTitle || `Product ${p.productId}`,
+      }))
+      .sort(byLabel),
+  };
+}
+
+/**
+ * Fill in productTitle / sku / companyName on rows saved without them
+ * (legacy rows, or subscribe paths that don't read names). Deleted products
+ * and companies get an empty string so they aren't looked up again.
+ */
+export async function backfillSnapshots(graphql: GraphqlRunner, shop: string) {
+  const [variantRows, companyRows] = await Promise.all([
+    prisma.subscription.findMany({
+      where: { shop, productTitle: null },
+      distinct: ["variantId"],
+      select: { variantId: true },
+      take: BACKFILL_LIMIT,
+    }),
+    prisma.subscription.findMany({
+      where: { shop, kind: "company", companyId: { not: null }, companyName: null },
+      distinct: ["companyId"],
+      select: { companyId: true },
+      take: BACKFILL_LIMIT,
+    }),
+  ]);
+
+  if (variantRows.length > 0) {
+    const ids: string[] = variantRows.map((r: { variantId: string }) => r.variantId);
+    const variants = await loadNodes(
+      graphql,
+      ids.map((id) => `gid://shopify/ProductVariant/${id}`),
+      `
+        ... on ProductVariant {
+          id
+          sku
+          product {
+            id
+            title
+          }
+        }
+      `,
+    );
+
+    for (const id of ids) {
+      const product = variants[id]?.product;
+      await prisma.subscription.updateMany({
+        where: { shop, variantId: id, productTitle: null },
+        data: {
+          productTitle: product?.title ?? "",
+          sku: variants[id]?.sku || null,
+          ...(product ? { productId: toNumericId(product.id) } : {}),
+        },
+      });
+    }
+  }
+
+  if (companyRows.length > 0) {
+    const ids: string[] = companyRows.map((r: { companyId: string }) => r.companyId);
+    const companies = await loadNodes(
+      graphql,
+      ids.map((id) => `gid://shopify/Company/${id}`),
+      `
+        ... on Company {
+          id
+          name
+        }
+      `,
+    );
+
+    for (const id of ids) {
+      await prisma.subscription.updateMany({
+        where: { shop, companyId: id, companyName: null },
+        data: { companyName: companies[id]?.name ?? "" },
+      });
+    }
+  }
+}
+
+/**
+ * Current Shopify names for the rows on screen, falling back to the snapshots
+ * for anything deleted since, plus the order revenue attributed to each and
+ * the units everyone waiting on its variant asked for.
+ */
+export async function describeHistoryRows(graphql: GraphqlRunner, shop: string, rows: any[]) {
+  const variantIds = Array.from(new Set(rows.map((r) => r.variantId)));
+  const companyIds = Array.from(new Set(rows.map((r) => r.companyId).filter(Boolean)));
+
+  const [variants, companies, attributions, demand] = await Promise.all([
+    loadNodes(
+      graphql,
+      variantIds.map((id) => `gid://shopify/ProductVariant/${id}`),
+      `
+        ... on ProductVariant {
+          id
+          sku
+          product {
+            id
+            title
+          }
+        }
+      `,
+    ),
+    loadNodes(
+      graphql,
+      companyIds.map((id) => `gid://shopify/Company/${id}`),
+      `
+        ... on Company {
+          id
+          name
+        }
+      `,
+    ),
+    loadAttributedRevenue(rows.map((r) => r.id)),
+    loadVariantDemand(shop, variantIds),
+  ]);
+
+  return rows.map((r) => {
+    const variant = variants[r.variantId];
+
+    const subscriber =
+      r.kind === "company"
+        ? companies[r.companyId]?.name || r.companyName || `Company ${r.companyId}`
+        : r.email || `Customer ${r.customerId}`;
+
+    return {
+      id: r.id as number,
+      kind: r.kind as string,
+      variantId: r.variantId as string,
+      productId: toNumericId(variant?.product?.id) || r.productId || "",
+      productTitle: variant?.product?.title || r.productTitle || `Variant ${r.variantId}`,
+      sku: variant?.sku || r.sku || "—",
+      companyId: r.companyId as string | null,
+      customerId: r.customerId as string | null,
+      subscriber,
+      status: r.status as string,
+      requestedQuantity: r.requestedQuantity as number | null,
+      variantDemand: demand.get(r.variantId) ?? 0,
+      createdAt: new Date(r.createdAt).toISOString(),
+      notifiedAt: r.notifiedAt ? new Date(r.notifiedAt).toISOString() : null,
+      attributed: attributions.get(r.id) ?? null,
+    };
+  });
+}
+
+// Rows read per query while exporting
+const EXPORT_BATCH_SIZE = 500;
+
+export type HistoryExportRow = {
+  productTitle: string;
+  variantTitle: string;
+  sku: string;
+  subscriber: string;
+  status: string;
+  requestedQuantity: number | null;
+  createdAt: Date;
+  notifiedAt: Date | null;
+};
+
+/**
+ * Every row matching the query, in the page's sort order, a batch at a time so
+ * large shops are never held in memory. Names are resolved once per variant
+ * and company across the whole export.
+ */
+export async function* iterateHistory(
+  graphql: GraphqlRunner,
+  shop: string,
+  query: HistoryQuery,
+): AsyncGenerator<HistoryExportRow[]> {
+  const where = historyWhere(shop, query);
+  const orderBy = [...historyOrderBy(query.sort), { id: "asc" }];
+
+  const variantCache: Record<string, any> = {};
+  const companyCache: Record<string, any> = {};
+
+  for (let skip = 0; ; skip += EXPORT_BATCH_SIZE) {
+    const rows = await prisma.subscription.findMany({
+      where,
+      orderBy,
+      skip,
+      take: EXPORT_BATCH_SIZE,
+    });
+    if (rows.length === 0) return;
+
+    const newVariants = Array.from(
+      new Set<string>(
+        rows.map((r: any) => r.variantId).filter((id: string) => !(id in variantCache)),
+      ),
+    );
+    const newCompanies = Array.from(
+      new Set<string>(
+        rows.map((r: any) => r.companyId).filter((id: string) => id && !(id in companyCache)),
+      ),
+    );
+
+    const [variants, companies] = await Promise.all([
+      loadNodes(
+        graphql,
+        newVariants.map((id) => `gid://shopify/ProductVariant/${id}`),
+        `
+          ... on ProductVariant {
+            id
+            title
+            sku
+            product {
+              title
+            }
+          }
+        `,
+      ),
+      loadNodes(
+        graphql,
+        newCompanies.map((id) => `gid://shopify/Company/${id}`),
+        `
+          ... on Company {
+            id
+            name
+          }
+        `,
+      ),
+    ]);
+
+    // Deleted variants / companies are cached as null and fall back to the snapshots
+    for (const id of newVariants) variantCache[id] = variants[id] ?? null;
+    for (const id of newCompanies) companyCache[id] = companies[id] ?? null;
+
+    yield rows.map((r: any) => {
+      const variant = variantCache[r.variantId];
+      const variantTitle = variant?.title && variant.title !== "Default Title" ? variant.title : "";
+
+      return {
+        productTitle: variant?.product?.title || r.productTitle || `Variant ${r.variantId}`,
+        variantTitle,
+        sku: variant?.sku || r.sku || "",
+        subscriber:
+          r.kind === "company"
+            ? companyCache[r.companyId]?.name || r.companyName || `Company ${r.companyId}`
+            : r.email || `Customer ${r.customerId}`,
+        status: r.status,
+        requestedQuantity: r.requestedQuantity,
+        createdAt: new Date(r.createdAt),
+        notifiedAt: r.notifiedAt ? new Date(r.notifiedAt) : null,
+      };
+    });
+
+    if (rows.length < EXPORT_BATCH_SIZE) return;
+  }
+}
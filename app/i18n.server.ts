@@ -0,0 +1,78 @@
+// app/i18n.server.ts
+import en from "../extensions/backinstock-theme/locales/en.default.json";
+import id from "../extensions/backinstock-theme/locales/id.json";
+import ms from "../extensions/backinstock-theme/locales/ms.json";
+import zhTW from "../extensions/backinstock-theme/locales/zh-TW.json";
+
+/**
+ * Buyer-facing strings for emails and app proxy pages.
+ *
+ * Reads the theme app extension's locale files, so the storefront (`| t`) and
+ * the server share one set of keys, e.g. "backinstock.email.subject".
+ */
+
+export const DEFAULT_LOCALE = "en";
+
+const MESSAGES: Record<string, unknown> = {
+  en,
+  "zh-TW": zhTW,
+  id,
+  ms,
+};
+
+export const SUPPORTED_LOCALES = Object.keys(MESSAGES);
+
+/**
+ * Map a Shopify/browser locale ("zh-TW", "zh-Hant-TW", "id-ID", "ms_MY") to a
+ * supported one, or null when we have no translation for it.
+ */
+export function matchLocale(raw: string | null | undefined): string | null {
+  if (!raw) return null;
+  const value = raw.trim().replace("_", "-").toLowerCase();
+
+  if (value.startsWith("zh")) {
+    // Only Traditional Chinese is translated; HK and TW buyers both read it
+    return value.includes("hans") || value === "zh-cn" || value === "zh-sg" ? null : "zh-TW";
+  }
+
+  const language = value.split("-")[0];
+  return SUPPORTED_LOCALES.includes(language) ? language : null;
+}
+
+function lookup(locale: string, key: string): string | undefined {
+  let node: any = MESSAGES[locale];
+  for (const part of key.split(".")) {
+    node = node?.[part];
+  }
+  return typeof node === "string" ? node : undefined;
+}
+
+/**
+ * Translate `key` for `locale`, falling back to English and then the key
+ * itself. `{{ name }}` placeholders are filled from `vars`, as in Liquid's `t`.
+ */
+export function translate(locale: string, key: string, vars: Record<string, unknown> = {}): string {
+  const template = lookup(locale, key) ?? lookup(DEFAULT_LOCALE, key) ?? key;
+  return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (_, name) => String(vars[name] ?? ""));
+}
+
+// Storefront `request.locale.iso_code` values each translation serves
+const STOREFRONT_ISO_CODES: Record<string, string[]> = {
+  "zh-TW": ["zh-TW", "zh-HK", "zh-MO", "zh-Hant"],
+  id: ["id"],
+  ms: ["ms"],
+};
+
+/**
+ * Liquid for app proxy pages, which can't use the extension's `| t`: renders
+ * every translation and lets the storefront pick by `request.locale`.
+ */
+export function localizedLiquid(render: (locale: string) => string): string {
+  const branches = Object.entries(STOREFRONT_ISO_CODES)
+    .map(
+      ([locale, codes]) => `{% when ${codes.map((c) => `'${c}'`).join(", ")} %}\n${render(locale)}`,
+    )
+    .join("\n");
+
+  return `{% case request.locale.iso_code %}\n${branches}\n{% else %}\n${render(DEFAULT_LOCALE)}\n{% endcase %}`;
+}
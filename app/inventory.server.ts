@@ -0,0 +1,112 @@
+// app/inventory.server.ts
+import prisma from "./db.server";
+import { enqueueRestock } from "./jobs.server";
+import { adoptLegacySubscriptions } from "./restock.server";
+import { getShopAdminConfigByDomain } from "./shops.server";
+import { toNumericId } from "./subscriptions.server";
+import { withVariantLock } from "./variant-lock.server";
+
+/**
+ * Restock detection without Shopify Flow.
+ *
+ * Inventory webhooks report the new quantity only, so we keep the last known
+ * total per variant and try the notification pipeline whenever it rises while
+ * in stock. The restock rule then decides who, if anyone, is notified
+ * (minimum quantity, locations, staggered release), so a later increase can
+ * release the subscribers an earlier one held back. Variants nobody waits on
+ * are not queued.
+ *
+ * The first level we see for a variant is only a baseline: with nothing to
+ * compare it to, it is never treated as a restock.
+ */
+
+type InventoryChange = {
+  shop: string; // myshopify domain
+  variantId: string;
+  inventoryItemId?: string | null;
+  available: number;
+};
+
+export async function recordVariantInventory(change: InventoryChange) {
+  const variantId = toNumericId(change.variantId);
+  const inventoryItemId = change.inventoryItemId ? toNumericId(change.inventoryItemId) : null;
+
+  return withVariantLock(change.shop, variantId, async () => {
+    const existing = await prisma.variantInventory.findUnique({
+      where: { shop_variantId: { shop: change.shop, variantId } },
+    });
+
+    const previous: number | null = existing ? existing.available : null;
+    const soldOut = change.available <= 0;
+    // Keep the first moment it sold out, for the analytics "out of stock for"
+    const outOfStockSince = soldOut ? (existing?.outOfStockSince ?? new Date()) : null;
+    const backInStock = change.available > 0 && (previous === null || previous <= 0);
+    // Start of the current in-stock period, for staggered release
+    const restockedAt = backInStock ? new Date() : (existing?.restockedAt ?? null);
+    const restocked = backInStock && previous !== null;
+
+    await prisma.variantInventory.upsert({
+      where: { shop_variantId: { shop: change.shop, variantId } },
+      create: {
+        shop: change.shop,
+        variantId,
+        inventoryItemId,
+        available: change.available,
+        outOfStockSince,
+        restockedAt,
+      },
+      update: {
+        available: change.available,
+        outOfStockSince,
+        restockedAt,
+        ...(inventoryItemId ? { inventoryItemId } : {}),
+      },
+    });
+
+    const increased = previous !== null && change.available > 0 && change.available > previous;
+
+    return { variantId, previous, available: change.available, restocked, increased };
+  });
+}
+
+/**
+ * Record the new level and queue a restock job if stock went up.
+ */
+export async function handleInventoryChange(change: InventoryChange) {
+  const recorded = await recordVariantInventory(change);
+
+  // First sighting: subscriptions may still only live in the legacy metafield.
+  // Adopted once here, so restocks don't have to ask the Admin API each time.
+  if (recorded.previous === null) {
+    try {
+      const shopCfg = await getShopAdminConfigByDomain(change.shop);
+      await adoptLegacySubscriptions(shopCfg, recorded.variantId);
+    } catch (err) {
+      console.error("Backinstock inventory: legacy adoption failed", change.shop, err);
+    }
+  }
+
+  if (!recorded.increased) {
+    return { ...recorded, result: null };
+  }
+
+  console.log("Backinstock inventory: stock increase detected", change.shop, recorded);
+
+  // A store we can't resolve is logged, not thrown: a failing webhook is retried for days
+  let shopCfg;
+  try {
+    shopCfg = await getShopAdminConfigByDomain(change.shop);
+  } catch (err) {
+    console.error(
+      "Backinstock inventory: shop not available, restock not queued",
+      change.shop,
+      err,
+    );
+    return { ...recorded, result: { queued: false as const, reason: "Shop not registered" } };
+  }
+
+  const result = await enqueueRestock(shopCfg, recorded.variantId);
+
+  console.log("Backinstock inventory: restock queued", result);
+  return { ...recorded, result };
+}
@@ -0,0 +1,265 @@
+// app/jobs.server.ts
+import { createHash } from "crypto";
+import prisma from "./db.server";
+import { expireReservations } from "./reservations.server";
+import { notifyRestock } from "./restock.server";
+import { selectRestockSubscriptions } from "./restock-rules.server";
+import { getShopAdminConfigByDomain, type ShopAdminConfig } from "./shops.server";
+import { listPendingSubscriptions, toNumericId } from "./subscriptions.server";
+
+/**
+ * Durable restock notification queue.
+ *
+ * Restock events (Flow, inventory webhooks, admin "notify now") only enqueue a
+ * NotificationJob. A background worker in this process claims due jobs, runs
+ * the restock pipeline, and retries failures with exponential backoff until
+ * maxAttempts, after which the job is marked dead and can be replayed from the
+ * admin Jobs page. Each pass also releases expired stock reservations.
+ */
+
+export type JobStatus = "queued" | "running" | "succeeded" | "dead";
+
+type JobPayload = {
+  subscriptionIds: number[];
+  sentTo?: string[]; // recipients emailed by earlier attempts, skipped on retry
+};
+
+const POLL_INTERVAL_MS = 5_000;
+// A "running" job untouched for this long belongs to a crashed worker
+const STALE_LOCK_MS = 10 * 60_000;
+const BASE_BACKOFF_MS = 30_000;
+const MAX_BACKOFF_MS = 60 * 60_000;
+
+function backoffMs(attempts: number) {
+  return Math.min(MAX_BACKOFF_MS, BASE_BACKOFF_MS * 2 ** (attempts - 1));
+}
+
+/**
+ * Same variant + same set of waiting subscriptions = same job, so duplicate
+ * Flow/webhook deliveries for one restock collapse into one send while it is
+ * queued or running.
+ */
+function restockIdempotencyKey(shop: string, variantId: string, subscriptionIds: number[]) {
+  const digest = createHash("sha256")
+    .update([...subscriptionIds].sort((a, b) => a - b).join(","))
+    .digest("hex")
+    .slice(0, 32);
+
+  return `restock:${shop}:${variantId}:${digest}`;
+}
+
+/**
+ * Queue a restock notification for the subscribers the variant's restock
+ * rule lets through (app/restock-rules.server.ts). `ignoreRules` notifies
+ * everyone waiting, for the admin "notify now" actions.
+ */
+export async function enqueueRestock(
+  shopCfg: ShopAdminConfig,
+  variantId: string,
+  { ignoreRules = false }: { ignoreRules?: boolean } = {},
+) {
+  const numericVariantId = toNumericId(variantId);
+
+  // Local rows only: no Admin API call for variants nobody waits on
+  const pending = await listPendingSubscriptions(shopCfg.shopDomain, numericVariantId);
+  let subscriptionIds: number[] = pending.map((s: { id: number }) => s.id);
+
+  if (subscriptionIds.length === 0) {
+    return { queued: false as const, reason: "No pending subscriptions" };
+  }
+
+  if (!ignoreRules) {
+    const selection = await selectRestockSubscriptions(shopCfg, numericVariantId, pending);
+    if (selection.subscriptionIds.length === 0) {
+      return { queued: false as const, reason: selection.reason ?? "Restock rule not met" };
+    }
+    subscriptionIds = selection.subscriptionIds;
+  }
+
+  const idempotencyKey = restockIdempotencyKey(
+    shopCfg.shopDomain,
+    numericVariantId,
+    subscriptionIds,
+  );
+  const payload: JobPayload = { subscriptionIds };
+
+  try {
+    const job = await prisma.notificationJob.create({
+      data: {
+        shop: shopCfg.shopDomain,
+        variantId: numericVariantId,
+        idempotencyKey,
+        payload: JSON.stringify(payload),
+      },
+    });
+
+    console.log("Backinstock jobs: queued", job.id, idempotencyKey);
+    return { queued: true as const, jobId: job.id as number, duplicate: false };
+  } catch (err: any) {
+    if (err?.code !== "P2002") throw err;
+
+    const existing = await prisma.notificationJob.findUnique({ where: { idempotencyKey } });
+
+    // A finished job with the same subscribers runs again: a dead one gets a
+    // fresh attempt budget, a succeeded one picks up whoever it had to skip.
+    // The payload keeps `sentTo`, so nobody is emailed twice.
+    const requeued = await prisma.notificationJob.updateMany({
+      where: { idempotencyKey, status: { in: ["dead", "succeeded"] } },
+      data: { status: "queued", attempts: 0, runAt: new Date(), lastError: null, lockedAt: null },
+    });
+    if (requeued.count > 0) {
+      console.log("Backinstock jobs: requeued finished job", existing?.id, idempotencyKey);
+      return { queued: true as const, jobId: existing?.id as number, duplicate: false };
+    }
+
+    console.log("Backinstock jobs: duplicate restock event for job", existing?.id);
+    return { queued: true as const, jobId: existing?.id as number, duplicate: true };
+  }
+}
+
+/**
+ * Put a dead (or stuck) job back in the queue with a fresh attempt budget.
+ */
+export async function replayJob(shop: string, jobId: number) {
+  const result = await prisma.notificationJob.updateMany({
+    where: { id: jobId, shop, status: { in: ["dead", "queued"] } },
+    data: { status: "queued", attempts: 0, runAt: new Date(), lastError: null, lockedAt: null },
+  });
+
+  return result.count > 0;
+}
+
+async function claimNextJob() {
+  const now = new Date();
+
+  // Recover jobs whose worker died mid-run
+  await prisma.notificationJob.updateMany({
+    where: { status: "running", lockedAt: { lt: new Date(now.getTime() - STALE_LOCK_MS) } },
+    data: { status: "queued", lockedAt: null },
+  });
+
+  const candidate = await prisma.notificationJob.findFirst({
+    where: { status: "queued", runAt: { lte: now } },
+    orderBy: { runAt: "asc" },
+  });
+  if (!candidate) return null;
+
+  // Conditional update = atomic claim; another worker may have won the race
+  const claimed = await prisma.notificationJob.updateMany({
+    where: { id: candidate.id, status: "queued" },
+    data: { status: "running", lockedAt: now, attempts: { increment: 1 } },
+  });
+
+  return claimed.count === 1 ? { ...candidate, attempts: candidate.attempts + 1 } : null;
+}
+
+async function failJob(
+  job: { id: number; attempts: number; maxAttempts: number },
+  error: string,
+  payload?: JobPayload,
+) {
+  const dead = job.attempts >= job.maxAttempts;
+
+  await prisma.notificationJob.update({
+    where: { id: job.id },
+    data: {
+      ...(payload ? { payload: JSON.stringify(payload) } : {}),
+      status: dead ? "dead" : "queued",
+      lockedAt: null,
+      lastError: error,
+      runAt: new Date(Date.now() + (dead ? 0 : backoffMs(job.attempts))),
+    },
+  });
+
+  console.error(
+    `Backinstock jobs: job ${job.id} failed (attempt ${job.attempts}/${job.maxAttempts})${dead ? ", moved to dead letter" : ""}:`,
+    error,
+  );
+}
+
+async function runJob(job: any) {
+  const payload: JobPayload = JSON.parse(job.payload || "{}");
+
+  let shopCfg: ShopAdminConfig;
+  try {
+    shopCfg = await getShopAdminConfigByDomain(job.shop);
+  } catch (err) {
+    await failJob(job, err instanceof Error ? err.message : String(err));
+    return;
+  }
+
+  const result = await notifyRestock(
+    shopCfg,
+    job.variantId,
+    payload.subscriptionIds ?? [],
+    payload.sentTo ?? [],
+  );
+
+  // 5xx = transient (Admin API, Laravel); anything else is final
+  if (result.status >= 500) {
+    // Remember who already has the email so the retry doesn't send it twice
+    const sentTo: string[] | undefined = result.body.sentTo;
+    await failJob(job, JSON.stringify(result.body), sentTo ? { ...payload, sentTo } : undefined);
+    return;
+  }
+
+  await prisma.notificationJob.update({
+    where: { id: job.id },
+    data: {
+      status: result.status < 400 ? "succeeded" : "dead",
+      lockedAt: null,
+      lastError: result.status < 400 ? null : JSON.stringify(result.body),
+      result: JSON.stringify(result.body),
+    },
+  });
+}
+
+/**
+ * Drain every due job once. Exposed for the worker loop and manual runs.
+ */
+export async function processDueJobs() {
+  let processed = 0;
+
+  while (true) {
+    const job = await claimNextJob();
+    if (!job) return processed;
+
+    try {
+      await runJob(job);
+    } catch (err) {
+      await failJob(job, err instanceof Error ? err.message : String(err));
+    }
+    processed++;
+  }
+}
+
+declare global {
+  // eslint-disable-next-line no-var
+  var backinstockWorkerStarted: boolean | undefined;
+}
+
+/**
+ * Start the in-process worker once per process (survives dev HMR reloads).
+ * Set BACKINSTOCK_WORKER=off on instances that should only serve requests.
+ */
+export function startNotificationWorker() {
+  if (global.backinstockWorkerStarted || process.env.BACKINSTOCK_WORKER === "off") return;
+  global.backinstockWorkerStarted = true;
+
+  let running = false;
+
+  setInterval(async () => {
+    if (running) return;
+    running = true;
+    try {
+      await processDueJobs();
+      await expireReservations();
+    } catch (err) {
+      console.error("Backinstock jobs: worker loop error", err);
+    } finally {
+      running = false;
+    }
+  }, POLL_INTERVAL_MS).unref();
+
+  console.log("Backinstock jobs: notification worker started");
+}
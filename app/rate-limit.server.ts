@@ -0,0 +1,116 @@
+// app/rate-limit.server.ts
+import prisma from "./db.server";
+
+/**
+ * Fixed-window request counters in the RateLimit table, so limits hold across
+ * processes and restarts. A key names who is limited, e.g. "subscribe:ip:1.2.3.4".
+ */
+
+export type RateLimit = {
+  limit: number; // requests allowed per window
+  windowMs: number;
+};
+
+export type RateLimitResult = {
+  allowed: boolean;
+  retryAfterSeconds: number; // until the window resets, when not allowed
+};
+
+// Rows untouched for this long are deleted; longer than any window we use
+const STALE_AFTER_MS = 24 * 60 * 60_000;
+
+/**
+ * Count one request against `key` and say whether it is within the limit.
+ */
+export async function hitRateLimit(
+  key: string,
+  { limit, windowMs }: RateLimit,
+): Promise<RateLimitResult> {
+  const now = new Date();
+
+  await prisma.rateLimit.deleteMany({
+    where: { windowStart: { lt: new Date(now.getTime() - STALE_AFTER_MS) } },
+  });
+
+  const current = await prisma.rateLimit.findUnique({ where: { key } });
+
+  if (!current || current.windowStart.getTime() + windowMs <= now.getTime()) {
+    await prisma.rateLimit.upsert({
+      where: { key },
+      create: { key, count: 1, windowStart: now },
+      update: { count: 1, windowStart: now },
+    });
+    return { allowed: true, retryAfterSeconds: 0 };
+  }
+
+  const updated = await prisma.rateLimit.update({
+    where: { key },
+    data: { count: { increment: 1 } },
+  });
+
+  const resetsAt = current.windowStart.getTime() + windowMs;
+  return {
+    allowed: updated.count <= limit,
+    retryAfterSeconds: Math.max(1, Math.ceil((resetsAt - now.getTime()) / 1000)),
+  };
+}
+
+// Storefront subscribe endpoints, shared by every route that takes "Notify me"
+const SUBSCRIBE_IP_LIMIT: RateLimit = { limit: 30, windowMs: 10 * 60_000 };
+const SUBSCRIBE_CUSTOMER_LIMIT: RateLimit = { limit: 60, windowMs: 60 * 60_000 };
+
+/**
+ * The buyer's address, as vouched for by our own infrastructure. Proxies append
+ * to X-Forwarded-For, so its first entries are whatever the client sent; only
+ * the last TRUSTED_PROXY_HOPS (default 1) entries were added by proxies we run.
+ * CLIENT_IP_HEADER names a header the edge proxy sets instead (e.g.
+ * "Fly-Client-IP"), which wins when configured. Null when neither is present.
+ */
+function clientIp(request: Request): string | null {
+  const header = process.env.CLIENT_IP_HEADER;
+  if (header) {
+    return request.headers.get(header)?.trim() || null;
+  }
+
+  const hops = Math.max(1, Number.parseInt(process.env.TRUSTED_PROXY_HOPS ?? "", 10) || 1);
+  const forwarded = (request.headers.get("X-Forwarded-For") ?? "")
+    .split(",")
+    .map((entry) => entry.trim())
+    .filter(Boolean);
+
+  return forwarded.length >= hops ? forwarded[forwarded.length - hops] : null;
+}
+
+/**
+ * Count a storefront subscribe request per IP and per logged-in customer.
+ * Returns the seconds to wait when over either limit, otherwise null.
+ */
+export async function limitSubscribeRequest(
+  request: Request,
+  shop: string,
+  customerId: string | null,
+): Promise<number | null> {
+  const checks: [string, RateLimit][] = [];
+
+  // Unknown clients aren't pooled: one shared key would let 30 requests block everyone
+  const ip = clientIp(request);
+  if (ip) {
+    checks.push([`subscribe:ip:${ip}`, SUBSCRIBE_IP_LIMIT]);
+  } else {
+    console.warn("Backinstock subscribe: no client IP on request, skipping the IP limit");
+  }
+
+  if (customerId) {
+    checks.push([`subscribe:customer:${shop}:${customerId}`, SUBSCRIBE_CUSTOMER_LIMIT]);
+  }
+
+  for (const [key, limit] of checks) {
+    const result = await hitRateLimit(key, limit);
+    if (!result.allowed) {
+      console.warn("Backinstock subscribe: rate limited", key);
+      return result.retryAfterSeconds;
+    }
+  }
+
+  return null;
+}
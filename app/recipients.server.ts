@@ -0,0 +1,295 @@
+// app/recipients.server.ts
+import { loadNodes, offlineGraphqlRunner } from "./admin-graphql.server";
+import type { ShopAdminConfig } from "./shops.server";
+import { toNumericId, type SubscriberKey } from "./subscriptions.server";
+
+/**
+ * Works out who gets a restock email for each waiting company, following the
+ * shop's notifyPolicy:
+ * - subscriber: the buyer(s) who clicked "Notify me" (main contact for legacy rows without one)
+ * - main_contact: the company's main contact
+ * - location_contacts: every contact with an ordering role at the subscribed location(s)
+ * - custom: the shop's distribution list
+ *
+ * Retail customers and confirmed guest emails are individual subscribers:
+ * they always get their own address, whatever the policy.
+ *
+ * Each recipient carries a locale: the customer record's when there is one,
+ * otherwise the storefront locale of the subscription (the caller falls back
+ * to the shop default).
+ *
+ * Each recipient lists the subscriptions its email notifies; subscriptions no
+ * address covers are returned in `skipped` with a reason and stay pending.
+ * An address gets one email per company, naming that company.
+ */
+
+// Built-in B2B roles that can place orders at a location
+const ORDERING_ROLE_NAMES = ["Ordering only", "Location admin"];
+
+type SubscriptionRow = {
+  id: number;
+  kind: string;
+  companyId: string | null;
+  companyLocationId: string | null;
+  contactId: string | null;
+  customerId: string | null;
+  email: string | null;
+  locale: string | null;
+};
+
+export type Recipient = {
+  email: string;
+  companyId: string | null;
+  companyName: string;
+  subscriber: SubscriberKey; // who the unsubscribe link cancels
+  subscriptionIds: number[]; // the rows this email notifies
+  locale: string | null; // customer record locale, else the storefront locale they subscribed in
+};
+
+export type SkippedCompany = {
+  companyId?: string;
+  customerId?: string;
+  companyName?: string;
+  reason: string;
+};
+
+export async function resolveRecipients(
+  shopCfg: ShopAdminConfig,
+  subscriptions: SubscriptionRow[],
+): Promise<{ recipients: Recipient[]; skipped: SkippedCompany[] }> {
+  const policy = shopCfg.notifyPolicy;
+  const graphql = offlineGraphqlRunner(shopCfg);
+  const byCompany = new Map<string, SubscriptionRow[]>();
+  const individuals: SubscriptionRow[] = [];
+  for (const sub of subscriptions) {
+    if (sub.kind !== "company" || !sub.companyId) {
+      individuals.push(sub);
+      continue;
+    }
+    byCompany.set(sub.companyId, [...(byCompany.get(sub.companyId) ?? []), sub]);
+  }
+  const companyIds = Array.from(byCompany.keys());
+
+  // 1) Companies: name, main contact, locations (for location_contacts without a recorded location)
+  const companies = await loadNodes(
+    graphql,
+    companyIds.map((id) => `gid://shopify/Company/${id}`),
+    `
+      ... on Company {
+        id
+        name
+        mainContact {
+          customer {
+            locale
+            defaultEmailAddress {
+              emailAddress
+            }
+          }
+        }
+        locations(first: 20) {
+          nodes {
+            id
+          }
+        }
+      }
+    `,
+  );
+
+  // 2) Subscribers' own addresses (retail customers always, B2B buyers under "subscriber")
+  const customerIds = (policy === "subscriber" ? subscriptions : individuals)
+    .map((s) => s.customerId)
+    .filter(Boolean) as string[];
+  let customers: Record<string, any> = {};
+  if (customerIds.length > 0) {
+    customers = await loadNodes(
+      graphql,
+      customerIds.map((id) => `gid://shopify/Customer/${id}`),
+      `
+        ... on Customer {
+          id
+          locale
+          defaultEmailAddress {
+            emailAddress
+          }
+        }
+      `,
+    );
+  }
+
+  // Subscribed locations, or every location of the company when none was recorded
+  const companyLocationIds = (companyId: string): string[] => {
+    const recorded = byCompany
+      .get(companyId)!
+      .map((s) => s.companyLocationId)
+      .filter(Boolean) as string[];
+    return recorded.length > 0
+      ? recorded
+      : (companies[companyId]?.locations?.nodes ?? []).map((l: any) => toNumericId(l.id));
+  };
+
+  // 3) Location role assignments
+  let locations: Record<string, any> = {};
+  if (policy === "location_contacts") {
+    const locationIds = companyIds.flatMap(companyLocationIds);
+
+    locations = await loadNodes(
+      graphql,
+      locationIds.map((id) => `gid://shopify/CompanyLocation/${id}`),
+      `
+        ... on CompanyLocation {
+          id
+          roleAssignments(first: 50) {
+            nodes {
+              role {
+                name
+              }
+              companyContact {
+                customer {
+                  locale
+                  defaultEmailAddress {
+                    emailAddress
+                  }
+                }
+              }
+            }
+          }
+        }
+      `,
+    );
+  }
+
+  const recipients: Recipient[] = [];
+  const skipped: SkippedCompany[] = [];
+  // "<companyId>:<address>" -> recipient, so one address gets one email per company
+  const byAddress = new Map<string, Recipient>();
+
+  const addRecipient = (recipient: Recipient) => {
+    const key = `${recipient.companyId ?? ""}:${recipient.email.toLowerCase()}`;
+    const existing = byAddress.get(key);
+    if (existing) {
+      existing.subscriptionIds.push(...recipient.subscriptionIds);
+      // One address for two contacts: its link unsubscribes the company
+      if (
+        existing.subscriber.kind === "company" &&
+        recipient.subscriber.kind === "company" &&
+        existing.subscriber.contactId !== recipient.subscriber.contactId
+      ) {
+        existing.subscriber = { kind: "company", companyId: existing.subscriber.companyId };
+      }
+      return;
+    }
+    byAddress.set(key, recipient);
+    recipients.push(recipient);
+  };
+
+  for (const sub of individuals) {
+    const customer = sub.kind === "customer" ? customers[sub.customerId!] : undefined;
+    // A customer's row email is the address they asked to be reached at
+    const email: string | undefined = sub.email ?? customer?.defaultEmailAddress?.emailAddress;
+
+    if (!email) {
+      skipped.push({ customerId: sub.customerId ?? undefined, reason: "Customer has no email" });
+      continue;
+    }
+    addRecipient({
+      email,
+      companyId: null,
+      companyName: "",
+      subscriber:
+        sub.kind === "customer"
+          ? { kind: "customer", customerId: sub.customerId! }
+          : { kind: "email", email },
+      subscriptionIds: [sub.id],
+      locale: customer?.locale ?? sub.locale,
+    });
+  }
+
+  for (const companyId of companyIds) {
+    const company = companies[companyId];
+    const subs = byCompany.get(companyId)!;
+
+    if (!company) {
+      skipped.push({ companyId, reason: "Company not found" });
+      continue;
+    }
+
+    // The buyer's storefront locale, for addresses without a customer record
+    const buyerLocale = subs.find((s) => s.locale)?.locale ?? null;
+    const allIds = subs.map((s) => s.id);
+    const contactOf = (customer: any, subscriptionIds = allIds) => ({
+      email: customer?.defaultEmailAddress?.emailAddress as string | undefined,
+      locale: (customer?.locale as string | undefined) ?? buyerLocale,
+      subscriptionIds,
+    });
+
+    const mainContact = contactOf(company.mainContact?.customer);
+    // contactId: the subscribing contact, whose rows alone their unsubscribe link cancels
+    let contacts: {
+      email?: string;
+      locale: string | null;
+      subscriptionIds: number[];
+      contactId?: string | null;
+    }[] = [];
+    let reason = "";
+
+    if (policy === "subscriber") {
+      const withCustomer = subs.filter((s) => s.customerId || s.email);
+      contacts = withCustomer.map((s) => {
+        const customer = contactOf(customers[s.customerId!], [s.id]);
+        return {
+          ...customer,
+          ...(s.email ? { email: s.email, locale: s.locale ?? customer.locale } : {}),
+          contactId: s.contactId,
+        };
+      });
+      // Rows from before contacts were recorded
+      const legacy = subs.filter((s) => !s.customerId && !s.email);
+      if (legacy.length > 0) {
+        contacts.push(contactOf(company.mainContact?.customer, legacy.map((s) => s.id)));
+      }
+      reason = "Subscribing contact has no email";
+    } else if (policy === "location_contacts") {
+      contacts = companyLocationIds(companyId).flatMap((locationId) =>
+        (locations[locationId]?.roleAssignments?.nodes ?? [])
+          .filter((a: any) => ORDERING_ROLE_NAMES.includes(a?.role?.name))
+          .map((a: any) => contactOf(a?.companyContact?.customer)),
+      );
+      reason = "No contacts with an ordering role have an email";
+    } else if (policy === "custom") {
+      contacts = shopCfg.notifyDistributionList.map((email) => ({
+        email,
+        locale: buyerLocale,
+        subscriptionIds: allIds,
+      }));
+      reason = "Distribution list is empty";
+    } else {
+      contacts = [mainContact];
+      reason = "Main contact has no email";
+    }
+
+    const withEmail = contacts
+      .map((c) => ({ ...c, email: c.email?.trim() ?? "" }))
+      .filter((c) => c.email);
+
+    for (const contact of withEmail) {
+      addRecipient({
+        email: contact.email,
+        companyId,
+        companyName: company.name,
+        subscriber: contact.contactId
+          ? { kind: "company", companyId, contactId: contact.contactId }
+          : { kind: "company", companyId },
+        subscriptionIds: [...contact.subscriptionIds],
+        locale: contact.locale,
+      });
+    }
+
+    // Rows no address covers, e.g. one buyer of several without an email
+    const covered = new Set(withEmail.flatMap((c) => c.subscriptionIds));
+    if (allIds.some((id) => !covered.has(id))) {
+      skipped.push({ companyId, companyName: company.name, reason });
+    }
+  }
+
+  return { recipients, skipped };
+}
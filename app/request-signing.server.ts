@@ -0,0 +1,155 @@
+// app/request-signing.server.ts
+import { createHmac, randomBytes, timingSafeEqual } from "crypto";
+import prisma from "./db.server";
+
+/**
+ * HMAC-signed server-to-server requests: Shopify Flow -> this app, and this
+ * app -> the Laravel seller app.
+ *
+ * A signed request carries three headers:
+ * - X-Backinstock-Timestamp: unix seconds when it was sent
+ * - X-Backinstock-Nonce: random, never reused
+ * - X-Backinstock-Signature: hex HMAC-SHA256 of "<timestamp>.<nonce>.<raw body>"
+ *
+ * Inbound requests are rejected outside a ±5 minute window or when their nonce
+ * was already seen (RequestNonce table). Secrets come from the environment as
+ * a comma-separated list, current first: during a rotation both the new and
+ * the old secret verify, and only the first one signs.
+ * - FLOW_SHARED_SECRETS (or FLOW_SHARED_SECRET): Flow requests
+ * - LARAVEL_SIGNING_SECRETS: requests to Laravel, a separate key
+ */
+
+export const TIMESTAMP_HEADER = "X-Backinstock-Timestamp";
+export const NONCE_HEADER = "X-Backinstock-Nonce";
+export const SIGNATURE_HEADER = "X-Backinstock-Signature";
+
+const REPLAY_WINDOW_MS = 5 * 60_000;
+
+export type SignedRequestResult =
+  { ok: true; body: string } | { ok: false; status: 401 | 500; error: string };
+
+// "new, old" -> ["new", "old"]
+function parseSecrets(value: string | undefined): string[] {
+  return (value ?? "")
+    .split(",")
+    .map((s) => s.trim())
+    .filter(Boolean);
+}
+
+export function flowSecrets(): string[] {
+  return parseSecrets(process.env.FLOW_SHARED_SECRETS || process.env.FLOW_SHARED_SECRET);
+}
+
+export function laravelSecrets(): string[] {
+  return parseSecrets(process.env.LARAVEL_SIGNING_SECRETS);
+}
+
+function sign(secret: string, timestamp: string, nonce: string, body: string): Buffer {
+  return createHmac("sha256", secret).update(`${timestamp}.${nonce}.${body}`).digest();
+}
+
+/**
+ * Headers that sign `body` with the first (current) secret.
+ */
+export function signRequest(secrets: string[], body: string): Record<string, string> {
+  const [secret] = secrets;
+  if (!secret) {
+    throw new Error("No signing secret configured");
+  }
+
+  const timestamp = String(Math.floor(Date.now() / 1000));
+  const nonce = randomBytes(16).toString("hex");
+
+  return {
+    [TIMESTAMP_HEADER]: timestamp,
+    [NONCE_HEADER]: nonce,
+    [SIGNATURE_HEADER]: sign(secret, timestamp, nonce, body).toString("hex"),
+  };
+}
+
+/**
+ * Record the nonce; false when it was already used inside the window.
+ */
+async function claimNonce(scope: string, nonce: string): Promise<boolean> {
+  const now = new Date();
+
+  await prisma.requestNonce.deleteMany({ where: { expiresAt: { lt: now } } });
+
+  try {
+    await prisma.requestNonce.create({
+      data: {
+        key: `${scope}:${nonce}`,
+        // Long enough that a replay can't outlive the row
+        expiresAt: new Date(now.getTime() + 2 * REPLAY_WINDOW_MS),
+      },
+    });
+    return true;
+  } catch (err: any) {
+    if (err?.code !== "P2002") throw err;
+    return false;
+  }
+}
+
+/**
+ * Check the signature, timestamp and nonce of an inbound request and return
+ * its raw body. Reads the body, so callers parse `body` instead of the request.
+ */
+export async function verifySignedRequest(
+  request: Request,
+  scope: string,
+  secrets: string[],
+): Promise<SignedRequestResult> {
+  if (secrets.length === 0) {
+    return { ok: false, status: 500, error: "Signing secret not configured" };
+  }
+
+  const timestamp = request.headers.get(TIMESTAMP_HEADER) ?? "";
+  const nonce = request.headers.get(NONCE_HEADER) ?? "";
+  const signature = (request.headers.get(SIGNATURE_HEADER) ?? "").replace(/^sha256=/, "");
+
+  if (!/^\d+$/.test(timestamp) || !/^[\w-]{16,128}$/.test(nonce) || !signature) {
+    return { ok: false, status: 401, error: "Missing or malformed signature headers" };
+  }
+
+  if (Math.abs(Date.now() - Number(timestamp) * 1000) > REPLAY_WINDOW_MS) {
+    return { ok: false, status: 401, error: "Request timestamp outside the allowed window" };
+  }
+
+  const body = await request.text();
+  const given = Buffer.from(signature, "hex");
+
+  const valid = secrets.some((secret) => {
+    const expected = sign(secret, timestamp, nonce, body);
+    return given.length === expected.length && timingSafeEqual(given, expected);
+  });
+  if (!valid) {
+    return { ok: false, status: 401, error: "Invalid signature" };
+  }
+
+  // Only a correctly signed request may use up a nonce
+  if (!(await claimNonce(scope, nonce))) {
+    return { ok: false, status: 401, error: "Request already received" };
+  }
+
+  return { ok: true, body };
+}
+
+/**
+ * POST JSON to the Laravel seller app, signed with LARAVEL_SIGNING_SECRETS.
+ */
+export async function postToLaravel(url: string, payload: Record<string, unknown>) {
+  const secrets = laravelSecrets();
+  if (secrets.length === 0) {
+    throw new Error("LARAVEL_SIGNING_SECRETS must be set to call the seller app");
+  }
+  const body = JSON.stringify(payload);
+
+  return fetch(url, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      ...signRequest(secrets, body),
+    },
+    body,
+  });
+}
@@ -0,0 +1,324 @@
+// app/reservations.server.ts
+import prisma from "./db.server";
+import { adminGraphql, loadNodes, offlineGraphqlRunner } from "./admin-graphql.server";
+import { getShopAdminConfigByDomain, type ShopAdminConfig } from "./shops.server";
+import { toNumericId } from "./subscriptions.server";
+
+/**
+ * Reserve-on-restock for key accounts.
+ *
+ * With the shop's reserveOnRestock on, a company subscription with a
+ * reserveQuantity gets a B2B draft order when its restock email is sent:
+ * - bought by the company location, so its catalog prices apply
+ * - the line's inventory is held until the reservation expires
+ * - the email links to the draft order invoice instead of the product page
+ *
+ * One reservation per company and restock, capped at the stock left. The
+ * worker expires them: a draft still open after expiresAt is deleted, which
+ * releases the stock; a paid one is marked completed.
+ */
+
+export const DEFAULT_RESERVATION_HOURS = 48;
+export const MAX_RESERVATION_HOURS = 14 * 24;
+
+export type ReservationStatus = "active" | "completed" | "expired";
+
+export type ReservationView = {
+  quantity: number;
+  invoiceUrl: string;
+  expiresAt: Date;
+};
+
+type SubscriptionRow = {
+  id: number;
+  kind: string;
+  companyId: string | null;
+  companyLocationId: string | null;
+  contactId: string | null;
+  reserveQuantity: number | null;
+};
+
+type ReservationRow = ReservationView & {
+  id: number;
+  shop: string;
+  subscriptionId: number;
+  draftOrderId: string;
+};
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Draft orders the app created, so staff can tell them apart in the admin
+const RESERVATION_TAG = "backinstock-reservation";
+
+export function toReservationHours(value: unknown): number {
+  const hours = Number.parseInt(String(value ?? ""), 10);
+  if (!Number.isFinite(hours) || hours < 1) return DEFAULT_RESERVATION_HOURS;
+  return Math.min(hours, MAX_RESERVATION_HOURS);
+}
+
+/**
+ * Create (or, on a job retry, reuse) the reservations for the subscriptions
+ * being notified. Returns them by subscription ID; subscribers without one
+ * get the product link as usual.
+ */
+export async function reserveForRestock(
+  shopCfg: ShopAdminConfig,
+  variantId: string,
+  subscriptions: SubscriptionRow[],
+  available: number,
+): Promise<Map<number, ReservationView>> {
+  const reservations = new Map<number, ReservationView>();
+  if (!shopCfg.reserveOnRestock) return reservations;
+
+  // Oldest row with a reserve quantity per company
+  const byCompany = new Map<string, SubscriptionRow>();
+  for (const sub of subscriptions) {
+    if (sub.kind !== "company" || !sub.companyId || !sub.reserveQuantity) continue;
+    if (!byCompany.has(sub.companyId)) byCompany.set(sub.companyId, sub);
+  }
+  if (byCompany.size === 0) return reservations;
+
+  const candidates = Array.from(byCompany.values());
+
+  const existing: ReservationRow[] = await prisma.reservation.findMany({
+    where: { subscriptionId: { in: candidates.map((s) => s.id) } },
+  });
+  for (const r of existing) {
+    reservations.set(r.subscriptionId, r);
+  }
+
+  // Admin-added subscriptions have no location or contact; use the company's main ones
+  const missing = candidates.filter(
+    (s) => !reservations.has(s.id) && (!s.companyLocationId || !s.contactId),
+  );
+  const companies = await loadNodes(
+    offlineGraphqlRunner(shopCfg),
+    missing.map((s) => `gid://shopify/Company/${s.companyId}`),
+    `
+      ... on Company {
+        id
+        mainContact {
+          id
+        }
+        locations(first: 1) {
+          nodes {
+            id
+          }
+        }
+      }
+    `,
+  );
+
+  // `available` is Shopify's fresh inventoryQuantity, which already leaves out
+  // units held by open draft orders (ours included), so nothing to subtract
+  let remaining = Math.max(0, available);
+
+  for (const sub of candidates) {
+    if (reservations.has(sub.id)) continue;
+
+    const quantity = Math.min(sub.reserveQuantity ?? 0, remaining);
+    if (quantity <= 0) break;
+
+    const company = companies[sub.companyId as string];
+    const companyLocationId =
+      sub.companyLocationId || toNumericId(company?.locations?.nodes?.[0]?.id);
+    const contactId = sub.contactId || toNumericId(company?.mainContact?.id);
+
+    if (!companyLocationId || !contactId) {
+      console.warn(
+        "Backinstock reservations: company has no location or contact, not reserving:",
+        sub.companyId,
+      );
+      continue;
+    }
+
+    const expiresAt = new Date(Date.now() + toReservationHours(shopCfg.reservationHours) * HOUR_MS);
+
+    try {
+      const draftJson = await adminGraphql(
+        shopCfg,
+        `
+          mutation BackinstockReserve($input: DraftOrderInput!) {
+            draftOrderCreate(input: $input) {
+              draftOrder {
+                id
+                invoiceUrl
+              }
+              userErrors {
+                field
+                message
+              }
+            }
+          }
+        `,
+        {
+          input: {
+            purchasingEntity: {
+              purchasingCompany: {
+                companyId: `gid://shopify/Company/${sub.companyId}`,
+                companyContactId: `gid://shopify/CompanyContact/${contactId}`,
+                companyLocationId: `gid://shopify/CompanyLocation/${companyLocationId}`,
+              },
+            },
+            lineItems: [{ variantId: `gid://shopify/ProductVariant/${variantId}`, quantity }],
+            reserveInventoryUntil: expiresAt.toISOString(),
+            tags: [RESERVATION_TAG],
+          },
+        },
+      );
+
+      const result = draftJson?.data?.draftOrderCreate;
+      const draftOrder = result?.draftOrder;
+      if (!draftOrder?.invoiceUrl) {
+        console.error(
+          "Backinstock reservations: draftOrderCreate failed for company",
+          sub.companyId,
+          result?.userErrors ?? draftJson?.errors,
+        );
+        continue;
+      }
+
+      const reservation = await prisma.reservation.create({
+        data: {
+          shop: shopCfg.shopDomain,
+          subscriptionId: sub.id,
+          variantId,
+          companyId: sub.companyId,
+          companyLocationId,
+          quantity,
+          draftOrderId: toNumericId(draftOrder.id),
+          invoiceUrl: draftOrder.invoiceUrl,
+          expiresAt,
+        },
+      });
+
+      reservations.set(sub.id, reservation);
+      remaining -= quantity;
+    } catch (err) {
+      console.error("Backinstock reservations: could not reserve for company", sub.companyId, err);
+    }
+  }
+
+  return reservations;
+}
+
+async function closeReservation(shopCfg: ShopAdminConfig, reservation: ReservationRow) {
+  const draftGid = `gid://shopify/DraftOrder/${reservation.draftOrderId}`;
+
+  const statusJson = await adminGraphql(
+    shopCfg,
+    `
+      query BackinstockReservationStatus($id: ID!) {
+        draftOrder(id: $id) {
+          status
+        }
+      }
+    `,
+    { id: draftGid },
+  );
+  const status = statusJson?.data?.draftOrder?.status;
+
+  if (status === "COMPLETED") {
+    await prisma.reservation.update({
+      where: { id: reservation.id },
+      data: { status: "completed" },
+    });
+    return;
+  }
+
+  if (status) {
+    const deleteJson = await adminGraphql(
+      shopCfg,
+      `
+        mutation BackinstockReservationExpire($input: DraftOrderDeleteInput!) {
+          draftOrderDelete(input: $input) {
+            userErrors {
+              field
+              message
+            }
+          }
+        }
+      `,
+      { input: { id: draftGid } },
+    );
+
+    const userErrors = deleteJson?.data?.draftOrderDelete?.userErrors ?? [];
+    if (userErrors.length > 0) {
+      throw new Error(`draftOrderDelete failed: ${JSON.stringify(userErrors)}`);
+    }
+  }
+
+  // Deleted now, or already gone from the admin
+  await prisma.reservation.update({
+    where: { id: reservation.id },
+    data: { status: "expired" },
+  });
+}
+
+/**
+ * Close every active reservation past its expiry. Run by the notification
+ * worker; a reservation that fails stays active and is tried on the next pass.
+ */
+export async function expireReservations() {
+  const due: ReservationRow[] = await prisma.reservation.findMany({
+    where: { status: "active", expiresAt: { lte: new Date() } },
+    orderBy: { expiresAt: "asc" },
+  });
+
+  const byShop = new Map<string, ReservationRow[]>();
+  for (const r of due) {
+    byShop.set(r.shop, [...(byShop.get(r.shop) ?? []), r]);
+  }
+
+  let closed = 0;
+
+  for (const [shop, reservations] of byShop) {
+    let shopCfg: ShopAdminConfig;
+    try {
+      shopCfg = await getShopAdminConfigByDomain(shop);
+    } catch (err) {
+      console.error("Backinstock reservations: cannot expire for shop", shop, err);
+      continue;
+    }
+
+    for (const reservation of reservations) {
+      try {
+        await closeReservation(shopCfg, reservation);
+        closed++;
+      } catch (err) {
+        console.error("Backinstock reservations: could not expire", reservation.id, err);
+      }
+    }
+  }
+
+  return closed;
+}
+
+/**
+ * Reserve quantities set on the pending company subscriptions of the given
+ * variants, per variant then company.
+ */
+export async function loadReserveQuantities(shop: string, variantIds: string[]) {
+  const byVariant = new Map<string, Record<string, number>>();
+  if (variantIds.length === 0) return byVariant;
+
+  const rows = await prisma.subscription.findMany({
+    where: {
+      shop,
+      status: "pending",
+      kind: "company",
+      variantId: { in: variantIds.map(toNumericId) },
+      reserveQuantity: { gt: 0 },
+    },
+    orderBy: { createdAt: "asc" },
+    select: { variantId: true, companyId: true, reserveQuantity: true },
+  });
+
+  for (const r of rows as { variantId: string; companyId: string; reserveQuantity: number }[]) {
+    const companies = byVariant.get(r.variantId) ?? {};
+    companies[r.companyId] ??= r.reserveQuantity;
+    byVariant.set(r.variantId, companies);
+  }
+
+  return byVariant;
+}
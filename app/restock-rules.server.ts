@@ -0,0 +1,333 @@
+// app/restock-rules.server.ts
+import prisma from "./db.server";
+import { adminGraphql, loadNodes, offlineGraphqlRunner } from "./admin-graphql.server";
+import type { ShopAdminConfig } from "./shops.server";
+import { toNumericId } from "./subscriptions.server";
+
+/**
+ * Restock rules decide who a restock notifies.
+ *
+ * A rule belongs to the shop (productId "") or to one product, which wins.
+ * - minQuantity: counted units needed before anyone is notified
+ * - locationIds: inventory locations that count (empty = all)
+ * - matchCompanyLocations: a company is only notified when the counted
+ *   locations in its company location's shipping country hold minQuantity
+ * - companiesPerUnit: staggered release, N subscribers per counted unit,
+ *   first come first served, less those already notified since the restock
+ * - quantityCoverage: a subscription with a requested quantity waits until
+ *   the stock that counts for it covers this percentage of that quantity
+ *
+ * Subscribers left out stay pending and are reconsidered on the next
+ * inventory increase.
+ */
+
+export type RestockRuleInput = {
+  minQuantity: number;
+  locationIds: string[];
+  matchCompanyLocations: boolean;
+  companiesPerUnit: number;
+  quantityCoverage: number; // percent of the requested quantity, 1-100
+};
+
+export type RestockRuleView = RestockRuleInput & {
+  productId: string; // "" for the shop default
+  productTitle: string | null;
+};
+
+export const DEFAULT_RESTOCK_RULE: RestockRuleInput = {
+  minQuantity: 1,
+  locationIds: [],
+  matchCompanyLocations: false,
+  companiesPerUnit: 0,
+  quantityCoverage: 100,
+};
+
+// Locations read per variant; more than this is unusual for B2B shops
+const INVENTORY_LOCATIONS = 50;
+
+type RuleRow = {
+  productId: string;
+  productTitle: string | null;
+  minQuantity: number;
+  locationIds: string;
+  matchCompanyLocations: boolean;
+  companiesPerUnit: number;
+  quantityCoverage: number;
+};
+
+type PendingRow = {
+  id: number;
+  kind: string;
+  companyId: string | null;
+  companyLocationId: string | null;
+  customerId: string | null;
+  email: string | null;
+  requestedQuantity: number | null;
+  createdAt: Date;
+};
+
+function parseLocationIds(value: string | null | undefined): string[] {
+  if (!value) return [];
+
+  try {
+    const parsed = JSON.parse(value);
+    return Array.isArray(parsed) ? parsed.filter((id) => typeof id === "string") : [];
+  } catch {
+    return [];
+  }
+}
+
+function toRuleView(row: RuleRow): RestockRuleView {
+  return {
+    productId: row.productId,
+    productTitle: row.productTitle,
+    minQuantity: row.minQuantity,
+    locationIds: parseLocationIds(row.locationIds),
+    matchCompanyLocations: row.matchCompanyLocations,
+    companiesPerUnit: row.companiesPerUnit,
+    quantityCoverage: row.quantityCoverage,
+  };
+}
+
+/**
+ * The product's rule, else the shop default, else DEFAULT_RESTOCK_RULE.
+ */
+export async function getRestockRule(shop: string, productId: string): Promise<RestockRuleInput> {
+  const rows: RuleRow[] = await prisma.restockRule.findMany({
+    where: { shop, productId: { in: [toNumericId(productId), ""] } },
+  });
+
+  const row = rows.find((r) => r.productId !== "") ?? rows[0];
+  return row ? toRuleView(row) : DEFAULT_RESTOCK_RULE;
+}
+
+export async function listRestockRules(shop: string) {
+  const rows: RuleRow[] = await prisma.restockRule.findMany({
+    where: { shop },
+    orderBy: [{ productTitle: "asc" }, { productId: "asc" }],
+  });
+
+  const shopRule = rows.find((r) => r.productId === "");
+
+  return {
+    shopRule: shopRule
+      ? toRuleView(shopRule)
+      : { ...DEFAULT_RESTOCK_RULE, productId: "", productTitle: null },
+    productRules: rows.filter((r) => r.productId !== "").map(toRuleView),
+  };
+}
+
+export async function saveRestockRule(
+  shop: string,
+  productId: string,
+  rule: RestockRuleInput,
+  productTitle?: string | null,
+) {
+  const data = {
+    minQuantity: rule.minQuantity,
+    locationIds: JSON.stringify(rule.locationIds.map(toNumericId)),
+    matchCompanyLocations: rule.matchCompanyLocations,
+    companiesPerUnit: rule.companiesPerUnit,
+    quantityCoverage: rule.quantityCoverage,
+    productTitle: productTitle ?? null,
+  };
+  const key = toNumericId(productId);
+
+  return prisma.restockRule.upsert({
+    where: { shop_productId: { shop, productId: key } },
+    create: { shop, productId: key, ...data },
+    update: data,
+  });
+}
+
+export async function deleteRestockRule(shop: string, productId: string) {
+  return prisma.restockRule.deleteMany({ where: { shop, productId: toNumericId(productId) } });
+}
+
+function subscriberKey(row: {
+  kind: string;
+  companyId: string | null;
+  customerId: string | null;
+  email: string | null;
+}) {
+  if (row.kind === "company") return `c:${row.companyId}`;
+  if (row.kind === "customer") return `u:${row.customerId}`;
+  return `e:${row.email}`;
+}
+
+/**
+ * Subscribers notified about the variant since it last came back in stock;
+ * they use up staggered release slots.
+ */
+async function countNotifiedSinceRestock(shop: string, variantId: string) {
+  const inventory = await prisma.variantInventory.findUnique({
+    where: { shop_variantId: { shop, variantId } },
+    select: { restockedAt: true },
+  });
+  if (!inventory?.restockedAt) return 0;
+
+  const rows = await prisma.subscription.findMany({
+    where: { shop, variantId, status: "notified", notifiedAt: { gte: inventory.restockedAt } },
+    select: { kind: true, companyId: true, customerId: true, email: true },
+  });
+
+  return new Set(rows.map(subscriberKey)).size;
+}
+
+/**
+ * Apply the variant's restock rule to its pending subscriptions (oldest
+ * first). Returns the IDs to notify now, or none with a reason.
+ */
+export async function selectRestockSubscriptions(
+  shopCfg: ShopAdminConfig,
+  variantId: string,
+  pending: PendingRow[],
+): Promise<{ subscriptionIds: number[]; reason?: string }> {
+  const numericVariantId = toNumericId(variantId);
+
+  const stockJson = await adminGraphql(
+    shopCfg,
+    `
+      query BackinstockRestockStock($id: ID!) {
+        productVariant(id: $id) {
+          product {
+            id
+          }
+          inventoryItem {
+            inventoryLevels(first: ${INVENTORY_LOCATIONS}) {
+              nodes {
+                location {
+                  id
+                  address {
+                    countryCode
+                  }
+                }
+                quantities(names: ["available"]) {
+                  quantity
+                }
+              }
+            }
+          }
+        }
+      }
+    `,
+    { id: `gid://shopify/ProductVariant/${numericVariantId}` },
+  );
+
+  const variant = stockJson?.data?.productVariant;
+  if (!variant) {
+    return { subscriptionIds: [], reason: "Variant not found" };
+  }
+
+  const rule = await getRestockRule(shopCfg.shopDomain, toNumericId(variant.product?.id));
+
+  const levels = (variant.inventoryItem?.inventoryLevels?.nodes ?? [])
+    .map((level: any) => ({
+      locationId: toNumericId(level?.location?.id),
+      countryCode: (level?.location?.address?.countryCode as string | null) ?? null,
+      available: Math.max(0, (level?.quantities?.[0]?.quantity as number) ?? 0),
+    }))
+    .filter(
+      (level: { locationId: string }) =>
+        rule.locationIds.length === 0 || rule.locationIds.includes(level.locationId),
+    ) as { locationId: string; countryCode: string | null; available: number }[];
+
+  const counted = levels.reduce((sum, level) => sum + level.available, 0);
+  if (counted < rule.minQuantity) {
+    return {
+      subscriptionIds: [],
+      reason: `Restock below minimum (${counted} of ${rule.minQuantity} units at counted locations)`,
+    };
+  }
+
+  // Shipping country per company location, when the rule matches regions
+  let countryByLocation: Record<string, any> = {};
+  if (rule.matchCompanyLocations) {
+    const locationIds = pending.map((p) => p.companyLocationId).filter((id): id is string => !!id);
+    countryByLocation = await loadNodes(
+      offlineGraphqlRunner(shopCfg),
+      locationIds.map((id) => `gid://shopify/CompanyLocation/${toNumericId(id)}`),
+      `
+        ... on CompanyLocation {
+          id
+          shippingAddress {
+            countryCode
+          }
+        }
+      `,
+    );
+  }
+
+  // Units that can serve the row. A company location without a known
+  // country can be served from anywhere.
+  const stockFor = (row: PendingRow) => {
+    if (!rule.matchCompanyLocations || row.kind !== "company" || !row.companyLocationId) {
+      return counted;
+    }
+    const country =
+      countryByLocation[toNumericId(row.companyLocationId)]?.shippingAddress?.countryCode;
+    if (!country) return counted;
+
+    return levels
+      .filter((level) => level.countryCode === country)
+      .reduce((sum, level) => sum + level.available, 0);
+  };
+
+  const servable = (row: PendingRow) => stockFor(row) >= rule.minQuantity;
+
+  const covered = (row: PendingRow) =>
+    !row.requestedQuantity ||
+    stockFor(row) >= Math.ceil((row.requestedQuantity * rule.quantityCoverage) / 100);
+
+  let slots =
+    rule.companiesPerUnit > 0
+      ? rule.companiesPerUnit * counted -
+        (await countNotifiedSinceRestock(shopCfg.shopDomain, numericVariantId))
+      : Number.POSITIVE_INFINITY;
+
+  // First come first served: subscribers in order of their earliest row
+  const bySubscriber = new Map<string, PendingRow[]>();
+  for (const row of [...pending].sort(
+    (a, b) => new Date(a.createdAt).getTime() - new Date(b.createdAt).getTime(),
+  )) {
+    const key = subscriberKey(row);
+    bySubscriber.set(key, [...(bySubscriber.get(key) ?? []), row]);
+  }
+
+  const subscriptionIds: number[] = [];
+  let outOfRegion = 0;
+  let notCovered = 0;
+
+  for (const rows of bySubscriber.values()) {
+    if (slots <= 0) break;
+
+    const servableRows = rows.filter(servable);
+    if (servableRows.length === 0) {
+      outOfRegion += 1;
+      continue;
+    }
+
+    const eligible = servableRows.filter(covered);
+    if (eligible.length === 0) {
+      notCovered += 1;
+      continue;
+    }
+
+    subscriptionIds.push(...eligible.map((r) => r.id));
+    slots -= 1;
+  }
+
+  if (subscriptionIds.length === 0) {
+    return {
+      subscriptionIds,
+      reason:
+        notCovered > 0
+          ? "Not enough stock for the quantities the waiting subscribers asked for"
+          : outOfRegion > 0
+            ? "No stock at locations serving the waiting companies"
+            : "Staggered release: every slot for this restock is used",
+    };
+  }
+
+  return { subscriptionIds };
+}
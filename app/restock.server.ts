@@ -0,0 +1,396 @@
+// app/restock.server.ts
+import { adminGraphql, offlineGraphqlRunner } from "./admin-graphql.server";
+import { trackedProductUrl } from "./attribution.server";
+import {
+  sendRestockEmail,
+  type DeliveryResult,
+  type EmailRecipient,
+  type RestockEmailFields,
+} from "./email.server";
+import { DEFAULT_LOCALE, matchLocale } from "./i18n.server";
+import { resolveRecipients } from "./recipients.server";
+import { reserveForRestock } from "./reservations.server";
+import type { ShopAdminConfig } from "./shops.server";
+import {
+  adoptLegacyMirror,
+  listPendingSubscriptions,
+  markNotifiedAndSyncMirror,
+  parseMirrorValue,
+  unsubscribeToken,
+} from "./subscriptions.server";
+
+/**
+ * Restock notification pipeline, shared by the Flow endpoint and the
+ * inventory webhooks: load the variant, resolve waiting subscribers, reserve
+ * stock for key accounts (app/reservations.server.ts), send the email through
+ * the configured transport, then mark the subscriptions notified.
+ *
+ * Returns an HTTP status + JSON body so callers can answer with it directly.
+ */
+
+export type RestockResult = {
+  status: number;
+  body: Record<string, any>;
+};
+
+function restockResult(body: Record<string, any>, init?: { status?: number }): RestockResult {
+  return { status: init?.status ?? 200, body };
+}
+
+function toVariantGid(variantId: string) {
+  // Flow sends a GID, webhooks a numeric ID
+  return variantId.startsWith("gid://") ? variantId : `gid://shopify/ProductVariant/${variantId}`;
+}
+
+/**
+ * Subscriptions written before the local store existed only live in the
+ * notify_companies metafield; turn them into pending rows before a run.
+ */
+export async function adoptLegacySubscriptions(shopCfg: ShopAdminConfig, variantId: string) {
+  const variantGid = toVariantGid(variantId);
+
+  const mirrorJson = await adminGraphql(
+    shopCfg,
+    `
+      query BackInStockLegacyMirror($id: ID!) {
+        productVariant(id: $id) {
+          product {
+            id
+          }
+          metafield(namespace: "backinstock", key: "notify_companies") {
+            value
+          }
+        }
+      }
+    `,
+    { id: variantGid },
+  );
+
+  const variantNode = mirrorJson?.data?.productVariant;
+  const adopted = await adoptLegacyMirror(
+    shopCfg.shopDomain,
+    variantGid,
+    variantNode?.product?.id ?? null,
+    parseMirrorValue(variantNode?.metafield?.value),
+  );
+
+  if (adopted > 0) {
+    console.log("Backinstock restock: adopted legacy metafield subscriptions:", adopted);
+  }
+
+  return adopted;
+}
+
+/**
+ * The shop's primary storefront language, for recipients without a locale.
+ */
+async function loadShopDefaultLocale(shopCfg: ShopAdminConfig): Promise<string> {
+  try {
+    const localesJson = await adminGraphql(
+      shopCfg,
+      `
+        query BackInStockShopLocales {
+          shopLocales(published: true) {
+            locale
+            primary
+          }
+        }
+      `,
+    );
+
+    const primary = (localesJson?.data?.shopLocales ?? []).find(
+      (l: { primary: boolean }) => l.primary,
+    );
+    return matchLocale(primary?.locale) ?? DEFAULT_LOCALE;
+  } catch (err) {
+    console.error("Backinstock restock: could not load shop locales:", err);
+    return DEFAULT_LOCALE;
+  }
+}
+
+// One email: an address, for one company (or for itself). What a retry skips.
+function recipientKey(r: { companyId: string | null; email: string }) {
+  return `${r.companyId ?? ""}:${r.email.toLowerCase()}`;
+}
+
+/**
+ * Mark subscriptions notified, then refresh the metafield mirror.
+ */
+async function markNotified(shopCfg: ShopAdminConfig, variantId: string, ids: number[]) {
+  try {
+    const { notifiedCount, companies, userErrors } = await markNotifiedAndSyncMirror(
+      offlineGraphqlRunner(shopCfg),
+      shopCfg.shopDomain,
+      variantId,
+      ids,
+    );
+    console.log("Backinstock restock: subscriptions marked notified:", notifiedCount);
+
+    if (userErrors.length > 0) {
+      console.error("Backinstock restock: mirror sync errors:", userErrors);
+    } else {
+      console.log("Backinstock restock: notify_companies mirror refreshed:", companies);
+    }
+  } catch (err) {
+    console.error("Backinstock restock: failed to update subscriptions after send:", err);
+  }
+}
+
+/**
+ * Notify the pending subscriptions for a variant. When `subscriptionIds` is
+ * given (job runs), only those rows are notified, so a retried job never
+ * picks up people who subscribed after it was queued. Recipients in
+ * `alreadySent` got the email on an earlier attempt and are skipped; a failed
+ * run returns the recipients sent so far as `sentTo` for the job to keep.
+ */
+export async function notifyRestock(
+  shopCfg: ShopAdminConfig,
+  variantId: string,
+  subscriptionIds?: number[],
+  alreadySent: string[] = [],
+): Promise<RestockResult> {
+  const variantGid = toVariantGid(variantId);
+
+  // 1) Load variant (+ product first image)
+  let variantNode: any;
+  try {
+    const variantDataJson = await adminGraphql(
+      shopCfg,
+      `
+        query BackInStockVariant($id: ID!) {
+          productVariant(id: $id) {
+            id
+            sku
+            displayName
+            inventoryQuantity
+            product {
+              id
+              title
+              handle
+              featuredImage {
+                url
+              }
+              images(first: 1) {
+                edges {
+                  node {
+                    url
+                  }
+                }
+              }
+            }
+          }
+        }
+      `,
+      { id: variantGid },
+    );
+
+    variantNode = variantDataJson?.data?.productVariant;
+  } catch (err: any) {
+    console.error("Backinstock restock: error loading variant via Admin API:", err);
+
+    return restockResult(
+      {
+        ok: false,
+        error: "Error loading variant via Admin API",
+        adminError: err instanceof Error ? err.message : String(err),
+      },
+      { status: 500 },
+    );
+  }
+
+  if (!variantNode) {
+    console.error("Backinstock restock: variant not found in Admin API");
+    return restockResult({ ok: false, error: "Variant not found" }, { status: 404 });
+  }
+
+  // variant exist
+  const variantNumericId = variantGid.split("/").pop() || "";
+
+  // ✅ NEW (2): compute first product image url
+  const productFeaturedUrl: string = variantNode?.product?.featuredImage?.url ?? "";
+
+  const productImagesFirstUrl: string = variantNode?.product?.images?.edges?.[0]?.node?.url ?? "";
+
+  const productImageUrl: string = productFeaturedUrl || productImagesFirstUrl || "";
+
+  // 2) Load the pending subscriptions this run is responsible for
+  const pendingSubscriptions = (
+    await listPendingSubscriptions(shopCfg.shopDomain, variantNumericId)
+  ).filter((s: { id: number }) => !subscriptionIds || subscriptionIds.includes(s.id));
+
+  console.log("Backinstock restock: pending subscriptions:", pendingSubscriptions.length);
+
+  if (pendingSubscriptions.length === 0) {
+    console.log("Backinstock restock: no pending subscriptions. Nothing to notify.");
+    return restockResult({
+      ok: true,
+      skipped: true,
+      reason: "No pending subscriptions",
+    });
+  }
+
+  // 3) Resolve recipient addresses per the shop's notify policy
+  const { recipients, skipped } = await resolveRecipients(shopCfg, pendingSubscriptions);
+
+  if (skipped.length > 0) {
+    console.warn("Backinstock restock: skipped subscribers:", skipped);
+  }
+
+  console.log("Backinstock restock: final recipients array:", recipients);
+
+  if (recipients.length === 0) {
+    console.log("Backinstock restock: no recipients with email found.");
+    return restockResult({
+      ok: true,
+      skipped: true,
+      reason: "No recipient emails found",
+      skippedCompanies: skipped,
+    });
+  }
+
+  // 4) Derive numeric product_id from product GID
+  const productGid: string | undefined = variantNode.product?.id;
+  let productNumericId: number | null = null;
+
+  if (productGid) {
+    const parts = productGid.split("/");
+    const last = parts[parts.length - 1];
+    const asNum = parseInt(last, 10);
+    if (!Number.isNaN(asNum)) {
+      productNumericId = asNum;
+    }
+  }
+
+  if (!productNumericId) {
+    console.error("Backinstock restock: could not derive numeric product_id from", productGid);
+    return restockResult(
+      { ok: false, error: "Could not derive product_id from product GID" },
+      { status: 500 },
+    );
+  }
+
+  // 5) Build the email fields and send through the configured transport
+  const handle = variantNode.product?.handle ?? "";
+  const productUrl = handle
+    ? `https://${shopCfg.storefrontDomain}/products/${handle}`
+    : `https://${shopCfg.storefrontDomain}/products/${productNumericId}`;
+
+  const fields: RestockEmailFields = {
+    product_id: productNumericId,
+    product_title: variantNode.product?.title ?? "",
+    variant_title: variantNode.displayName ?? "",
+    sku: variantNode.sku ?? "",
+    product_url: productUrl,
+    shop_id: shopCfg.shopId,
+    product_image_url: productImageUrl,
+    variant_id: variantNumericId,
+  };
+
+  // Subscription ID -> every recipient that has to get the email for it.
+  // Skipped subscriptions have none and stay pending.
+  const recipientsFor = new Map<number, string[]>();
+  for (const r of recipients) {
+    for (const id of r.subscriptionIds) {
+      recipientsFor.set(id, [...(recipientsFor.get(id) ?? []), recipientKey(r)]);
+    }
+  }
+
+  // Key accounts with a reserve quantity get a draft order and its invoice link,
+  // as long as someone at the company will get the email
+  const reservations = await reserveForRestock(
+    shopCfg,
+    variantNumericId,
+    pendingSubscriptions.filter((s: { id: number }) => recipientsFor.has(s.id)),
+    variantNode.inventoryQuantity ?? 0,
+  );
+
+  // One send per buyer locale; addresses without one get the shop's default language.
+  // An address emailed for several companies goes in a later batch each time,
+  // since the transports key per-recipient links by address.
+  const shopLocale = await loadShopDefaultLocale(shopCfg);
+  const sentTo = new Set(alreadySent);
+  type Batch = { locale: string; recipients: EmailRecipient[]; keys: Map<string, string> };
+  const batches = new Map<string, Batch>();
+
+  for (const r of recipients) {
+    const key = recipientKey(r);
+    if (sentTo.has(key)) continue;
+
+    const ids = r.subscriptionIds;
+    const locale = matchLocale(r.locale) ?? shopLocale;
+    const reservation = ids.map((id) => reservations.get(id)).find(Boolean);
+    const address = r.email.toLowerCase();
+
+    let n = 0;
+    while (batches.get(`${locale}#${n}`)?.keys.has(address)) n++;
+    const batch: Batch = batches.get(`${locale}#${n}`) ?? {
+      locale,
+      recipients: [],
+      keys: new Map(),
+    };
+
+    batch.keys.set(address, key);
+    batch.recipients.push({
+      email: r.email,
+      companyName: r.companyName,
+      productUrl:
+        reservation?.invoiceUrl ??
+        trackedProductUrl(productUrl, shopCfg.shopDomain, variantNumericId, ids),
+      reservedQuantity: reservation?.quantity,
+      reservedUntil: reservation?.expiresAt,
+      unsubscribeUrl: `https://${shopCfg.storefrontDomain}/apps/backinstock/unsubscribe?token=${unsubscribeToken(shopCfg.shopDomain, r.subscriber, variantNumericId)}`,
+    });
+    batches.set(`${locale}#${n}`, batch);
+  }
+
+  let delivery: DeliveryResult | null = null;
+  let sent = 0;
+
+  for (const { locale, recipients: group, keys } of batches.values()) {
+    delivery = await sendRestockEmail({ shopCfg, fields, recipients: group, locale });
+
+    console.log("Backinstock restock: delivery result:", locale, delivery);
+
+    for (const email of delivery.delivered) sentTo.add(keys.get(email.toLowerCase())!);
+    sent += delivery.sent;
+
+    if (!delivery.ok) {
+      // Whoever already has the email is done; the retry only sends to the rest
+      await markNotified(
+        shopCfg,
+        variantNumericId,
+        Array.from(recipientsFor)
+          .filter(([, keys]) => keys.every((key) => sentTo.has(key)))
+          .map(([id]) => id),
+      );
+
+      return restockResult(
+        {
+          ok: false,
+          error: delivery.error ?? "Email delivery failed",
+          transport: delivery.transport,
+          status: delivery.status,
+          deliveryResponse: delivery.response,
+          sentBeforeFailure: sent,
+          sentTo: Array.from(sentTo),
+        },
+        { status: 502 },
+      );
+    }
+  }
+
+  // 6) Mark the emailed subscriptions notified, then refresh the metafield mirror.
+  // Skipped ones, and anyone who subscribed while we were sending, stay pending.
+  await markNotified(shopCfg, variantNumericId, Array.from(recipientsFor.keys()));
+
+  return restockResult({
+    ok: true,
+    sent,
+    product_id: productNumericId,
+    transport: delivery?.transport,
+    locales: Array.from(new Set(Array.from(batches.values(), (b) => b.locale))),
+    reserved: reservations.size,
+    deliveryResponse: delivery?.response,
+    skippedCompanies: skipped,
+  });
+}
@@ -0,0 +1,60 @@
+import { json, type ActionFunctionArgs, type LoaderFunctionArgs } from "@remix-run/node";
+import { authenticate } from "../shopify.server";
+
+/**
+ * Company search for the admin product block's "Add company" picker.
+ *
+ * GET ?query=acme -> [{ id, name }]
+ */
+
+const corsHeaders = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Methods": "GET,OPTIONS",
+  "Access-Control-Allow-Headers": "Content-Type, Authorization",
+};
+
+const SEARCH_LIMIT = 10;
+
+export async function loader({ request }: LoaderFunctionArgs) {
+  if (request.method === "OPTIONS") {
+    return new Response(null, { status: 204, headers: corsHeaders });
+  }
+
+  const { admin } = await authenticate.admin(request);
+
+  const query = new URL(request.url).searchParams.get("query")?.trim() || "";
+  if (!query) {
+    return json([], { headers: corsHeaders });
+  }
+
+  try {
+    const response = await admin.graphql(
+      `
+        query BackinstockCompanySearch($query: String!, $first: Int!) {
+          companies(first: $first, query: $query, sortKey: NAME) {
+            nodes {
+              id
+              name
+            }
+          }
+        }
+      `,
+      { variables: { query, first: SEARCH_LIMIT } },
+    );
+
+    const data = await response.json();
+    const nodes: any[] = data?.data?.companies?.nodes ?? [];
+
+    return json(
+      nodes.map((c) => ({ id: c.id.split("/").pop(), name: c.name })),
+      { headers: corsHeaders },
+    );
+  } catch (error) {
+    console.error("Error in /api/backinstock/companies", error);
+    return json([], { status: 500, headers: corsHeaders });
+  }
+}
+
+export function action({}: ActionFunctionArgs) {
+  return new Response("Method not allowed", { status: 405, headers: corsHeaders });
+}
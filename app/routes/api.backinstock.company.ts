@@ -0,0 +1,134 @@
+import { json, type ActionFunctionArgs, type LoaderFunctionArgs } from "@remix-run/node";
+import prisma from "../db.server";
+import { authenticate } from "../shopify.server";
+import { toNumericId } from "../subscriptions.server";
+
+/**
+ * Admin company blocks: every variant one company (or one of its locations)
+ * is waiting on or was notified about.
+ *
+ * GET ?companyId=...          company details page
+ * GET ?companyLocationId=...  company location page
+ *
+ * Unsubscribing goes through DELETE /api/backinstock/subscribers.
+ */
+
+const corsHeaders = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Methods": "GET,OPTIONS",
+  "Access-Control-Allow-Headers": "Content-Type, Authorization",
+};
+
+// Newest first; older history lives on the app's Subscriptions page
+const MAX_ROWS = 100;
+
+type Row = {
+  id: number;
+  variantId: string;
+  companyId: string;
+  companyLocationId: string | null;
+  title: string;
+  sku: string;
+  status: string;
+  requestedQuantity: number | null;
+  createdAt: string;
+  notifiedAt: string | null;
+};
+
+export async function loader({ request }: LoaderFunctionArgs) {
+  if (request.method === "OPTIONS") {
+    return new Response(null, { status: 204, headers: corsHeaders });
+  }
+
+  const { admin, session } = await authenticate.admin(request);
+
+  const url = new URL(request.url);
+  const companyId = toNumericId(url.searchParams.get("companyId"));
+  const companyLocationId = toNumericId(url.searchParams.get("companyLocationId"));
+
+  if (!companyId && !companyLocationId) {
+    return json(
+      { ok: false, error: "Missing companyId or companyLocationId" },
+      { status: 400, headers: corsHeaders },
+    );
+  }
+
+  try {
+    const subscriptions = await prisma.subscription.findMany({
+      where: {
+        shop: session.shop,
+        kind: "company",
+        ...(companyId ? { companyId } : { companyLocationId }),
+        status: { in: ["pending", "notified"] },
+      },
+      orderBy: { createdAt: "desc" },
+      take: MAX_ROWS,
+    });
+
+    const variantIds: string[] = Array.from(
+      new Set(subscriptions.map((s: { variantId: string }) => s.variantId)),
+    );
+
+    const titles: Record<string, { title: string; sku: string }> = {};
+
+    if (variantIds.length > 0) {
+      const response = await admin.graphql(
+        `
+          query BackinstockCompanyVariants($ids: [ID!]!) {
+            nodes(ids: $ids) {
+              ... on ProductVariant {
+                id
+                title
+                sku
+                product {
+                  title
+                }
+              }
+            }
+          }
+        `,
+        { variables: { ids: variantIds.map((id) => `gid://shopify/ProductVariant/${id}`) } },
+      );
+
+      const data = await response.json();
+      for (const node of (data?.data?.nodes ?? []) as any[]) {
+        if (!node?.id) continue;
+
+        // Same display title as the product block
+        const productTitle: string = node.product?.title ?? "(Untitled product)";
+        const title =
+          !node.title || node.title === "Default Title"
+            ? productTitle
+            : `${productTitle} – ${node.title}`;
+
+        titles[toNumericId(node.id)] = { title, sku: node.sku || "-" };
+      }
+    }
+
+    const rows: Row[] = subscriptions.map((s: any) => ({
+      id: s.id,
+      variantId: s.variantId,
+      companyId: s.companyId,
+      companyLocationId: s.companyLocationId,
+      // Deleted variants no longer resolve
+      title: titles[s.variantId]?.title ?? `Variant ${s.variantId}`,
+      sku: titles[s.variantId]?.sku ?? "-",
+      status: s.status,
+      requestedQuantity: s.requestedQuantity,
+      createdAt: new Date(s.createdAt).toISOString(),
+      notifiedAt: s.notifiedAt ? new Date(s.notifiedAt).toISOString() : null,
+    }));
+
+    return json({ ok: true, rows }, { headers: corsHeaders });
+  } catch (error) {
+    console.error("Error in /api/backinstock/company", error);
+    return json(
+      { ok: false, error: "Could not load subscriptions." },
+      { status: 500, headers: corsHeaders },
+    );
+  }
+}
+
+export function action({}: ActionFunctionArgs) {
+  return new Response("Method not allowed", { status: 405, headers: corsHeaders });
+}
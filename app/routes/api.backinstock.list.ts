@@ -4,6 +4,9 @@ import {
   type LoaderFunctionArgs,
 } from "@remix-run/node";
 import { authenticate } from "../shopify.server";
+import { toNumericId } from "../subscriptions.server";
+import { loadVariantDemand } from "../waiting.server";
+import { loadReserveQuantities } from "../reservations.server";
 
 const corsHeaders = {
   "Access-Control-Allow-Origin": "*",
@@ -25,7 +28,7 @@ export async function loader({ request }: LoaderFunctionArgs) {
       return json([], { status: 200, headers: corsHeaders });
     }
 
-    const { admin } = await authenticate.admin(request);
+    const { admin, session } = await authenticate.admin(request);
 
     // 1) Fetch product + variants with metafield
     const response = await admin.graphql(
@@ -68,6 +71,8 @@ export async function loader({ request }: LoaderFunctionArgs) {
       sku: string;
       companies: string[];
       companyNames?: string[];
+      requestedUnits: number;
+      reserves: Record<string, number>; // reserve quantity per key account company ID
     };
 
     const rows: Row[] =
@@ -103,9 +108,22 @@ export async function loader({ request }: LoaderFunctionArgs) {
           title: displayTitle,
           sku: v?.sku || "-",
           companies: companyIds,
+          requestedUnits: 0,
+          reserves: {},
         };
       }) ?? [];
 
+    // Total units wanted and reserve quantities, from the local subscriptions
+    const variantIds = rows.map((r) => r.variantId);
+    const [demand, reserves] = await Promise.all([
+      loadVariantDemand(session.shop, variantIds),
+      loadReserveQuantities(session.shop, variantIds),
+    ]);
+    for (const row of rows) {
+      row.requestedUnits = demand.get(toNumericId(row.variantId)) ?? 0;
+      row.reserves = reserves.get(toNumericId(row.variantId)) ?? {};
+    }
+
     // If no companies at all, we can return now
     const allCompanyIds = Array.from(
       new Set(rows.flatMap((r) => r.companies).filter(Boolean))
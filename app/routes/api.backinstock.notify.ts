@@ -0,0 +1,79 @@
+import { json, type ActionFunctionArgs, type LoaderFunctionArgs } from "@remix-run/node";
+import { authenticate } from "../shopify.server";
+import { enqueueRestock } from "../jobs.server";
+import { getShopAdminConfigByDomain } from "../shops.server";
+import { toNumericId } from "../subscriptions.server";
+import { recordAudit } from "../audit.server";
+
+/**
+ * Admin product block "Send notification now": queue the restock email for
+ * everyone waiting on one variant, whatever its inventory or restock rule.
+ *
+ * POST { variantId }
+ */
+
+const corsHeaders = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Methods": "POST,OPTIONS",
+  "Access-Control-Allow-Headers": "Content-Type, Authorization",
+};
+
+export function loader({ request }: LoaderFunctionArgs) {
+  if (request.method === "OPTIONS") {
+    return new Response(null, { status: 204, headers: corsHeaders });
+  }
+
+  return new Response("Method not allowed", { status: 405, headers: corsHeaders });
+}
+
+export async function action({ request }: ActionFunctionArgs) {
+  if (request.method === "OPTIONS") {
+    return new Response(null, { status: 204, headers: corsHeaders });
+  }
+
+  if (request.method !== "POST") {
+    return json({ ok: false, error: "Method not allowed" }, { status: 405, headers: corsHeaders });
+  }
+
+  const { session, sessionToken } = await authenticate.admin(request);
+
+  let payload: { variantId?: string };
+  try {
+    payload = await request.json();
+  } catch {
+    return json({ ok: false, error: "Invalid JSON body" }, { status: 400, headers: corsHeaders });
+  }
+
+  const variantId = toNumericId(payload.variantId);
+  if (!variantId) {
+    return json({ ok: false, error: "Missing variantId" }, { status: 400, headers: corsHeaders });
+  }
+
+  try {
+    const shopCfg = await getShopAdminConfigByDomain(session.shop);
+    const queued = await enqueueRestock(shopCfg, variantId, { ignoreRules: true });
+
+    await recordAudit({
+      shop: session.shop,
+      actor: sessionToken?.sub,
+      action: "notify_now",
+      variantId,
+      details: queued,
+    });
+
+    if (!queued.queued) {
+      return json({ ok: true, skipped: true, reason: queued.reason }, { headers: corsHeaders });
+    }
+
+    return json(
+      { ok: true, queued: true, jobId: queued.jobId, duplicate: queued.duplicate },
+      { status: 202, headers: corsHeaders },
+    );
+  } catch (error) {
+    console.error("Error in /api/backinstock/notify", error);
+    return json(
+      { ok: false, error: "Could not queue notification." },
+      { status: 500, headers: corsHeaders },
+    );
+  }
+}
@@ -0,0 +1,41 @@
+import type { LoaderFunctionArgs } from "@remix-run/node";
+import { authenticate } from "../shopify.server";
+import { confirmEmailSubscription } from "../subscriptions.server";
+import { localizedLiquid, translate } from "../i18n.server";
+
+function page(titleKey: string, messageKey: string) {
+  return localizedLiquid(
+    (locale) => `<div class="page-width">
+      <h1>${translate(locale, titleKey)}</h1>
+      <p>${translate(locale, messageKey)}</p>
+    </div>`,
+  );
+}
+
+/**
+ * Double opt-in link from the guest confirmation email.
+ * Storefront URL: /apps/backinstock/confirm?token=a,b,...
+ */
+export async function loader({ request }: LoaderFunctionArgs) {
+  const { liquid, session } = await authenticate.public.appProxy(request);
+
+  // One link can confirm several variants picked together
+  const tokens = (new URL(request.url).searchParams.get("token") || "").split(",").filter(Boolean);
+
+  const confirmed = [];
+  for (const token of session ? tokens : []) {
+    const subscription = await confirmEmailSubscription(session!.shop, token);
+    if (subscription) confirmed.push(subscription.id);
+  }
+
+  if (confirmed.length === 0) {
+    return liquid(
+      page("backinstock.pages.link_expired_title", "backinstock.pages.link_expired_message"),
+      { status: 404 },
+    );
+  }
+
+  console.log("Backinstock email subscriptions confirmed:", confirmed);
+
+  return liquid(page("backinstock.pages.confirmed_title", "backinstock.pages.confirmed_message"));
+}
@@ -0,0 +1,215 @@
+// app/routes/api.backinstock.register.subscribe.ts
+import { json, type ActionFunctionArgs, type LoaderFunctionArgs } from "@remix-run/node";
+import { authenticate } from "../shopify.server";
+import { subscribeAndSyncMirror, type GraphqlRunner } from "../subscriptions.server";
+import { getShopByDomain, isStorefrontOrigin } from "../shops.server";
+import { findCompanyContact } from "../companies.server";
+import { postToLaravel } from "../request-signing.server";
+import { limitSubscribeRequest } from "../rate-limit.server";
+
+/**
+ * Storefront URL: /apps/backinstock/subscribe
+ *
+ * Form POST { variant_id, company_id, company_location_id?, quantity? } from a
+ * theme's "Notify me" button. Only accepted through the app proxy, whose
+ * signature vouches for `logged_in_customer_id`; that customer must be a
+ * contact of the company. Requests from another site's Origin are refused,
+ * and each IP and customer is rate limited.
+ */
+
+function tooManyRequests(retryAfterSeconds: number) {
+  return json(
+    { ok: false, error: "Too many requests. Please try again later." },
+    { status: 429, headers: { "Retry-After": String(retryAfterSeconds) } },
+  );
+}
+
+// ==============================
+// ACTION: subscribe company to variant
+// ==============================
+
+export async function action({ request }: ActionFunctionArgs) {
+  if (request.method !== "POST") {
+    return json({ ok: false, error: "Method not allowed" }, { status: 405 });
+  }
+
+  let admin;
+  let shop: string;
+  try {
+    const appProxyContext = await authenticate.public.appProxy(request);
+    if (!appProxyContext.admin || !appProxyContext.session) {
+      return json(
+        { ok: false, error: "Admin API is not available for this shop." },
+        { status: 500 },
+      );
+    }
+
+    admin = appProxyContext.admin;
+    shop = appProxyContext.session.shop;
+  } catch (error) {
+    console.error("Backinstock subscribe: app proxy authentication failed", error);
+    return json({ ok: false, error: "Unauthorized app proxy request." }, { status: 401 });
+  }
+
+  const shopRow = await getShopByDomain(shop);
+  if (!shopRow?.enabled) {
+    return json(
+      { ok: false, error: "Back in stock is not enabled for this shop." },
+      { status: 403 },
+    );
+  }
+
+  // Browsers send the page's Origin; it must be one of this shop's storefronts
+  const origin = request.headers.get("Origin");
+  if (origin && !isStorefrontOrigin(shopRow, origin)) {
+    console.error("Backinstock subscribe: origin not allowed", origin, shop);
+    return json({ ok: false, error: "Origin not allowed." }, { status: 403 });
+  }
+
+  const customerId = new URL(request.url).searchParams.get("logged_in_customer_id") || "";
+  if (!customerId) {
+    return json({ ok: false, error: "Log in to subscribe." }, { status: 401 });
+  }
+
+  const retryAfter = await limitSubscribeRequest(request, shop, customerId);
+  if (retryAfter !== null) {
+    return tooManyRequests(retryAfter);
+  }
+
+  const formData = await request.formData();
+  const variantIdRaw = formData.get("variant_id")?.toString() || "";
+  const companyId = formData.get("company_id")?.toString() || "";
+  const companyLocationIdRaw = formData.get("company_location_id")?.toString() || null;
+
+  if (!/^\d+$/.test(variantIdRaw) || !/^\d+$/.test(companyId)) {
+    return json({ ok: false, error: "Missing variant_id or company_id" }, { status: 400 });
+  }
+
+  // Optional: notify once this many units are available (see restock rules)
+  const quantityRaw = formData.get("quantity")?.toString().trim() || "";
+  let requestedQuantity: number | null = null;
+  if (quantityRaw) {
+    requestedQuantity = Number(quantityRaw);
+    if (!Number.isInteger(requestedQuantity) || requestedQuantity < 1) {
+      return json(
+        { ok: false, error: "Quantity must be a whole number of at least 1." },
+        { status: 400 },
+      );
+    }
+  }
+
+  // Liquid gives numeric variant ID → build Admin GID
+  const variantGid = `gid://shopify/ProductVariant/${variantIdRaw}`;
+
+  const graphql: GraphqlRunner = async (query, variables) => {
+    const res = await admin.graphql(query, { variables });
+    return res.json();
+  };
+
+  try {
+    // 1) The customer must be a contact of the company they subscribe for
+    const contact = await findCompanyContact(graphql, customerId, companyId);
+    if (!contact) {
+      return json({ ok: false, error: "You are not a contact of this company." }, { status: 403 });
+    }
+
+    // A location is only kept when the contact has a role there
+    const companyLocationId =
+      companyLocationIdRaw && contact.locationIds.includes(companyLocationIdRaw)
+        ? companyLocationIdRaw
+        : null;
+
+    // 2) Look up the product so the local row carries it for reporting
+    const readJson = await graphql(
+      `
+        query VariantProduct($id: ID!) {
+          productVariant(id: $id) {
+            id
+            sku
+            product {
+              id
+              title
+            }
+          }
+        }
+      `,
+      { id: variantGid },
+    );
+
+    const variantNode = readJson?.data?.productVariant;
+    if (!variantNode) {
+      return json({ ok: false, error: "Variant not found" }, { status: 404 });
+    }
+
+    // 3) Record the subscription locally and refresh the storefront mirror.
+    // Serialized per shop+variant, so parallel clicks can't drop each other.
+    const { created, companies, userErrors } = await subscribeAndSyncMirror(graphql, {
+      shop,
+      variantId: variantIdRaw,
+      productId: variantNode.product?.id ?? null,
+      productTitle: variantNode.product?.title ?? null,
+      sku: variantNode.sku ?? null,
+      companyId,
+      companyLocationId,
+      contactId: contact.contactId,
+      customerId,
+      requestedQuantity,
+    });
+
+    // Only post to Laravel if it is a NEW subscription
+    if (created) {
+      try {
+        const subscriptionPayload = {
+          company_id: companyId,
+          variant_id: variantIdRaw, // numeric ID from Liquid
+          requested_quantity: requestedQuantity,
+          website: origin ?? `https://${shop}`, // e.g. https://bloomconnect.com.hk
+          shop_id: `gid://shopify/Shop/${shopRow.id}`, // e.g. gid://shopify/Shop/49541087392
+        };
+
+        const saveResp = await postToLaravel(
+          "https://sellerapp.bloomandgrowgroup.com/api/backinstock/saveSubscription",
+          subscriptionPayload,
+        );
+
+        const saveText = await saveResp.text();
+        let saveJson: any;
+
+        try {
+          saveJson = JSON.parse(saveText);
+        } catch {
+          saveJson = { raw: saveText };
+        }
+
+        if (!saveResp.ok || saveJson?.ok === false) {
+          console.error("Backinstock subscribe: Laravel saveSubscription failed", {
+            status: saveResp.status,
+            body: saveJson,
+          });
+        }
+      } catch (err) {
+        console.error("Backinstock subscribe: error calling saveSubscription endpoint", err);
+      }
+    }
+
+    // The row is saved; a stale mirror is fixed by the next sync
+    if (userErrors.length > 0) {
+      console.error("Backinstock subscribe: mirror not refreshed", userErrors);
+    }
+
+    return json({
+      ok: true,
+      message: "You’ll be notified when this product is back in stock.",
+      variantId: variantGid,
+      companies,
+    });
+  } catch (err) {
+    console.error("Backinstock subscribe: unexpected error", err);
+    return json({ ok: false, error: "Internal error" }, { status: 500 });
+  }
+}
+
+// GET: quick health check for this route
+export function loader({}: LoaderFunctionArgs) {
+  return json({ status: "ok", route: "apps/backinstock/subscribe" });
+}
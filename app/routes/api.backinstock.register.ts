@@ -1,15 +1,29 @@
-import {
-  json,
-  type ActionFunctionArgs,
-  type LoaderFunctionArgs,
-} from "@remix-run/node";
+import { json, type ActionFunctionArgs } from "@remix-run/node";
 import { authenticate } from "../shopify.server";
+import {
+  subscribeAndSyncMirror,
+  subscribeIndividual,
+  type GraphqlRunner,
+} from "../subscriptions.server";
+import { findCompanyContact } from "../companies.server";
+import { canSendConfirmationEmail, sendConfirmationEmail } from "../email.server";
+import { getShopAdminConfigByDomain, getShopByDomain, isStorefrontOrigin } from "../shops.server";
+import { matchLocale } from "../i18n.server";
+import { limitSubscribeRequest } from "../rate-limit.server";
+
+/**
+ * Storefront URL: /apps/backinstock (the theme block's "Notify me" dialog)
+ *
+ * JSON POST { variantIds, companyId?, companyLocationId?, email?, quantity?, note?, locale? }.
+ * Only reached through the app proxy, so same-origin with the storefront.
+ * A company subscription needs a logged-in customer who is one of its
+ * contacts; guests and retail customers subscribe themselves. Each IP and
+ * customer is rate limited.
+ */
 
-const corsHeaders = {
-  "Access-Control-Allow-Origin": "*",
-  "Access-Control-Allow-Headers": "Content-Type",
-  "Access-Control-Allow-Methods": "POST,OPTIONS",
-};
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const MAX_VARIANTS_PER_REQUEST = 20;
+const MAX_NOTE_LENGTH = 500;
 
 function toVariantGid(id: string): string {
   if (id.startsWith("gid://")) return id;
@@ -17,11 +31,12 @@ function toVariantGid(id: string): string {
 }
 
 export async function action({ request }: ActionFunctionArgs) {
-  if (request.method === "OPTIONS") {
-    return new Response(null, { status: 204, headers: corsHeaders });
+  if (request.method !== "POST") {
+    return json({ ok: false, error: "Method not allowed" }, { status: 405 });
   }
 
   let admin;
+  let shop: string;
   try {
     const appProxyContext = await authenticate.public.appProxy(request);
     admin = appProxyContext.admin;
@@ -30,155 +45,268 @@ export async function action({ request }: ActionFunctionArgs) {
       console.error("App proxy context has no admin client", appProxyContext);
       return json(
         { ok: false, error: "Admin API is not available for this shop." },
-        { status: 500, headers: corsHeaders },
+        { status: 500 },
       );
     }
+
+    shop = appProxyContext.session!.shop;
   } catch (error) {
     console.error("App proxy authentication failed", error);
+    return json({ ok: false, error: "Unauthorized app proxy request." }, { status: 401 });
+  }
+
+  const shopRow = await getShopByDomain(shop);
+  if (!shopRow?.enabled) {
     return json(
-      { ok: false, error: "Unauthorized app proxy request." },
-      { status: 401, headers: corsHeaders },
+      { ok: false, error: "Back in stock is not enabled for this shop." },
+      { status: 403 },
     );
   }
 
-  let payload: { variantId?: string; companyId?: string };
+  // Browsers send the page's Origin; it must be one of this shop's storefronts
+  const origin = request.headers.get("Origin");
+  if (origin && !isStorefrontOrigin(shopRow, origin)) {
+    console.error("Backinstock register: origin not allowed", origin, shop);
+    return json({ ok: false, error: "Origin not allowed." }, { status: 403 });
+  }
+
+  // Signed by Shopify on app proxy requests; empty for logged-out visitors
+  const customerId = new URL(request.url).searchParams.get("logged_in_customer_id") || null;
+
+  const retryAfter = await limitSubscribeRequest(request, shop, customerId);
+  if (retryAfter !== null) {
+    return json(
+      { ok: false, error: "Too many requests. Please try again later." },
+      { status: 429, headers: { "Retry-After": String(retryAfter) } },
+    );
+  }
+
+  let payload: {
+    variantId?: string;
+    variantIds?: string[];
+    companyId?: string;
+    companyLocationId?: string;
+    email?: string;
+    quantity?: number | string;
+    note?: string;
+    locale?: string;
+  };
   try {
     payload = await request.json();
   } catch {
-    return json(
-      { ok: false, error: "Invalid JSON body" },
-      { status: 400, headers: corsHeaders },
-    );
+    return json({ ok: false, error: "Invalid JSON body" }, { status: 400 });
   }
 
-  let { variantId, companyId } = payload;
+  const companyId = payload.companyId ? String(payload.companyId) : null;
+  const email = payload.email?.trim() || "";
 
-  if (!variantId || !companyId) {
+  // The storefront modal can subscribe several variants of the product at once
+  const variantIds = Array.from(
+    new Set(
+      (payload.variantIds?.length ? payload.variantIds : [payload.variantId])
+        .filter((id): id is string => typeof id === "string" && id !== "")
+        .map(toVariantGid),
+    ),
+  );
+
+  if (variantIds.length === 0 || variantIds.length > MAX_VARIANTS_PER_REQUEST) {
+    return json({ ok: false, error: "Choose at least one variant." }, { status: 400 });
+  }
+
+  if (companyId && !customerId) {
+    return json({ ok: false, error: "Log in to subscribe for your company." }, { status: 401 });
+  }
+
+  // Guests are confirmed by email; don't save rows nobody can confirm
+  if (!customerId && !canSendConfirmationEmail()) {
+    console.error("Backinstock register: guest sign-up needs an email transport (set SMTP_HOST)");
     return json(
-      { ok: false, error: "Missing variantId or companyId" },
-      { status: 400, headers: corsHeaders },
+      { ok: false, error: "Email sign-up is not available. Please log in to subscribe." },
+      { status: 503 },
     );
   }
 
-  const ownerId = toVariantGid(variantId);
-  variantId = ownerId;
+  // Guests must give an email; logged-in buyers may give one to be reached at instead
+  if (!customerId || email) {
+    if (!EMAIL_PATTERN.test(email)) {
+      return json({ ok: false, error: "Enter a valid email address." }, { status: 400 });
+    }
+  }
 
-  console.log("Backinstock payload on server:", {
-    rawVariantId: payload.variantId,
-    normalizedVariantId: ownerId,
-    companyId,
-  });
+  let requestedQuantity: number | null = null;
+  if (payload.quantity !== undefined && payload.quantity !== null && payload.quantity !== "") {
+    requestedQuantity = Number(payload.quantity);
+    if (!Number.isInteger(requestedQuantity) || requestedQuantity < 1) {
+      return json(
+        { ok: false, error: "Quantity must be a whole number of at least 1." },
+        { status: 400 },
+      );
+    }
+  }
+
+  const note = payload.note?.trim().slice(0, MAX_NOTE_LENGTH) || null;
+  const locale = matchLocale(payload.locale);
 
-  // 1) Read existing metafield
-  let current: string[] = [];
+  const graphql = async (query: string, variables?: Record<string, any>) => {
+    const res = await admin.graphql(query, { variables });
+    return res.json();
+  };
+
+  // The customer must be a contact of the company they subscribe for. The
+  // contact is recorded so the "subscriber" notify policy can reach them, and a
+  // location is only kept when they have a role there.
+  let contactId: string | null = null;
+  let companyLocationId: string | null = null;
+  if (companyId && customerId) {
+    let contact;
+    try {
+      contact = await findCompanyContact(graphql, customerId, companyId);
+    } catch (error) {
+      console.error("Error resolving company contact", error);
+      return json({ ok: false, error: "Failed to save subscription." }, { status: 500 });
+    }
+
+    if (!contact) {
+      return json({ ok: false, error: "You are not a contact of this company." }, { status: 403 });
+    }
+
+    contactId = contact.contactId;
+    const requestedLocationId = String(payload.companyLocationId ?? "");
+    companyLocationId = contact.locationIds.includes(requestedLocationId)
+      ? requestedLocationId
+      : null;
+  }
 
   try {
-    const readRes = await admin.graphql(
-      `
-        query VariantMeta($id: ID!) {
-          productVariant(id: $id) {
-            metafield(namespace: "backinstock", key: "notify_companies") {
-              value
-            }
-          }
+    const results = [];
+    const unconfirmed: { token: string; email: string; variantTitle: string }[] = [];
+    let productTitle = "";
+
+    for (const ownerId of variantIds) {
+      // 1) Look up the product so the local row carries it for reporting
+      const variant = await readVariant(graphql, ownerId);
+      productTitle ||= variant.productTitle;
+
+      // 2) Record the subscription locally (companies also refresh the metafield mirror)
+      if (companyId) {
+        const { created, companies, userErrors } = await subscribeAndSyncMirror(graphql, {
+          shop,
+          variantId: ownerId,
+          productId: variant.productId,
+          productTitle: variant.productTitle,
+          sku: variant.sku,
+          companyId,
+          companyLocationId,
+          contactId,
+          customerId,
+          email: email || null,
+          requestedQuantity,
+          note,
+          locale,
+        });
+
+        if (userErrors.length > 0) {
+          console.error("Backinstock mirror sync errors:", userErrors);
         }
-      `,
-      {
-        variables: { id: ownerId },
-      },
-    );
 
-    const readJson = await readRes.json();
-    const value =
-      readJson?.data?.productVariant?.metafield?.value;
+        results.push({ variantId: ownerId, kind: "company", created, current: companies });
+        continue;
+      }
 
-    current = value ? JSON.parse(value) : [];
-    if (!Array.isArray(current)) current = [];
-  } catch (error) {
-    console.error("Error reading metafield", error);
-    current = [];
-  }
+      const { subscription, created } = await subscribeIndividual({
+        shop,
+        variantId: ownerId,
+        productId: variant.productId,
+        productTitle: variant.productTitle,
+        sku: variant.sku,
+        customerId,
+        email,
+        requestedQuantity,
+        note,
+        locale,
+      });
 
-  if (!current.includes(companyId)) {
-    current.push(companyId);
+      if (subscription.status === "unconfirmed") {
+        unconfirmed.push({
+          token: subscription.confirmToken,
+          email: subscription.email,
+          variantTitle: variant.variantTitle,
+        });
+      }
+
+      results.push({ variantId: ownerId, kind: subscription.kind, created });
+    }
+
+    // 3) Guests: one double opt-in email covering every variant they picked
+    if (unconfirmed.length > 0) {
+      await sendGuestConfirmation(shop, productTitle, unconfirmed, locale);
+    }
+
+    console.log("Backinstock subscriptions saved:", results);
+
+    return json({ ok: true, results, confirmationRequired: unconfirmed.length > 0 });
+  } catch (error: any) {
+    console.error("Error saving subscription", error);
+    return json({ ok: false, error: "Failed to save subscription." }, { status: 500 });
   }
+}
 
-  // 2) Write metafield – IMPORTANT: type must be "json"
+async function readVariant(graphql: GraphqlRunner, ownerId: string) {
   try {
-    const writeRes = await admin.graphql(
+    const readJson = await graphql(
       `
-        mutation SetMeta($ownerId: ID!, $val: String!) {
-          metafieldsSet(
-            metafields: [
-              {
-                ownerId: $ownerId
-                namespace: "backinstock"
-                key: "notify_companies"
-                type: "json"
-                value: $val
-              }
-            ]
-          ) {
-            metafields {
+        query VariantProduct($id: ID!) {
+          productVariant(id: $id) {
+            displayName
+            sku
+            product {
               id
-              namespace
-              key
-              type
-              value
-            }
-            userErrors {
-              field
-              message
+              title
             }
           }
         }
       `,
-      {
-        variables: { ownerId, val: JSON.stringify(current) },
-      },
-    );
-
-    const writeJson = await writeRes.json();
-    console.log(
-      "Backinstock metafieldsSet result:",
-      JSON.stringify(writeJson, null, 2),
+      { id: ownerId },
     );
 
-    const error = writeJson?.data?.metafieldsSet?.userErrors?.[0];
-    if (error) {
-      return json(
-        { ok: false, error: error.message, debug: writeJson },
-        { status: 400, headers: corsHeaders },
-      );
-    }
-
-    return json(
-      {
-        ok: true,
-        debug: {
-          variantId: ownerId,
-          companyId,
-          current,
-        },
-      },
-      { headers: corsHeaders },
-    );
-  } catch (error: any) {
-    console.error("Error writing metafield", error);
-    return json(
-      { ok: false, error: "Failed to update metafield.", debug: String(error) },
-      { status: 500, headers: corsHeaders },
-    );
+    const node = readJson?.data?.productVariant;
+    return {
+      productId: (node?.product?.id as string) ?? null,
+      productTitle: (node?.product?.title as string) ?? "",
+      variantTitle: (node?.displayName as string) ?? "",
+      sku: (node?.sku as string) ?? "",
+    };
+  } catch (error) {
+    console.error("Error reading variant product", error);
+    return { productId: null, productTitle: "", variantTitle: "", sku: "" };
   }
 }
 
-export function loader({ request }: LoaderFunctionArgs) {
-  if (request.method === "OPTIONS") {
-    return new Response(null, { status: 204, headers: corsHeaders });
-  }
+/**
+ * Guests stay "unconfirmed" until they open the link, which confirms every
+ * token in it (see api.backinstock.register.confirm).
+ */
+async function sendGuestConfirmation(
+  shop: string,
+  productTitle: string,
+  unconfirmed: { token: string; email: string; variantTitle: string }[],
+  locale: string | null,
+) {
+  const shopCfg = await getShopAdminConfigByDomain(shop);
+  const tokens = unconfirmed.map((u) => encodeURIComponent(u.token)).join(",");
 
-  return new Response("Method not allowed", {
-    status: 405,
-    headers: corsHeaders,
+  await sendConfirmationEmail({
+    to: unconfirmed[0].email,
+    productTitle,
+    variantTitle: unconfirmed
+      .map((u) => u.variantTitle)
+      .filter(Boolean)
+      .join(", "),
+    confirmUrl: `https://${shopCfg.storefrontDomain}/apps/backinstock/confirm?token=${tokens}`,
+    locale: locale ?? undefined,
   });
 }
+
+export function loader() {
+  return new Response("Method not allowed", { status: 405 });
+}
@@ -0,0 +1,181 @@
+import { json, type ActionFunctionArgs, type LoaderFunctionArgs } from "@remix-run/node";
+import { authenticate } from "../shopify.server";
+import {
+  cancelAndSyncMirror,
+  parseUnsubscribeToken,
+  type GraphqlRunner,
+} from "../subscriptions.server";
+import { findCompanyContact } from "../companies.server";
+import { localizedLiquid, translate } from "../i18n.server";
+
+/**
+ * Storefront URL: /apps/backinstock/unsubscribe
+ *
+ * - GET ?token=...    page behind the email link, with a confirm button
+ * - POST ?token=...   the confirm button, and RFC 8058 one-click from mail clients
+ * - DELETE (JSON)     the theme's "cancel" button for the logged-in customer:
+ *                     { variantId, companyId? }
+ */
+
+const corsHeaders = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Headers": "Content-Type",
+  "Access-Control-Allow-Methods": "DELETE,POST,OPTIONS",
+};
+
+function page(titleKey: string, messageKey: string, form: (locale: string) => string = () => "") {
+  return localizedLiquid(
+    (locale) => `<div class="page-width">
+      <h1>${translate(locale, titleKey)}</h1>
+      <p>${translate(locale, messageKey)}</p>
+      ${form(locale)}
+    </div>`,
+  );
+}
+
+// For values placed in the page's HTML attributes
+function escapeHtml(value: string) {
+  return value
+    .replace(/&/g, "&amp;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;");
+}
+
+const invalidLinkPage = () =>
+  page("backinstock.pages.link_invalid_title", "backinstock.pages.link_invalid_message");
+
+export async function loader({ request }: LoaderFunctionArgs) {
+  const { liquid, session } = await authenticate.public.appProxy(request);
+
+  const token = new URL(request.url).searchParams.get("token") || "";
+  const parsed = parseUnsubscribeToken(token);
+
+  if (!parsed || parsed.shop !== session?.shop) {
+    return liquid(invalidLinkPage(), { status: 400 });
+  }
+
+  // Email scanners follow links; only the POST below cancels anything
+  const formAction = escapeHtml(`/apps/backinstock/unsubscribe?${new URLSearchParams({ token })}`);
+  return liquid(
+    page(
+      "backinstock.pages.unsubscribe_title",
+      "backinstock.pages.unsubscribe_question",
+      (locale) => `<form method="post" action="${formAction}">
+        <button type="submit" class="button">${translate(locale, "backinstock.pages.unsubscribe_button")}</button>
+      </form>`,
+    ),
+  );
+}
+
+export async function action({ request }: ActionFunctionArgs) {
+  if (request.method === "OPTIONS") {
+    return new Response(null, { status: 204, headers: corsHeaders });
+  }
+
+  let appProxyContext;
+  try {
+    appProxyContext = await authenticate.public.appProxy(request);
+  } catch (error) {
+    console.error("App proxy authentication failed", error);
+    return json(
+      { ok: false, error: "Unauthorized app proxy request." },
+      { status: 401, headers: corsHeaders },
+    );
+  }
+
+  const { admin, liquid, session } = appProxyContext;
+  if (!admin || !session) {
+    return json(
+      { ok: false, error: "Admin API is not available for this shop." },
+      { status: 500, headers: corsHeaders },
+    );
+  }
+
+  const graphql: GraphqlRunner = async (query, variables) => {
+    const res = await admin.graphql(query, { variables });
+    return res.json();
+  };
+
+  const url = new URL(request.url);
+
+  // Email link / one-click
+  if (request.method === "POST") {
+    const parsed = parseUnsubscribeToken(url.searchParams.get("token"));
+    if (!parsed || parsed.shop !== session.shop) {
+      return liquid(invalidLinkPage(), { status: 400 });
+    }
+
+    const cancelled = await cancelAndSyncMirror(
+      graphql,
+      session.shop,
+      parsed.subscriber,
+      parsed.variantId,
+    );
+    console.log("Backinstock unsubscribe via email link:", { ...parsed, cancelled });
+
+    return liquid(
+      page("backinstock.pages.unsubscribed_title", "backinstock.pages.unsubscribed_message"),
+    );
+  }
+
+  if (request.method !== "DELETE") {
+    return json({ ok: false, error: "Method not allowed" }, { status: 405, headers: corsHeaders });
+  }
+
+  // Storefront cancel button: only for the logged-in customer's own subscription
+  const customerId = url.searchParams.get("logged_in_customer_id") || null;
+  if (!customerId) {
+    return json(
+      { ok: false, error: "Log in to manage your back in stock alerts." },
+      { status: 401, headers: corsHeaders },
+    );
+  }
+
+  let payload: { variantId?: string; companyId?: string };
+  try {
+    payload = await request.json();
+  } catch {
+    return json({ ok: false, error: "Invalid JSON body" }, { status: 400, headers: corsHeaders });
+  }
+
+  const { variantId, companyId } = payload;
+  if (!variantId) {
+    return json({ ok: false, error: "Missing variantId" }, { status: 400, headers: corsHeaders });
+  }
+
+  try {
+    if (companyId) {
+      const contact = await findCompanyContact(graphql, customerId, companyId);
+      if (!contact) {
+        return json(
+          { ok: false, error: "You are not a contact of this company." },
+          { status: 403, headers: corsHeaders },
+        );
+      }
+    }
+
+    const cancelled = await cancelAndSyncMirror(
+      graphql,
+      session.shop,
+      companyId ? { kind: "company", companyId } : { kind: "customer", customerId },
+      variantId,
+    );
+
+    console.log("Backinstock unsubscribe from storefront:", {
+      variantId,
+      companyId,
+      customerId,
+      cancelled,
+    });
+
+    return json({ ok: true, cancelled }, { headers: corsHeaders });
+  } catch (error) {
+    console.error("Error cancelling subscription", error);
+    return json(
+      { ok: false, error: "Failed to cancel subscription." },
+      { status: 500, headers: corsHeaders },
+    );
+  }
+}
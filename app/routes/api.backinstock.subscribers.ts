@@ -0,0 +1,130 @@
+import { json, type ActionFunctionArgs, type LoaderFunctionArgs } from "@remix-run/node";
+import { authenticate } from "../shopify.server";
+import {
+  cancelAndSyncMirror,
+  subscribeAndSyncMirror,
+  toNumericId,
+  type GraphqlRunner,
+} from "../subscriptions.server";
+import { recordAudit } from "../audit.server";
+
+/**
+ * Admin product block: manage the companies waiting on a variant.
+ *
+ * - POST   { variantId, productId?, companyId, companyName?, reserveQuantity? }
+ *          subscribe a company by hand; a reserve quantity holds stock for it on
+ *          restock (app/reservations.server.ts). Posting again updates it.
+ * - DELETE { variantId, companyId, companyLocationId? }
+ *          cancel the company's subscription, or only the one for that location
+ */
+
+const corsHeaders = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Methods": "POST,DELETE,OPTIONS",
+  "Access-Control-Allow-Headers": "Content-Type, Authorization",
+};
+
+export function loader({ request }: LoaderFunctionArgs) {
+  if (request.method === "OPTIONS") {
+    return new Response(null, { status: 204, headers: corsHeaders });
+  }
+
+  return new Response("Method not allowed", { status: 405, headers: corsHeaders });
+}
+
+export async function action({ request }: ActionFunctionArgs) {
+  if (request.method === "OPTIONS") {
+    return new Response(null, { status: 204, headers: corsHeaders });
+  }
+
+  if (request.method !== "POST" && request.method !== "DELETE") {
+    return json({ ok: false, error: "Method not allowed" }, { status: 405, headers: corsHeaders });
+  }
+
+  const { admin, session, sessionToken } = await authenticate.admin(request);
+
+  let payload: {
+    variantId?: string;
+    productId?: string;
+    companyId?: string;
+    companyLocationId?: string | null;
+    companyName?: string;
+    reserveQuantity?: number | null;
+  };
+  try {
+    payload = await request.json();
+  } catch {
+    return json({ ok: false, error: "Invalid JSON body" }, { status: 400, headers: corsHeaders });
+  }
+
+  const variantId = toNumericId(payload.variantId);
+  const companyId = toNumericId(payload.companyId);
+  const companyLocationId = toNumericId(payload.companyLocationId);
+  if (!variantId || !companyId) {
+    return json(
+      { ok: false, error: "Missing variantId or companyId" },
+      { status: 400, headers: corsHeaders },
+    );
+  }
+
+  const reserveQuantity = payload.reserveQuantity ?? null;
+  if (reserveQuantity !== null && (!Number.isInteger(reserveQuantity) || reserveQuantity < 1)) {
+    return json(
+      { ok: false, error: "Reserve quantity must be a whole number of at least 1." },
+      { status: 400, headers: corsHeaders },
+    );
+  }
+
+  const graphql: GraphqlRunner = async (query, variables) => {
+    const res = await admin.graphql(query, { variables });
+    return res.json();
+  };
+
+  try {
+    if (request.method === "DELETE") {
+      const cancelled = await cancelAndSyncMirror(
+        graphql,
+        session.shop,
+        { kind: "company", companyId, ...(companyLocationId ? { companyLocationId } : {}) },
+        variantId,
+      );
+
+      await recordAudit({
+        shop: session.shop,
+        actor: sessionToken?.sub,
+        action: "subscriber_removed",
+        variantId,
+        companyId,
+        details: { cancelled, companyLocationId },
+      });
+
+      return json({ ok: true, cancelled }, { headers: corsHeaders });
+    }
+
+    const { subscription, created, companies } = await subscribeAndSyncMirror(graphql, {
+      shop: session.shop,
+      variantId,
+      productId: payload.productId ?? null,
+      companyId,
+      companyName: payload.companyName ?? null,
+      reserveQuantity,
+    });
+
+    await recordAudit({
+      shop: session.shop,
+      actor: sessionToken?.sub,
+      action: "subscriber_added",
+      variantId,
+      companyId,
+      details: { subscriptionId: subscription.id, created, reserveQuantity },
+    });
+
+    return json({ ok: true, created, companies }, { headers: corsHeaders });
+  } catch (error) {
+    console.error("Error in /api/backinstock/subscribers", error);
+    return json(
+      { ok: false, error: "Failed to update subscribers." },
+      { status: 500, headers: corsHeaders },
+    );
+  }
+}
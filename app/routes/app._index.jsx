@@ -1,34 +1,36 @@
 // app/routes/app._index.jsx
 
 import { json } from "@remix-run/node";
-import { useLoaderData } from "@remix-run/react";
-import React, { useMemo, useState, useEffect } from "react";
+import { useLoaderData, useNavigation, useSearchParams } from "@remix-run/react";
+import React, { useEffect, useState } from "react";
 import {
   Page,
   Layout,
   Card,
   BlockStack,
   Text,
-  DataTable,
+  IndexTable,
+  IndexFilters,
+  useSetIndexFiltersMode,
+  ChoiceList,
+  Badge,
+  Box,
   Link as PolarisLink,
   TextField,
-  InlineStack,
-  Pagination,
-  Box,
-  RadioButton,
-  Select,
-  useBreakpoints,
 } from "@shopify/polaris";
+import { useAppBridge } from "@shopify/app-bridge-react";
 import { authenticate } from "../shopify.server";
+import {
+  HISTORY_PAGE_SIZE,
+  backfillSnapshots,
+  describeHistoryRows,
+  listHistoryFilterOptions,
+  listHistoryPage,
+  parseHistoryQuery,
+} from "../history.server";
 
 // =================== HELPERS ===================
 
-function chunkArray(arr, size) {
-  const chunks = [];
-  for (let i = 0; i < arr.length; i += size) chunks.push(arr.slice(i, i + size));
-  return chunks;
-}
-
 function formatDateLabel(dateStr) {
   // "10 Oct at 3:19 am"
   const d = new Date(dateStr);
@@ -48,10 +50,49 @@ function formatDateLabel(dateStr) {
   return `${day} ${month} at ${time}`;
 }
 
-function isEmptyRestockAt(restock_at) {
-  return restock_at === null || restock_at === undefined || String(restock_at).trim() === "";
+// Attributed order revenue, e.g. "$1,240.00 (2 orders)"
+function formatAttributed(attributed) {
+  if (!attributed) return "—";
+
+  let amount;
+  try {
+    amount = new Intl.NumberFormat("en-AU", {
+      style: "currency",
+      currency: attributed.currency,
+    }).format(attributed.revenue);
+  } catch {
+    amount = attributed.revenue.toFixed(2);
+  }
+
+  return `${amount} (${attributed.orders} ${attributed.orders === 1 ? "order" : "orders"})`;
 }
 
+const STATUS_TABS = [
+  { id: "all", content: "All" },
+  { id: "pending", content: "Pending Notification" },
+  { id: "notified", content: "Notification Sent" },
+  { id: "cancelled", content: "Cancelled" },
+  { id: "unconfirmed", content: "Awaiting Confirmation" },
+];
+
+const STATUS_BADGES = {
+  pending: { tone: "attention", label: "Pending" },
+  notified: { tone: "success", label: "Sent" },
+  cancelled: { tone: undefined, label: "Cancelled" },
+  unconfirmed: { tone: "info", label: "Unconfirmed" },
+};
+
+const SORT_OPTIONS = [
+  { label: "Subscription date", value: "created asc", directionLabel: "Oldest first" },
+  { label: "Subscription date", value: "created desc", directionLabel: "Newest first" },
+  { label: "Notification date", value: "notified asc", directionLabel: "Oldest first" },
+  { label: "Notification date", value: "notified desc", directionLabel: "Newest first" },
+  { label: "Product", value: "product asc", directionLabel: "A-Z" },
+  { label: "Product", value: "product desc", directionLabel: "Z-A" },
+  { label: "Company", value: "company asc", directionLabel: "A-Z" },
+  { label: "Company", value: "company desc", directionLabel: "Z-A" },
+];
+
 // =================== LOADER ===================
 
 export async function loader({ request }) {
@@ -60,361 +101,338 @@ export async function loader({ request }) {
   // For admin links
   const shopHandle = session.shop.replace(".myshopify.com", "");
 
-  // 1) Get numeric shop id from Admin API: gid://shopify/Shop/59668267140 -> 59668267140
-  const shopResp = await admin.graphql(`
-    query GetShopId {
-      shop {
-        id
-      }
-    }
-  `);
-  const shopJson = await shopResp.json();
-  const shopGid = shopJson?.data?.shop?.id || "";
-  const shopIdNumeric = shopGid ? shopGid.split("/").pop() : "";
-
-  // 2) Fetch history rows from Laravel for THIS shop_id (numeric)
-  let backinstockHistory = [];
-  try {
-    const historyResp = await fetch(
-      "https://sellerapp.bloomandgrowgroup.com/api/backinstock/getSavedSubscriptions",
-      {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({
-          shop_id: shopIdNumeric, // ✅ numeric, matches DB
-          flowSecretHeader: "fss_jeu39ej3032kd03k30dk303kd00293003",
-        }),
-      },
-    );
-
-    const historyJson = await historyResp.json();
-    backinstockHistory = historyJson?.ok ? historyJson.data : [];
-  } catch (e) {
-    backinstockHistory = [];
-  }
+  const graphql = async (query, variables) => {
+    const res = await admin.graphql(query, { variables });
+    return res.json();
+  };
 
-  // Normalize expected fields & keep sorting safety (Laravel already sorts desc)
-  backinstockHistory = (backinstockHistory || []).map((r) => ({
-    company_id: String(r.company_id ?? ""),
-    variant_id: String(r.variant_id ?? ""),
-    created_at: r.created_at ?? null,
-    restock_at: r.restock_at ?? null,
-  }));
-
-  // 3) Bulk lookup variant + company info from Shopify (FAST, no product paging)
-  const variantIdsNumeric = Array.from(
-    new Set(backinstockHistory.map((r) => r.variant_id).filter(Boolean)),
-  );
+  // Filters, sort and page all live in the URL so views can be bookmarked
+  const query = parseHistoryQuery(new URL(request.url).searchParams);
 
-  const companyIdsNumeric = Array.from(
-    new Set(backinstockHistory.map((r) => r.company_id).filter(Boolean)),
-  );
-
-  // Maps for UI
-  const variantInfoMap = {}; // variant_numeric_id -> { productTitle, sku, productNumericId }
-  const companyMap = {}; // company_numeric_id -> { name }
-
-  // ---- 3a) Lookup variants via nodes() in chunks
-  const variantChunks = chunkArray(
-    variantIdsNumeric.map((id) => `gid://shopify/ProductVariant/${id}`),
-    100,
-  );
-
-  for (const idsChunk of variantChunks) {
-    const vResp = await admin.graphql(
-      `
-        query VariantNodes($ids: [ID!]!) {
-          nodes(ids: $ids) {
-            ... on ProductVariant {
-              id
-              sku
-              product {
-                id
-                title
-              }
-            }
-          }
-        }
-      `,
-      { variables: { ids: idsChunk } },
-    );
-
-    const vJson = await vResp.json();
-    const nodes = vJson?.data?.nodes ?? [];
-
-    for (const node of nodes) {
-      if (!node?.id) continue;
-      const variantNumericId = node.id.split("/").pop();
-      const productGid = node?.product?.id || "";
-      const productNumericId = productGid ? productGid.split("/").pop() : "";
-      const productTitle = node?.product?.title || "—";
-      const sku = node?.sku || "—";
-
-      variantInfoMap[variantNumericId] = {
-        productTitle,
-        sku,
-        productNumericId,
-      };
-    }
+  // Names for rows saved without them, so search covers the whole history
+  try {
+    await backfillSnapshots(graphql, session.shop);
+  } catch (err) {
+    console.error("Backinstock history: snapshot backfill failed", err);
   }
 
-  // ---- 3b) Lookup companies via nodes() in chunks
-  const companyChunks = chunkArray(
-    companyIdsNumeric.map((id) => `gid://shopify/Company/${id}`),
-    100,
-  );
-
-  for (const idsChunk of companyChunks) {
-    const cResp = await admin.graphql(
-      `
-        query CompanyNodes($ids: [ID!]!) {
-          nodes(ids: $ids) {
-            ... on Company {
-              id
-              name
-            }
-          }
-        }
-      `,
-      { variables: { ids: idsChunk } },
-    );
-
-    const cJson = await cResp.json();
-    const nodes = cJson?.data?.nodes ?? [];
+  const [{ rows, total, page, pageCount }, filterOptions] = await Promise.all([
+    listHistoryPage(session.shop, query),
+    listHistoryFilterOptions(session.shop),
+  ]);
 
-    for (const node of nodes) {
-      if (!node?.id) continue;
-      const companyNumericId = node.id.split("/").pop();
-      companyMap[companyNumericId] = { name: node.name || companyNumericId };
-    }
-  }
+  // Only the visible page is resolved against Shopify
+  const history = await describeHistoryRows(graphql, session.shop, rows);
 
   return json({
     shop: shopHandle,
-    shopIdNumeric,
-    backinstockHistory,
-    variantInfoMap,
-    companyMap,
+    query: { ...query, page },
+    history,
+    total,
+    pageCount,
+    pageSize: HISTORY_PAGE_SIZE,
+    filterOptions,
   });
 }
 
 // =================== REACT PAGE ===================
 
 export default function BackinstockIndex() {
-  const { shop, backinstockHistory, variantInfoMap, companyMap } = useLoaderData();
-
-  const { smUp } = useBreakpoints(); // smUp=false on small/mobile
-
-  // Search + Filter + Pagination
-  const [historySearch, setHistorySearch] = useState("");
-  const [historyStatus, setHistoryStatus] = useState("all"); // "all" | "pending" | "sent"
-  const [historyPage, setHistoryPage] = useState(1);
-  const HISTORY_PER_PAGE = 15;
-
-  const normalizedHistoryQuery = historySearch.trim().toLowerCase();
-
-  useEffect(() => {
-    setHistoryPage(1);
-  }, [normalizedHistoryQuery, historyStatus]);
-
-  // Combined filter (radio/select) + search
-  const filteredHistory = useMemo(() => {
-    let base = backinstockHistory || [];
-
-    // 1) Status filter
-    if (historyStatus === "pending") {
-      base = base.filter((row) => isEmptyRestockAt(row.restock_at));
-    } else if (historyStatus === "sent") {
-      base = base.filter((row) => !isEmptyRestockAt(row.restock_at));
+  const { shop, query, history, total, pageCount, pageSize, filterOptions } = useLoaderData();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const navigation = useNavigation();
+  const { mode, setMode } = useSetIndexFiltersMode();
+  const shopify = useAppBridge();
+
+  // Typed search is pushed to the URL after a short pause
+  const [searchValue, setSearchValue] = useState(query.search);
+  const [exporting, setExporting] = useState("");
+
+  // App Bridge adds the session token to same-origin fetches, which a plain link wouldn't get.
+  // The server streams the file, but the browser holds all of it in memory until it is saved.
+  async function downloadExport(format) {
+    const params = new URLSearchParams(searchParams);
+    params.delete("page");
+    params.set("format", format);
+
+    setExporting(format);
+    try {
+      const res = await fetch(`/app/history/export?${params}`);
+      if (!res.ok) throw new Error(`Export failed with ${res.status}`);
+
+      const url = URL.createObjectURL(await res.blob());
+      const link = document.createElement("a");
+      link.href = url;
+      link.download =
+        res.headers.get("Content-Disposition")?.match(/filename="(.+)"/)?.[1] ||
+        `backinstock-subscriptions.${format}`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      console.error("Backinstock history export failed", err);
+      shopify.toast.show("Export failed", { isError: true });
+    } finally {
+      setExporting("");
     }
+  }
 
-    // 2) Search filter
-    if (!normalizedHistoryQuery) return base;
-
-    return base.filter((row) => {
-      const v = variantInfoMap[row.variant_id];
-      const productTitle = (v?.productTitle || "").toLowerCase();
-      const sku = (v?.sku || "").toLowerCase();
-      const companyName = (companyMap[row.company_id]?.name || "").toLowerCase();
+  function updateParams(changes) {
+    const next = new URLSearchParams(searchParams);
+    for (const [key, value] of Object.entries(changes)) {
+      if (value) next.set(key, String(value));
+      else next.delete(key);
+    }
+    // Any filter change starts again from the first page
+    if (!("page" in changes)) next.delete("page");
+    setSearchParams(next);
+  }
 
-      const haystack = `${productTitle} ${companyName} ${sku}`;
-      return haystack.includes(normalizedHistoryQuery);
+  useEffect(() => {
+    if (searchValue.trim() === query.search) return;
+    const timer = setTimeout(() => updateParams({ q: searchValue.trim() }), 400);
+    return () => clearTimeout(timer);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [searchValue]);
+
+  const companyLabel = filterOptions.companies.find((c) => c.value === query.companyId)?.label;
+  const productLabel = filterOptions.products.find((p) => p.value === query.productId)?.label;
+
+  const filters = [
+    {
+      key: "companyId",
+      label: "Company",
+      filter: (
+        <ChoiceList
+          title="Company"
+          titleHidden
+          choices={filterOptions.companies}
+          selected={query.companyId ? [query.companyId] : []}
+          onChange={([value]) => updateParams({ companyId: value })}
+        />
+      ),
+      shortcut: true,
+    },
+    {
+      key: "productId",
+      label: "Product",
+      filter: (
+        <ChoiceList
+          title="Product"
+          titleHidden
+          choices={filterOptions.products}
+          selected={query.productId ? [query.productId] : []}
+          onChange={([value]) => updateParams({ productId: value })}
+        />
+      ),
+      shortcut: true,
+    },
+    {
+      key: "dates",
+      label: "Subscription date",
+      filter: (
+        <BlockStack gap="200">
+          <TextField
+            label="From"
+            type="date"
+            value={query.from}
+            onChange={(value) => updateParams({ from: value })}
+            autoComplete="off"
+          />
+          <TextField
+            label="To"
+            type="date"
+            value={query.to}
+            onChange={(value) => updateParams({ to: value })}
+            autoComplete="off"
+          />
+        </BlockStack>
+      ),
+    },
+  ];
+
+  const appliedFilters = [];
+  if (query.companyId) {
+    appliedFilters.push({
+      key: "companyId",
+      label: `Company: ${companyLabel || query.companyId}`,
+      onRemove: () => updateParams({ companyId: "" }),
     });
-  }, [backinstockHistory, normalizedHistoryQuery, historyStatus, variantInfoMap, companyMap]);
-
-  // Pagination
-  const totalHistory = filteredHistory.length;
-  const totalPages = Math.max(1, Math.ceil(totalHistory / HISTORY_PER_PAGE));
-  const currentPage = Math.min(historyPage, totalPages);
-
-  const startIndex = (currentPage - 1) * HISTORY_PER_PAGE;
-  const endIndex = Math.min(startIndex + HISTORY_PER_PAGE, totalHistory);
-
-  const pageRows = filteredHistory.slice(startIndex, endIndex);
-
-  // Rows
-  const rows = pageRows.map((row) => {
-    const v = variantInfoMap[row.variant_id];
+  }
+  if (query.productId) {
+    appliedFilters.push({
+      key: "productId",
+      label: `Product: ${productLabel || query.productId}`,
+      onRemove: () => updateParams({ productId: "" }),
+    });
+  }
+  if (query.from || query.to) {
+    appliedFilters.push({
+      key: "dates",
+      label: `Subscribed ${query.from || "…"} – ${query.to || "…"}`,
+      onRemove: () => updateParams({ from: "", to: "" }),
+    });
+  }
 
-    const productTitle = v?.productTitle || `Variant ${row.variant_id}`;
-    const sku = v?.sku || "—";
+  const selectedTab = Math.max(
+    0,
+    STATUS_TABS.findIndex((t) => t.id === query.status),
+  );
 
-    const productNumericId = v?.productNumericId || "";
-    const productUrl = productNumericId
-      ? `https://admin.shopify.com/store/${shop}/products/${productNumericId}`
+  const rowMarkup = history.map((row, index) => {
+    const productUrl = row.productId
+      ? `https://admin.shopify.com/store/${shop}/products/${row.productId}`
       : null;
 
-    const companyName = companyMap[row.company_id]?.name || row.company_id;
-    const companyUrl = `https://admin.shopify.com/store/${shop}/companies/${row.company_id}?selectedView=all`;
-
-    const dateLabel = row.created_at ? formatDateLabel(row.created_at) : "—";
-    const dateRestock = row.restock_at ? formatDateLabel(row.restock_at) : "Pending";
-
-    // ✅ If restock_at is NOT empty, grey out the whole row content
-    const isNotified = !isEmptyRestockAt(row.restock_at);
-    const rowStyle = isNotified ? { color: "#aaaaaa" } : undefined;
-
-    const productCell = isNotified ? (
-      <a href={productUrl} target="_blank" style={{color:"#aaaaaa"}} >
-        {productTitle}
-      </a>
-    ) : (
-      <PolarisLink url={productUrl} target="_blank" style={rowStyle}>
-        {productTitle}
-      </PolarisLink>
-    );
-
-    const companyCell = isNotified ?  (
-      <a href={companyUrl} target="_blank" style={{color:"#aaaaaa"}} >
-        {companyName}
-      </a>
-    ):(
-       <PolarisLink url={companyUrl} target="_blank" style={rowStyle}>
-        {companyName}
-      </PolarisLink>
+    const subscriberUrl = row.companyId
+      ? `https://admin.shopify.com/store/${shop}/companies/${row.companyId}?selectedView=all`
+      : row.customerId
+        ? `https://admin.shopify.com/store/${shop}/customers/${row.customerId}`
+        : null;
+
+    const badge = STATUS_BADGES[row.status];
+
+    // Greyed out once there is nothing left to do for the row
+    const done = row.status === "notified" || row.status === "cancelled";
+
+    return (
+      <IndexTable.Row
+        id={String(row.id)}
+        key={row.id}
+        position={index}
+        tone={done ? "subdued" : undefined}
+      >
+        <IndexTable.Cell>
+          {productUrl ? (
+            <PolarisLink url={productUrl} target="_blank" removeUnderline>
+              {row.productTitle}
+            </PolarisLink>
+          ) : (
+            row.productTitle
+          )}
+        </IndexTable.Cell>
+        <IndexTable.Cell>{row.sku}</IndexTable.Cell>
+        <IndexTable.Cell>
+          {subscriberUrl ? (
+            <PolarisLink url={subscriberUrl} target="_blank" removeUnderline>
+              {row.subscriber}
+            </PolarisLink>
+          ) : (
+            row.subscriber
+          )}
+        </IndexTable.Cell>
+        <IndexTable.Cell>
+          <BlockStack gap="050">
+            <Text as="span" variant="bodyMd">
+              {row.requestedQuantity ?? "—"}
+            </Text>
+            {row.variantDemand > 0 && (
+              <Text as="span" variant="bodySm" tone="subdued">
+                {`${row.variantDemand} wanted in total`}
+              </Text>
+            )}
+          </BlockStack>
+        </IndexTable.Cell>
+        <IndexTable.Cell>{formatDateLabel(row.createdAt)}</IndexTable.Cell>
+        <IndexTable.Cell>{row.notifiedAt ? formatDateLabel(row.notifiedAt) : "—"}</IndexTable.Cell>
+        <IndexTable.Cell>
+          {badge ? <Badge tone={badge.tone}>{badge.label}</Badge> : row.status}
+        </IndexTable.Cell>
+        <IndexTable.Cell>{formatAttributed(row.attributed)}</IndexTable.Cell>
+      </IndexTable.Row>
     );
-
-    const skuCell = <span style={rowStyle}>{sku}</span>;
-    const createdCell = <span style={rowStyle}>{dateLabel}</span>;
-    const restockCell = <span style={rowStyle}>{dateRestock}</span>;
-
-    return [productCell, skuCell, companyCell, createdCell, restockCell];
   });
 
-  const emptyMessage = (() => {
-    if (totalHistory === 0 && !normalizedHistoryQuery && historyStatus === "all")
-      return "No history found yet.";
-
-    if (totalHistory === 0) {
-      if (historyStatus === "pending") return "No pending notifications match your search.";
-      if (historyStatus === "sent") return "No sent notifications match your search.";
-      return "No history matches your search.";
-    }
+  const firstRow = total === 0 ? 0 : (query.page - 1) * pageSize + 1;
+  const lastRow = Math.min(query.page * pageSize, total);
 
-    return "No history matches your search.";
-  })();
+  const hasFilters =
+    query.search ||
+    query.status !== "all" ||
+    query.companyId ||
+    query.productId ||
+    query.from ||
+    query.to;
 
   return (
-    <Page title="Subscriptions" fullWidth>
+    <Page
+      title="Subscriptions"
+      fullWidth
+      secondaryActions={[
+        {
+          content: "Export CSV",
+          loading: exporting === "csv",
+          disabled: total === 0 || !!exporting,
+          onAction: () => downloadExport("csv"),
+        },
+        {
+          content: "Export XLSX",
+          loading: exporting === "xlsx",
+          disabled: total === 0 || !!exporting,
+          onAction: () => downloadExport("xlsx"),
+        },
+      ]}
+    >
       <Layout>
         <Layout.Section>
-          <Card>
-            <BlockStack gap="400">
-              {/* Search + Filter row */}
-              <InlineStack align="space-between" gap="400" wrap={false}>
-                {/* Left 49% */}
-                <Box width="49%">
-                  <TextField
-                    label="Search history"
-                    labelHidden
-                    value={historySearch}
-                    onChange={setHistorySearch}
-                    placeholder="Search by product, sku, or company"
-                    autoComplete="off"
-                    clearButton
-                    onClearButtonClick={() => setHistorySearch("")}
-                  />
-                </Box>
-
-                {/* Right 49% */}
-                <Box width="49%">
-                  {smUp ? (
-                    // Desktop/Tablet: horizontal radios
-                    <InlineStack align="end" gap="400" wrap={false}>
-                      <RadioButton
-                        label="All"
-                        checked={historyStatus === "all"}
-                        name="historyStatus"
-                        id="historyStatusAll"
-                        onChange={() => setHistoryStatus("all")}
-                      />
-                      <RadioButton
-                        label="Pending Notification"
-                        checked={historyStatus === "pending"}
-                        name="historyStatus"
-                        id="historyStatusPending"
-                        onChange={() => setHistoryStatus("pending")}
-                      />
-                      <RadioButton
-                        label="Notification Sent"
-                        checked={historyStatus === "sent"}
-                        name="historyStatus"
-                        id="historyStatusSent"
-                        onChange={() => setHistoryStatus("sent")}
-                      />
-                    </InlineStack>
-                  ) : (
-                    // Mobile: select dropdown
-                    <Select
-                      label="Filter"
-                      labelHidden
-                      value={historyStatus}
-                      onChange={setHistoryStatus}
-                      options={[
-                        { label: "All", value: "all" },
-                        { label: "Pending Notification", value: "pending" },
-                        { label: "Notification Sent", value: "sent" },
-                      ]}
-                    />
-                  )}
+          <Card padding="0">
+            <IndexFilters
+              tabs={STATUS_TABS.map((tab, index) => ({ ...tab, index, isLocked: true }))}
+              selected={selectedTab}
+              onSelect={(index) =>
+                updateParams({
+                  status: STATUS_TABS[index].id === "all" ? "" : STATUS_TABS[index].id,
+                })
+              }
+              queryValue={searchValue}
+              queryPlaceholder="Search by product, sku, company or email"
+              onQueryChange={setSearchValue}
+              onQueryClear={() => setSearchValue("")}
+              sortOptions={SORT_OPTIONS}
+              sortSelected={[query.sort]}
+              onSort={([value]) => updateParams({ sort: value === "created desc" ? "" : value })}
+              filters={filters}
+              appliedFilters={appliedFilters}
+              onClearAll={() => {
+                setSearchValue("");
+                updateParams({ q: "", companyId: "", productId: "", from: "", to: "" });
+              }}
+              mode={mode}
+              setMode={setMode}
+              canCreateNewView={false}
+              loading={navigation.state === "loading"}
+            />
+
+            <IndexTable
+              resourceName={{ singular: "subscription", plural: "subscriptions" }}
+              itemCount={history.length}
+              selectable={false}
+              emptyState={
+                <Box padding="400">
+                  <Text as="p" variant="bodyMd" alignment="center">
+                    {hasFilters ? "No history matches your filters." : "No history found yet."}
+                  </Text>
                 </Box>
-              </InlineStack>
-
-              {rows.length === 0 ? (
-                <Text as="p" variant="bodyMd">
-                  {emptyMessage}
-                </Text>
-              ) : (
-                <>
-                  <DataTable
-                    columnContentTypes={["text", "text", "text", "text", "text"]}
-                    headings={[
-                      "Product Name",
-                      "Sku",
-                      "Company Name",
-                      "Subscription Date",
-                      "Notification Date",
-                    ]}
-                    rows={rows}
-                  />
-
-                  <Box paddingBlockStart="200">
-                    <InlineStack align="space-between">
-                      <Text as="span" variant="bodySm">
-                        Showing {startIndex + 1}–{endIndex} of {totalHistory} records
-                      </Text>
-
-                      <Pagination
-                        hasPrevious={currentPage > 1}
-                        onPrevious={() => setHistoryPage((p) => Math.max(1, p - 1))}
-                        hasNext={currentPage < totalPages}
-                        onNext={() => setHistoryPage((p) => Math.min(totalPages, p + 1))}
-                      />
-                    </InlineStack>
-                  </Box>
-                </>
-              )}
-            </BlockStack>
+              }
+              headings={[
+                { title: "Product Name" },
+                { title: "Sku" },
+                { title: "Subscriber" },
+                { title: "Quantity" },
+                { title: "Subscription Date" },
+                { title: "Notification Date" },
+                { title: "Status" },
+                { title: "Attributed Revenue" },
+              ]}
+              pagination={{
+                hasPrevious: query.page > 1,
+                onPrevious: () => updateParams({ page: query.page - 1 }),
+                hasNext: query.page < pageCount,
+                onNext: () => updateParams({ page: query.page + 1 }),
+                label: `Showing ${firstRow}–${lastRow} of ${total} records`,
+              }}
+            >
+              {rowMarkup}
+            </IndexTable>
           </Card>
         </Layout.Section>
       </Layout>
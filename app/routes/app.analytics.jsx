@@ -0,0 +1,284 @@
+// app/routes/app.analytics.jsx
+
+import { json } from "@remix-run/node";
+import { useLoaderData, useNavigation, useSearchParams } from "@remix-run/react";
+import React from "react";
+import {
+  Page,
+  Layout,
+  Card,
+  BlockStack,
+  InlineGrid,
+  InlineStack,
+  Text,
+  DataTable,
+  Select,
+  Box,
+  Banner,
+} from "@shopify/polaris";
+import { authenticate } from "../shopify.server";
+import { offlineGraphqlRunner } from "../admin-graphql.server";
+import { getShopAdminConfigByDomain } from "../shops.server";
+import {
+  ANALYTICS_WINDOWS,
+  DEFAULT_ANALYTICS_WINDOW,
+  loadDemandAnalytics,
+} from "../analytics.server";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// =================== HELPERS ===================
+
+function formatMoney(amount, currencyCode) {
+  if (amount === null || amount === undefined) return "—";
+  try {
+    return new Intl.NumberFormat("en-AU", { style: "currency", currency: currencyCode }).format(
+      amount,
+    );
+  } catch {
+    return amount.toFixed(2);
+  }
+}
+
+function formatDays(days) {
+  if (days === null || days === undefined) return "—";
+  return `${days.toFixed(1)} days`;
+}
+
+function daysSince(iso) {
+  if (!iso) return null;
+  return (Date.now() - new Date(iso).getTime()) / DAY_MS;
+}
+
+// =================== LOADER ===================
+
+export async function loader({ request }) {
+  const { admin, session } = await authenticate.admin(request);
+
+  const requested = Number(new URL(request.url).searchParams.get("days"));
+  const days = ANALYTICS_WINDOWS.includes(requested) ? requested : DEFAULT_ANALYTICS_WINDOW;
+
+  const graphql = async (query, variables) => {
+    const res = await admin.graphql(query, { variables });
+    return res.json();
+  };
+
+  // Paging through orders can take many calls; the offline client waits out throttling
+  const ordersGraphql = offlineGraphqlRunner(await getShopAdminConfigByDomain(session.shop));
+
+  return json(await loadDemandAnalytics(graphql, ordersGraphql, session.shop, days));
+}
+
+// =================== REACT PAGE ===================
+
+function Metric({ label, value, help }) {
+  return (
+    <Card>
+      <BlockStack gap="100">
+        <Text as="h3" variant="headingSm" tone="subdued">
+          {label}
+        </Text>
+        <Text as="p" variant="headingLg">
+          {value}
+        </Text>
+        {help && (
+          <Text as="p" variant="bodySm" tone="subdued">
+            {help}
+          </Text>
+        )}
+      </BlockStack>
+    </Card>
+  );
+}
+
+// Side-by-side weekly bars; Polaris has no chart component
+function WeeklyChart({ weekly }) {
+  const max = Math.max(1, ...weekly.flatMap((w) => [w.subscribed, w.notified]));
+  const HEIGHT = 160;
+
+  return (
+    <BlockStack gap="200">
+      <div style={{ display: "flex", alignItems: "flex-end", gap: 8, height: HEIGHT }}>
+        {weekly.map((w) => (
+          <div
+            key={w.weekStart}
+            title={`Week of ${w.weekStart}: ${w.subscribed} subscribed, ${w.notified} notified`}
+            style={{ flex: 1, display: "flex", alignItems: "flex-end", gap: 2, height: "100%" }}
+          >
+            <div
+              style={{
+                flex: 1,
+                height: `${(w.subscribed / max) * 100}%`,
+                minHeight: w.subscribed ? 2 : 0,
+                background: "#F8A746",
+              }}
+            />
+            <div
+              style={{
+                flex: 1,
+                height: `${(w.notified / max) * 100}%`,
+                minHeight: w.notified ? 2 : 0,
+                background: "#5C6AC4",
+              }}
+            />
+          </div>
+        ))}
+      </div>
+      <div style={{ display: "flex", gap: 8 }}>
+        {weekly.map((w) => (
+          <div key={w.weekStart} style={{ flex: 1, textAlign: "center" }}>
+            <Text as="span" variant="bodyXs" tone="subdued">
+              {w.weekStart.slice(5)}
+            </Text>
+          </div>
+        ))}
+      </div>
+      <InlineStack gap="400">
+        <Text as="span" variant="bodySm">
+          <span style={{ color: "#F8A746" }}>■</span> New subscriptions
+        </Text>
+        <Text as="span" variant="bodySm">
+          <span style={{ color: "#5C6AC4" }}>■</span> Notifications sent
+        </Text>
+      </InlineStack>
+    </BlockStack>
+  );
+}
+
+export default function AnalyticsPage() {
+  const {
+    days,
+    topSkus,
+    lostSales,
+    avgDaysToRestock,
+    notifiedCount,
+    conversion,
+    conversionWindowDays,
+    weekly,
+  } = useLoaderData();
+  const [, setSearchParams] = useSearchParams();
+  const navigation = useNavigation();
+
+  const conversionRate = conversion.rate === null ? "—" : `${Math.round(conversion.rate * 100)}%`;
+
+  const rows = topSkus.map((s) => [
+    s.productTitle,
+    s.sku,
+    s.waitingCompanies,
+    s.waitingSubscribers,
+    s.requestedUnits,
+    formatDays(daysSince(s.outOfStockSince)),
+    formatMoney(s.lostSalesEstimate, lostSales.currencyCode),
+  ]);
+
+  return (
+    <Page
+      title="Analytics"
+      subtitle="Demand for out-of-stock products"
+      fullWidth
+      secondaryActions={
+        <Select
+          label="Period"
+          labelInline
+          value={String(days)}
+          disabled={navigation.state === "loading"}
+          options={[
+            { label: "Last 30 days", value: "30" },
+            { label: "Last 60 days", value: "60" },
+          ]}
+          onChange={(value) => setSearchParams({ days: value })}
+        />
+      }
+    >
+      <Layout>
+        <Layout.Section>
+          <InlineGrid columns={{ xs: 1, sm: 2, md: 4 }} gap="400">
+            <Metric
+              label="Lost sales estimate"
+              value={formatMoney(lostSales.total, lostSales.currencyCode)}
+              help={
+                lostSales.pricedVariants < lostSales.waitingVariants
+                  ? `Top ${lostSales.pricedVariants} of ${lostSales.waitingVariants} waiting variants`
+                  : `${lostSales.waitingVariants} waiting variants`
+              }
+            />
+            <Metric
+              label="Average time to restock"
+              value={formatDays(avgDaysToRestock)}
+              help={`${notifiedCount} notifications in the last ${days} days`}
+            />
+            <Metric
+              label="Ordered after notification"
+              value={conversionRate}
+              help={`${conversion.converted} of ${conversion.notified} within ${conversionWindowDays} days`}
+            />
+            <Metric
+              label="Waiting on top SKU"
+              value={topSkus[0] ? `${topSkus[0].waitingCompanies} companies` : "—"}
+              help={topSkus[0]?.productTitle}
+            />
+          </InlineGrid>
+        </Layout.Section>
+
+        {conversion.truncated && (
+          <Layout.Section>
+            <Banner tone="info">
+              Only the first {conversion.ordersScanned} orders after the earliest notification were
+              checked for the conversion rate.
+            </Banner>
+          </Layout.Section>
+        )}
+
+        <Layout.Section>
+          <Card>
+            <BlockStack gap="400">
+              <Text as="h2" variant="headingMd">
+                Most requested out-of-stock SKUs
+              </Text>
+              {rows.length === 0 ? (
+                <Text as="p" variant="bodyMd">
+                  Nobody is waiting on a product right now.
+                </Text>
+              ) : (
+                <DataTable
+                  columnContentTypes={[
+                    "text",
+                    "text",
+                    "numeric",
+                    "numeric",
+                    "numeric",
+                    "text",
+                    "numeric",
+                  ]}
+                  headings={[
+                    "Product Name",
+                    "Sku",
+                    "Companies waiting",
+                    "Subscribers",
+                    "Units wanted",
+                    "Out of stock for",
+                    "Lost sales estimate",
+                  ]}
+                  rows={rows}
+                />
+              )}
+            </BlockStack>
+          </Card>
+        </Layout.Section>
+
+        <Layout.Section>
+          <Card>
+            <BlockStack gap="400">
+              <Text as="h2" variant="headingMd">
+                Weekly trend
+              </Text>
+              <Box paddingBlockStart="200">
+                <WeeklyChart weekly={weekly} />
+              </Box>
+            </BlockStack>
+          </Card>
+        </Layout.Section>
+      </Layout>
+    </Page>
+  );
+}
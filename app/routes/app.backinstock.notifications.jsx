@@ -1,177 +1,383 @@
 // app/routes/app.backinstock.notifications.jsx
 
 import { json } from "@remix-run/node";
-import { useLoaderData } from "@remix-run/react";
+import {
+  useActionData,
+  useLoaderData,
+  useNavigation,
+  useSearchParams,
+  useSubmit,
+} from "@remix-run/react";
+import React, { useEffect, useState } from "react";
+import {
+  Page,
+  Layout,
+  Card,
+  BlockStack,
+  Text,
+  IndexTable,
+  useIndexResourceState,
+  Badge,
+  Banner,
+  Box,
+  Link as PolarisLink,
+} from "@shopify/polaris";
+import { Modal, TitleBar, useAppBridge } from "@shopify/app-bridge-react";
 import { authenticate } from "../shopify.server";
-import { Page, Card, IndexTable, Text } from "@shopify/polaris";
+import { enqueueRestock } from "../jobs.server";
+import { getShopAdminConfigByDomain } from "../shops.server";
+import { cancelVariantAndSyncMirror, toNumericId } from "../subscriptions.server";
+import { recordAudit } from "../audit.server";
+import { listWaitingPage } from "../waiting.server";
+
+// Variants one bulk action may touch; a page never has more
+const MAX_BULK_VARIANTS = 25;
+
+// =================== HELPERS ===================
+
+function formatWaitingSince(iso) {
+  const days = Math.floor((Date.now() - new Date(iso).getTime()) / (24 * 60 * 60 * 1000));
+  if (days < 1) return "Today";
+  return days === 1 ? "1 day" : `${days} days`;
+}
+
+// =================== LOADER ===================
 
 export async function loader({ request }) {
-  const { admin } = await authenticate.admin(request);
-
-  // 1) Get all variants that have the backinstock metafield
-  const variantsRes = await admin.graphql(`
-    query BackInStockAll {
-      productVariants(
-        first: 100
-        query: "metafield:backinstock.notify_companies:*"
-      ) {
-        edges {
-          node {
-            id
-            sku
-            displayName
-            product {
-              id
-              title
-            }
-            metafield(namespace: "backinstock", key: "notify_companies") {
-              value
-            }
-          }
-        }
-      }
+  const { admin, session } = await authenticate.admin(request);
+
+  const graphql = async (query, variables) => {
+    const res = await admin.graphql(query, { variables });
+    return res.json();
+  };
+
+  const params = new URL(request.url).searchParams;
+  const page = await listWaitingPage(graphql, session.shop, {
+    after: params.get("after"),
+    before: params.get("before"),
+  });
+
+  return json({ shop: session.shop.replace(".myshopify.com", ""), ...page });
+}
+
+// =================== ACTION ===================
+
+export async function action({ request }) {
+  const { admin, session, sessionToken } = await authenticate.admin(request);
+  const formData = await request.formData();
+
+  const intent = String(formData.get("intent") ?? "");
+  const variantIds = Array.from(
+    new Set(formData.getAll("variantId").map((id) => toNumericId(String(id)))),
+  ).filter(Boolean);
+
+  if (variantIds.length === 0 || variantIds.length > MAX_BULK_VARIANTS) {
+    return json(
+      { ok: false, error: `Select between 1 and ${MAX_BULK_VARIANTS} products.` },
+      { status: 400 },
+    );
+  }
+
+  if (intent === "notify") {
+    const shopCfg = await getShopAdminConfigByDomain(session.shop);
+    let queued = 0;
+
+    for (const variantId of variantIds) {
+      const result = await enqueueRestock(shopCfg, variantId, { ignoreRules: true });
+      if (result.queued) queued += 1;
+
+      await recordAudit({
+        shop: session.shop,
+        actor: sessionToken?.sub,
+        action: "notify_now",
+        variantId,
+        details: result,
+      });
     }
-  `);
 
-  const variantsJson = await variantsRes.json();
+    return json({ ok: true, intent, queued, variantCount: variantIds.length });
+  }
 
-  const variantNodes =
-    variantsJson?.data?.productVariants?.edges?.map((e) => e.node) ?? [];
+  if (intent === "clear") {
+    const graphql = async (query, variables) => {
+      const res = await admin.graphql(query, { variables });
+      return res.json();
+    };
 
-  // 2) Collect all unique company IDs
-  const companyIdSet = new Set();
+    let cancelled = 0;
+    const failed = [];
 
-  for (const v of variantNodes) {
-    const rawValue = v?.metafield?.value;
-    if (!rawValue) continue;
+    for (const variantId of variantIds) {
+      try {
+        const result = await cancelVariantAndSyncMirror(graphql, session.shop, variantId);
+        cancelled += result.cancelled;
+        if (result.userErrors.length > 0) failed.push(variantId);
 
-    try {
-      const ids = JSON.parse(rawValue);
-      if (Array.isArray(ids)) {
-        ids.forEach((id) => {
-          if (id) companyIdSet.add(id);
+        await recordAudit({
+          shop: session.shop,
+          actor: sessionToken?.sub,
+          action: "waitlist_cleared",
+          variantId,
+          details: result,
         });
+      } catch (err) {
+        console.error("Backinstock waiting list: clear failed for variant", variantId, err);
+        failed.push(variantId);
       }
-    } catch {
-      // ignore bad JSON
     }
+
+    return json({ ok: failed.length === 0, intent, cancelled, failed });
   }
 
-  const companyIds = Array.from(companyIdSet);
-  let companyNameByShortId = {};
+  return json({ ok: false, error: "Unknown action" }, { status: 400 });
+}
 
-  // 3) Look up company names
-  if (companyIds.length > 0) {
-    const fullCompanyGids = companyIds.map(
-      (shortId) => `gid://shopify/Company/${shortId}`,
-    );
+// =================== REACT PAGE ===================
 
-    const companiesRes = await admin.graphql(
-      `
-        query BackInStockCompanies($ids: [ID!]!) {
-          companies(first: 100, ids: $ids) {
-            edges {
-              node {
-                id
-                name
-              }
-            }
-          }
-        }
-      `,
-      {
-        variables: {
-          ids: fullCompanyGids,
-        },
-      },
-    );
+export default function WaitingNowPage() {
+  const {
+    shop,
+    rows,
+    totalVariants,
+    totalCompanies,
+    startCursor,
+    endCursor,
+    hasPrevious,
+    hasNext,
+  } = useLoaderData();
+  const actionData = useActionData();
+  const [, setSearchParams] = useSearchParams();
+  const navigation = useNavigation();
+  const submit = useSubmit();
+  const shopify = useAppBridge();
 
-    const companiesJson = await companiesRes.json();
+  const [confirmClear, setConfirmClear] = useState(false);
+  const [exporting, setExporting] = useState(false);
 
-    const edges = companiesJson?.data?.companies?.edges ?? [];
-    companyNameByShortId = edges.reduce((acc, edge) => {
-      const fullId = edge?.node?.id;
-      const name = edge?.node?.name;
-      if (!fullId || !name) return acc;
+  const { selectedResources, allResourcesSelected, handleSelectionChange, clearSelection } =
+    useIndexResourceState(rows, { resourceIDResolver: (row) => row.variantId });
 
-      const shortId = fullId.replace("gid://shopify/Company/", "");
-      acc[shortId] = name;
-      return acc;
-    }, {});
-  }
+  const busyIntent = navigation.formData?.get("intent");
 
-  // 4) Build rows for the table
-  const rows = variantNodes.map((v) => {
-    const rawValue = v?.metafield?.value;
-    let companyShortIds = [];
+  // A new page or a finished bulk action starts with nothing selected
+  useEffect(() => {
+    clearSelection();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [rows]);
 
-    if (rawValue) {
-      try {
-        const parsed = JSON.parse(rawValue);
-        if (Array.isArray(parsed)) {
-          companyShortIds = parsed.filter((id) => typeof id === "string");
-        }
-      } catch {
-        // ignore
-      }
+  useEffect(() => {
+    if (actionData?.ok && actionData.intent === "notify") {
+      shopify.toast.show(
+        `Queued notifications for ${actionData.queued} of ${actionData.variantCount} products`,
+      );
     }
+    if (actionData?.ok && actionData.intent === "clear") {
+      shopify.toast.show(`Cleared ${actionData.cancelled} subscriptions`);
+    }
+  }, [actionData, shopify]);
 
-    const companyNames = companyShortIds.map(
-      (id) => companyNameByShortId[id] ?? id,
-    );
+  const selectedIds = allResourcesSelected ? rows.map((r) => r.variantId) : selectedResources;
 
-    return {
-      id: v.id,
-      productTitle:
-        v?.product?.title || v?.displayName || "Untitled product/variant",
-      sku: v?.sku || "—",
-      companies: companyNames,
-    };
-  });
+  function runBulk(intent) {
+    const formData = new FormData();
+    formData.set("intent", intent);
+    selectedIds.forEach((id) => formData.append("variantId", id));
+    submit(formData, { method: "post" });
+  }
 
-  return json({ rows });
-}
+  // Pending subscriptions of the selected products, or of everything when none are selected.
+  // App Bridge adds the session token to same-origin fetches, which a plain link wouldn't get.
+  async function exportWaiting() {
+    const params = new URLSearchParams({ status: "pending", format: "csv" });
+    selectedIds.forEach((id) => params.append("variantId", id));
 
-export default function BackinstockNotificationsPage() {
-  const { rows } = useLoaderData();
+    setExporting(true);
+    try {
+      const res = await fetch(`/app/history/export?${params}`);
+      if (!res.ok) throw new Error(`Export failed with ${res.status}`);
+
+      const url = URL.createObjectURL(await res.blob());
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = `backinstock-waiting-${new Date().toISOString().slice(0, 10)}.csv`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      console.error("Backinstock waiting list export failed", err);
+      shopify.toast.show("Export failed", { isError: true });
+    } finally {
+      setExporting(false);
+    }
+  }
+
+  const rowMarkup = rows.map((row, index) => (
+    <IndexTable.Row
+      id={row.variantId}
+      key={row.variantId}
+      position={index}
+      selected={selectedResources.includes(row.variantId)}
+    >
+      <IndexTable.Cell>
+        <BlockStack gap="050">
+          {row.productId ? (
+            <PolarisLink
+              url={`https://admin.shopify.com/store/${shop}/products/${row.productId}/variants/${row.variantId}`}
+              target="_blank"
+              removeUnderline
+              dataPrimaryLink
+            >
+              {row.productTitle}
+            </PolarisLink>
+          ) : (
+            row.productTitle
+          )}
+          {row.variantTitle && (
+            <Text as="span" variant="bodySm" tone="subdued">
+              {row.variantTitle}
+            </Text>
+          )}
+        </BlockStack>
+      </IndexTable.Cell>
+      <IndexTable.Cell>{row.sku}</IndexTable.Cell>
+      <IndexTable.Cell>
+        {row.available === null ? (
+          "—"
+        ) : (
+          <BlockStack gap="050">
+            <Badge tone={row.available > 0 ? "success" : "critical"}>
+              {`${row.available} available`}
+            </Badge>
+            {row.inventory.map((level) => (
+              <Text as="span" variant="bodySm" tone="subdued" key={level.location}>
+                {level.location}: {level.available}
+              </Text>
+            ))}
+          </BlockStack>
+        )}
+      </IndexTable.Cell>
+      <IndexTable.Cell>
+        <BlockStack gap="050">
+          <Text as="span" variant="bodyMd" fontWeight="semibold">
+            {row.waitingCompanies}
+          </Text>
+          {row.companies.length > 0 && (
+            <Text as="span" variant="bodySm" tone="subdued">
+              {row.companies.join(", ")}
+              {row.waitingCompanies > row.companies.length &&
+                ` and ${row.waitingCompanies - row.companies.length} more`}
+            </Text>
+          )}
+        </BlockStack>
+      </IndexTable.Cell>
+      <IndexTable.Cell>{row.waitingSubscribers}</IndexTable.Cell>
+      <IndexTable.Cell>{row.requestedUnits}</IndexTable.Cell>
+      <IndexTable.Cell>{formatWaitingSince(row.waitingSince)}</IndexTable.Cell>
+    </IndexTable.Row>
+  ));
 
   return (
-    <Page title="Back in stock subscriptions">
-      <Card>
-        {rows.length === 0 ? (
+    <Page
+      title="Waiting now"
+      subtitle={`${totalVariants} products, ${totalCompanies} companies waiting`}
+      fullWidth
+      secondaryActions={[
+        {
+          content: selectedIds.length > 0 ? "Export selected" : "Export all",
+          loading: exporting,
+          disabled: totalVariants === 0 || exporting,
+          onAction: exportWaiting,
+        },
+      ]}
+    >
+      <Layout>
+        {actionData?.ok === false && (
+          <Layout.Section>
+            <Banner tone="critical">
+              {actionData.error ??
+                `Some products could not be cleared (${actionData.failed.join(", ")}). Try again.`}
+            </Banner>
+          </Layout.Section>
+        )}
+
+        <Layout.Section>
+          <Card padding="0">
+            <IndexTable
+              resourceName={{ singular: "product", plural: "products" }}
+              itemCount={rows.length}
+              selectedItemsCount={allResourcesSelected ? "All" : selectedResources.length}
+              onSelectionChange={handleSelectionChange}
+              loading={navigation.state === "loading"}
+              promotedBulkActions={[
+                {
+                  content: busyIntent === "notify" ? "Queuing…" : "Notify now",
+                  disabled: !!busyIntent,
+                  onAction: () => runBulk("notify"),
+                },
+                {
+                  content: "Export",
+                  disabled: exporting,
+                  onAction: exportWaiting,
+                },
+              ]}
+              bulkActions={[
+                {
+                  content: "Clear waiting list",
+                  destructive: true,
+                  disabled: !!busyIntent,
+                  onAction: () => setConfirmClear(true),
+                },
+              ]}
+              emptyState={
+                <Box padding="400">
+                  <Text as="p" variant="bodyMd" alignment="center">
+                    Nobody is waiting on a product right now.
+                  </Text>
+                </Box>
+              }
+              headings={[
+                { title: "Product" },
+                { title: "Sku" },
+                { title: "Inventory" },
+                { title: "Companies waiting" },
+                { title: "Subscribers" },
+                { title: "Units wanted" },
+                { title: "Waiting for" },
+              ]}
+              pagination={{
+                hasPrevious,
+                onPrevious: () => setSearchParams({ before: startCursor }),
+                hasNext,
+                onNext: () => setSearchParams({ after: endCursor }),
+              }}
+            >
+              {rowMarkup}
+            </IndexTable>
+          </Card>
+        </Layout.Section>
+      </Layout>
+
+      <Modal open={confirmClear} onHide={() => setConfirmClear(false)}>
+        <Box padding="400">
           <Text as="p" variant="bodyMd">
-            No subscriptions found yet.
+            Everyone waiting on the {selectedIds.length} selected{" "}
+            {selectedIds.length === 1 ? "product" : "products"} will be unsubscribed without an
+            email. This can't be undone.
           </Text>
-        ) : (
-          <IndexTable
-            resourceName={{
-              singular: "subscription",
-              plural: "subscriptions",
+        </Box>
+        <TitleBar title="Clear waiting list">
+          <button
+            variant="primary"
+            tone="critical"
+            onClick={() => {
+              setConfirmClear(false);
+              runBulk("clear");
             }}
-            itemCount={rows.length}
-            headings={[
-              { title: "Product" },
-              { title: "SKU" },
-              { title: "Companies" },
-            ]}
-            selectable={false}
           >
-            {rows.map((row, index) => (
-              <IndexTable.Row id={row.id} key={row.id} position={index}>
-                <IndexTable.Cell>
-                  <Text as="span" variant="bodyMd" fontWeight="semibold">
-                    {row.productTitle}
-                  </Text>
-                </IndexTable.Cell>
-                <IndexTable.Cell>{row.sku}</IndexTable.Cell>
-                <IndexTable.Cell>
-                  {row.companies.length ? row.companies.join(", ") : "—"}
-                </IndexTable.Cell>
-              </IndexTable.Row>
-            ))}
-          </IndexTable>
-        )}
-      </Card>
+            Clear
+          </button>
+          <button onClick={() => setConfirmClear(false)}>Cancel</button>
+        </TitleBar>
+      </Modal>
     </Page>
   );
 }
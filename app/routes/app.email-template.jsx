@@ -0,0 +1,204 @@
+// app/routes/app.email-template.jsx
+
+import { json } from "@remix-run/node";
+import {
+  useActionData,
+  useLoaderData,
+  useNavigation,
+  useSearchParams,
+  useSubmit,
+} from "@remix-run/react";
+import React, { useEffect, useState } from "react";
+import {
+  Page,
+  Layout,
+  Card,
+  BlockStack,
+  InlineStack,
+  Text,
+  TextField,
+  Select,
+  Button,
+  Banner,
+} from "@shopify/polaris";
+import { authenticate } from "../shopify.server";
+import db from "../db.server";
+import {
+  DEFAULT_LOCALE,
+  EMAIL_LOCALES,
+  PREVIEW_FIELDS,
+  getEmailTemplate,
+  renderTemplate,
+} from "../email.server";
+
+// =================== LOADER ===================
+
+export async function loader({ request }) {
+  const { session } = await authenticate.admin(request);
+
+  const url = new URL(request.url);
+  const locale = url.searchParams.get("locale") || DEFAULT_LOCALE;
+
+  const saved = await db.emailTemplate.findUnique({
+    where: { shop_locale: { shop: session.shop, locale } },
+  });
+  const template = saved ?? (await getEmailTemplate(session.shop, locale));
+
+  return json({
+    locale,
+    subject: template.subject,
+    body: template.body,
+    isSaved: !!saved,
+    locales: EMAIL_LOCALES,
+    transport: process.env.EMAIL_TRANSPORT || "laravel",
+  });
+}
+
+// =================== ACTION ===================
+
+export async function action({ request }) {
+  const { session } = await authenticate.admin(request);
+  const formData = await request.formData();
+
+  const intent = formData.get("intent");
+  const locale = String(formData.get("locale") || DEFAULT_LOCALE);
+  const subject = String(formData.get("subject") ?? "");
+  const body = String(formData.get("body") ?? "");
+
+  if (intent === "reset") {
+    await db.emailTemplate.deleteMany({ where: { shop: session.shop, locale } });
+    return json({ ok: true, intent });
+  }
+
+  // Render first: a template that doesn't parse is never saved
+  let rendered;
+  try {
+    rendered = await renderTemplate({ subject, body }, PREVIEW_FIELDS, locale);
+  } catch (err) {
+    return json(
+      { ok: false, intent, error: `Template error: ${err instanceof Error ? err.message : err}` },
+      { status: 400 },
+    );
+  }
+
+  if (intent === "save") {
+    await db.emailTemplate.upsert({
+      where: { shop_locale: { shop: session.shop, locale } },
+      create: { shop: session.shop, locale, subject, body },
+      update: { subject, body },
+    });
+  }
+
+  return json({ ok: true, intent, preview: rendered });
+}
+
+// =================== REACT PAGE ===================
+
+export default function EmailTemplatePage() {
+  const loaderData = useLoaderData();
+  const actionData = useActionData();
+  const navigation = useNavigation();
+  const submit = useSubmit();
+  const [, setSearchParams] = useSearchParams();
+
+  const [subject, setSubject] = useState(loaderData.subject);
+  const [body, setBody] = useState(loaderData.body);
+
+  useEffect(() => {
+    setSubject(loaderData.subject);
+    setBody(loaderData.body);
+  }, [loaderData]);
+
+  const busyIntent = navigation.state === "submitting" ? navigation.formData?.get("intent") : null;
+
+  const send = (intent) =>
+    submit({ intent, locale: loaderData.locale, subject, body }, { method: "post" });
+
+  return (
+    <Page title="Email template">
+      <Layout>
+        <Layout.Section>
+          <BlockStack gap="400">
+            {loaderData.transport === "laravel" && (
+              <Banner tone="info">
+                Emails are currently sent by the seller app (EMAIL_TRANSPORT=laravel), which uses
+                its own template. This template applies to the smtp, console and file transports.
+              </Banner>
+            )}
+
+            {actionData?.ok === false && <Banner tone="critical">{actionData.error}</Banner>}
+            {actionData?.ok && actionData.intent === "save" && (
+              <Banner tone="success">Template saved.</Banner>
+            )}
+
+            <Card>
+              <BlockStack gap="400">
+                <Select
+                  label="Language"
+                  options={loaderData.locales}
+                  value={loaderData.locale}
+                  onChange={(value) => setSearchParams({ locale: value })}
+                />
+
+                <TextField
+                  label="Subject"
+                  value={subject}
+                  onChange={setSubject}
+                  autoComplete="off"
+                />
+
+                <TextField
+                  label="Body (HTML)"
+                  helpText="Liquid variables: product_title, variant_title, sku, product_url, product_image_url, company_name, recipient_email, unsubscribe_url, reserved_quantity and reserved_until (product_url is then the draft order invoice). Translated text: {{ 'backinstock.email.subject' | t: product: product_title }}"
+                  value={body}
+                  onChange={setBody}
+                  multiline={12}
+                  monospaced
+                  autoComplete="off"
+                />
+
+                <InlineStack align="end" gap="200">
+                  {loaderData.isSaved && (
+                    <Button
+                      tone="critical"
+                      onClick={() => send("reset")}
+                      loading={busyIntent === "reset"}
+                    >
+                      Reset to default
+                    </Button>
+                  )}
+                  <Button onClick={() => send("preview")} loading={busyIntent === "preview"}>
+                    Preview
+                  </Button>
+                  <Button
+                    variant="primary"
+                    onClick={() => send("save")}
+                    loading={busyIntent === "save"}
+                  >
+                    Save
+                  </Button>
+                </InlineStack>
+              </BlockStack>
+            </Card>
+
+            {actionData?.preview && (
+              <Card>
+                <BlockStack gap="200">
+                  <Text as="h2" variant="headingMd">
+                    {actionData.preview.subject}
+                  </Text>
+                  <iframe
+                    title="Email preview"
+                    srcDoc={actionData.preview.html}
+                    sandbox=""
+                    style={{ width: "100%", minHeight: 360, border: "none" }}
+                  />
+                </BlockStack>
+              </Card>
+            )}
+          </BlockStack>
+        </Layout.Section>
+      </Layout>
+    </Page>
+  );
+}
@@ -0,0 +1,38 @@
+import type { LoaderFunctionArgs } from "@remix-run/node";
+import { authenticate } from "../shopify.server";
+import { parseHistoryQuery } from "../history.server";
+import {
+  EXPORT_CONTENT_TYPES,
+  historyExportStream,
+  type ExportFormat,
+} from "../history-export.server";
+import type { GraphqlRunner } from "../subscriptions.server";
+
+/**
+ * GET /app/history/export?format=csv|xlsx&<Subscriptions page filters>
+ *
+ * Streams the history the Subscriptions page is currently showing, all pages.
+ */
+export async function loader({ request }: LoaderFunctionArgs) {
+  const { admin, session } = await authenticate.admin(request);
+
+  const params = new URL(request.url).searchParams;
+  const format: ExportFormat = params.get("format") === "xlsx" ? "xlsx" : "csv";
+  const query = parseHistoryQuery(params);
+
+  const graphql: GraphqlRunner = async (q, variables) => {
+    const res = await admin.graphql(q, { variables });
+    return res.json();
+  };
+
+  const date = new Date().toISOString().slice(0, 10);
+  const filename = `backinstock-subscriptions-${date}.${format}`;
+
+  return new Response(historyExportStream(graphql, session.shop, query, format), {
+    headers: {
+      "Content-Type": EXPORT_CONTENT_TYPES[format],
+      "Content-Disposition": `attachment; filename="${filename}"`,
+      "Cache-Control": "no-store",
+    },
+  });
+}
@@ -0,0 +1,181 @@
+// app/routes/app.jobs.jsx
+
+import { json } from "@remix-run/node";
+import { useLoaderData, useNavigation, useSearchParams, useSubmit } from "@remix-run/react";
+import React from "react";
+import {
+  Page,
+  Layout,
+  Card,
+  BlockStack,
+  Text,
+  IndexTable,
+  Badge,
+  Button,
+  Select,
+} from "@shopify/polaris";
+import { authenticate } from "../shopify.server";
+import db from "../db.server";
+import { replayJob } from "../jobs.server";
+
+const JOBS_LIMIT = 100;
+
+const STATUS_OPTIONS = [
+  { label: "Dead letter", value: "dead" },
+  { label: "Queued / retrying", value: "queued" },
+  { label: "Running", value: "running" },
+  { label: "Succeeded", value: "succeeded" },
+  { label: "All", value: "all" },
+];
+
+const STATUS_TONE = {
+  queued: "attention",
+  running: "info",
+  succeeded: "success",
+  dead: "critical",
+};
+
+// =================== LOADER ===================
+
+export async function loader({ request }) {
+  const { session } = await authenticate.admin(request);
+
+  const url = new URL(request.url);
+  const status = url.searchParams.get("status") || "dead";
+
+  const jobs = await db.notificationJob.findMany({
+    where: {
+      shop: session.shop,
+      ...(status === "all" ? {} : { status }),
+    },
+    orderBy: { createdAt: "desc" },
+    take: JOBS_LIMIT,
+  });
+
+  return json({
+    status,
+    jobs: jobs.map((job) => ({
+      id: job.id,
+      variantId: job.variantId,
+      status: job.status,
+      attempts: job.attempts,
+      maxAttempts: job.maxAttempts,
+      runAt: job.runAt,
+      lastError: job.lastError,
+      createdAt: job.createdAt,
+      recipients: JSON.parse(job.payload || "{}")?.subscriptionIds?.length ?? 0,
+      skippedCompanies: job.result ? JSON.parse(job.result)?.skippedCompanies ?? [] : [],
+    })),
+  });
+}
+
+// =================== ACTION ===================
+
+export async function action({ request }) {
+  const { session } = await authenticate.admin(request);
+  const formData = await request.formData();
+
+  const jobId = Number(formData.get("jobId"));
+  if (!jobId) {
+    return json({ ok: false, error: "Missing jobId" }, { status: 400 });
+  }
+
+  const replayed = await replayJob(session.shop, jobId);
+  return json({ ok: replayed });
+}
+
+// =================== REACT PAGE ===================
+
+export default function NotificationJobsPage() {
+  const { status, jobs } = useLoaderData();
+  const [, setSearchParams] = useSearchParams();
+  const navigation = useNavigation();
+  const submit = useSubmit();
+
+  const replayingId = navigation.formData?.get("jobId");
+
+  return (
+    <Page title="Notification jobs">
+      <Layout>
+        <Layout.Section>
+          <Card>
+            <BlockStack gap="400">
+              <Select
+                label="Status"
+                options={STATUS_OPTIONS}
+                value={status}
+                onChange={(value) => setSearchParams({ status: value })}
+              />
+
+              {jobs.length === 0 ? (
+                <Text as="p" variant="bodyMd">
+                  No jobs with this status.
+                </Text>
+              ) : (
+                <IndexTable
+                  resourceName={{ singular: "job", plural: "jobs" }}
+                  itemCount={jobs.length}
+                  headings={[
+                    { title: "Job" },
+                    { title: "Variant" },
+                    { title: "Subscriptions" },
+                    { title: "Status" },
+                    { title: "Attempts" },
+                    { title: "Next run" },
+                    { title: "Skipped subscribers" },
+                    { title: "Last error" },
+                    { title: "" },
+                  ]}
+                  selectable={false}
+                >
+                  {jobs.map((job, index) => (
+                    <IndexTable.Row id={String(job.id)} key={job.id} position={index}>
+                      <IndexTable.Cell>#{job.id}</IndexTable.Cell>
+                      <IndexTable.Cell>{job.variantId}</IndexTable.Cell>
+                      <IndexTable.Cell>{job.recipients}</IndexTable.Cell>
+                      <IndexTable.Cell>
+                        <Badge tone={STATUS_TONE[job.status]}>{job.status}</Badge>
+                      </IndexTable.Cell>
+                      <IndexTable.Cell>
+                        {job.attempts}/{job.maxAttempts}
+                      </IndexTable.Cell>
+                      <IndexTable.Cell>
+                        {job.status === "queued" ? new Date(job.runAt).toLocaleString() : "—"}
+                      </IndexTable.Cell>
+                      <IndexTable.Cell>
+                        {job.skippedCompanies.length === 0
+                          ? "—"
+                          : job.skippedCompanies
+                              .map(
+                                (c) =>
+                                  `${c.companyName || c.companyId || `Customer ${c.customerId}`}: ${c.reason}`,
+                              )
+                              .join("; ")}
+                      </IndexTable.Cell>
+                      <IndexTable.Cell>
+                        <Text as="span" variant="bodySm" truncate>
+                          {job.lastError || "—"}
+                        </Text>
+                      </IndexTable.Cell>
+                      <IndexTable.Cell>
+                        {(job.status === "dead" || job.status === "queued") && (
+                          <Button
+                            size="slim"
+                            loading={replayingId === String(job.id)}
+                            onClick={() => submit({ jobId: String(job.id) }, { method: "post" })}
+                          >
+                            {job.status === "dead" ? "Replay" : "Run now"}
+                          </Button>
+                        )}
+                      </IndexTable.Cell>
+                    </IndexTable.Row>
+                  ))}
+                </IndexTable>
+              )}
+            </BlockStack>
+          </Card>
+        </Layout.Section>
+      </Layout>
+    </Page>
+  );
+}
@@ -22,6 +22,12 @@ export default function App() {
         <Link to="/app" rel="home">
           Home
         </Link>
+        <Link to="/app/backinstock/notifications">Waiting now</Link>
+        <Link to="/app/analytics">Analytics</Link>
+        <Link to="/app/jobs">Notification jobs</Link>
+        <Link to="/app/restock-rules">Restock rules</Link>
+        <Link to="/app/email-template">Email template</Link>
+        <Link to="/app/settings">Settings</Link>
         {/* <Link to="/app/additional">Additional page</Link> */}
       </NavMenu>
       <Outlet />
@@ -0,0 +1,375 @@
+// app/routes/app.restock-rules.jsx
+
+import { json } from "@remix-run/node";
+import { useActionData, useLoaderData, useNavigation, useSubmit } from "@remix-run/react";
+import React, { useEffect, useState } from "react";
+import {
+  Page,
+  Layout,
+  Card,
+  BlockStack,
+  InlineStack,
+  Text,
+  TextField,
+  Checkbox,
+  ChoiceList,
+  Button,
+  Banner,
+  IndexTable,
+  Box,
+} from "@shopify/polaris";
+import { useAppBridge } from "@shopify/app-bridge-react";
+import { authenticate } from "../shopify.server";
+import { deleteRestockRule, listRestockRules, saveRestockRule } from "../restock-rules.server";
+
+// "gid://shopify/Product/123" -> "123"; also used in the browser, so not the server helper
+function toNumericId(id) {
+  return String(id ?? "")
+    .split("/")
+    .pop();
+}
+
+// =================== LOADER ===================
+
+export async function loader({ request }) {
+  const { admin, session } = await authenticate.admin(request);
+
+  const [rules, locationsRes] = await Promise.all([
+    listRestockRules(session.shop),
+    admin.graphql(`
+      query BackinstockRuleLocations {
+        locations(first: 50, includeInactive: false) {
+          nodes {
+            id
+            name
+            address {
+              countryCode
+            }
+          }
+        }
+      }
+    `),
+  ]);
+  const locationsJson = await locationsRes.json();
+
+  return json({
+    ...rules,
+    locations: (locationsJson?.data?.locations?.nodes ?? []).map((l) => ({
+      id: toNumericId(l.id),
+      name: l.name,
+      countryCode: l.address?.countryCode ?? "",
+    })),
+  });
+}
+
+// =================== ACTION ===================
+
+export async function action({ request }) {
+  const { session } = await authenticate.admin(request);
+  const formData = await request.formData();
+
+  const intent = String(formData.get("intent") ?? "");
+  const productId = toNumericId(String(formData.get("productId") ?? ""));
+
+  if (intent === "delete") {
+    if (!productId) {
+      return json({ ok: false, error: "The shop default rule can't be deleted." }, { status: 400 });
+    }
+    await deleteRestockRule(session.shop, productId);
+    return json({ ok: true, message: "Product rule removed." });
+  }
+
+  if (intent !== "save") {
+    return json({ ok: false, error: "Unknown action" }, { status: 400 });
+  }
+
+  const minQuantity = Number(formData.get("minQuantity"));
+  const companiesPerUnit = Number(formData.get("companiesPerUnit"));
+  const quantityCoverage = Number(formData.get("quantityCoverage"));
+
+  if (!Number.isInteger(minQuantity) || minQuantity < 1) {
+    return json(
+      { ok: false, error: "Minimum restock quantity must be a whole number of at least 1." },
+      { status: 400 },
+    );
+  }
+  if (!Number.isInteger(companiesPerUnit) || companiesPerUnit < 0) {
+    return json(
+      { ok: false, error: "Companies per unit must be a whole number (0 turns it off)." },
+      { status: 400 },
+    );
+  }
+  if (!Number.isInteger(quantityCoverage) || quantityCoverage < 1 || quantityCoverage > 100) {
+    return json(
+      { ok: false, error: "Requested quantity coverage must be between 1 and 100%." },
+      { status: 400 },
+    );
+  }
+
+  await saveRestockRule(
+    session.shop,
+    productId,
+    {
+      minQuantity,
+      locationIds: formData.getAll("locationId").map(String).filter(Boolean),
+      matchCompanyLocations: formData.get("matchCompanyLocations") === "true",
+      companiesPerUnit,
+      quantityCoverage,
+    },
+    productId ? String(formData.get("productTitle") ?? "") || null : null,
+  );
+
+  return json({ ok: true, message: "Restock rule saved." });
+}
+
+// =================== REACT PAGE ===================
+
+function toFormState(rule) {
+  return {
+    productId: rule.productId,
+    productTitle: rule.productTitle,
+    minQuantity: String(rule.minQuantity),
+    locationIds: rule.locationIds,
+    matchCompanyLocations: rule.matchCompanyLocations,
+    companiesPerUnit: String(rule.companiesPerUnit),
+    quantityCoverage: String(rule.quantityCoverage),
+  };
+}
+
+function RuleFields({ value, onChange, locations }) {
+  const set = (key) => (next) => onChange({ ...value, [key]: next });
+
+  return (
+    <BlockStack gap="400">
+      <TextField
+        label="Minimum restock quantity"
+        type="number"
+        min={1}
+        helpText="Nobody is notified until the counted locations hold at least this many units."
+        value={value.minQuantity}
+        onChange={set("minQuantity")}
+        autoComplete="off"
+      />
+
+      <ChoiceList
+        title="Locations that count"
+        allowMultiple
+        choices={locations.map((l) => ({
+          label: l.countryCode ? `${l.name} (${l.countryCode})` : l.name,
+          value: l.id,
+        }))}
+        selected={value.locationIds}
+        onChange={set("locationIds")}
+      />
+      <Text as="p" variant="bodySm" tone="subdued">
+        Leave every location unchecked to count stock everywhere.
+      </Text>
+
+      <Checkbox
+        label="Match company locations to fulfilment locations"
+        helpText="Only notify a company when the counted locations in its company location's shipping country hold the minimum quantity."
+        checked={value.matchCompanyLocations}
+        onChange={set("matchCompanyLocations")}
+      />
+
+      <TextField
+        label="Companies notified per unit"
+        type="number"
+        min={0}
+        helpText="Staggered release: notify this many waiting companies per available unit, first come first served. The rest stay subscribed for the next restock. 0 notifies everyone."
+        value={value.companiesPerUnit}
+        onChange={set("companiesPerUnit")}
+        autoComplete="off"
+      />
+
+      <TextField
+        label="Requested quantity coverage"
+        type="number"
+        min={1}
+        max={100}
+        suffix="%"
+        helpText="A buyer who asked for a quantity is notified once the stock that counts for them covers this share of it, e.g. 50% of 200 units = 100 units."
+        value={value.quantityCoverage}
+        onChange={set("quantityCoverage")}
+        autoComplete="off"
+      />
+    </BlockStack>
+  );
+}
+
+function describeRule(rule, locations) {
+  const names = rule.locationIds.map((id) => locations.find((l) => l.id === id)?.name ?? id);
+  return [
+    `Min ${rule.minQuantity}`,
+    names.length > 0 ? names.join(", ") : "All locations",
+    rule.matchCompanyLocations ? "Regional" : null,
+    rule.companiesPerUnit > 0 ? `${rule.companiesPerUnit} per unit` : null,
+    rule.quantityCoverage < 100 ? `${rule.quantityCoverage}% of requested quantity` : null,
+  ]
+    .filter(Boolean)
+    .join(" · ");
+}
+
+export default function RestockRulesPage() {
+  const { shopRule, productRules, locations } = useLoaderData();
+  const actionData = useActionData();
+  const navigation = useNavigation();
+  const submit = useSubmit();
+  const shopify = useAppBridge();
+
+  const [shopForm, setShopForm] = useState(toFormState(shopRule));
+  // The product rule being added or edited, if any
+  const [productForm, setProductForm] = useState(null);
+
+  useEffect(() => {
+    setShopForm(toFormState(shopRule));
+  }, [shopRule]);
+
+  useEffect(() => {
+    if (actionData?.ok) {
+      shopify.toast.show(actionData.message);
+      setProductForm(null);
+    }
+  }, [actionData, shopify]);
+
+  const saving = navigation.state === "submitting";
+
+  function save(form) {
+    const formData = new FormData();
+    formData.set("intent", "save");
+    formData.set("productId", form.productId);
+    formData.set("productTitle", form.productTitle ?? "");
+    formData.set("minQuantity", form.minQuantity);
+    formData.set("matchCompanyLocations", String(form.matchCompanyLocations));
+    formData.set("companiesPerUnit", form.companiesPerUnit);
+    formData.set("quantityCoverage", form.quantityCoverage);
+    form.locationIds.forEach((id) => formData.append("locationId", id));
+    submit(formData, { method: "post" });
+  }
+
+  function remove(productId) {
+    submit({ intent: "delete", productId }, { method: "post" });
+  }
+
+  async function addProductRule() {
+    const selected = await shopify.resourcePicker({ type: "product", multiple: false });
+    const product = selected?.[0];
+    if (!product) return;
+
+    const existing = productRules.find((r) => r.productId === toNumericId(product.id));
+    setProductForm(
+      toFormState(
+        existing ?? {
+          ...shopRule,
+          productId: toNumericId(product.id),
+          productTitle: product.title,
+        },
+      ),
+    );
+  }
+
+  return (
+    <Page title="Restock rules">
+      <Layout>
+        <Layout.Section>
+          <BlockStack gap="400">
+            {actionData?.ok === false && <Banner tone="critical">{actionData.error}</Banner>}
+
+            <Card>
+              <BlockStack gap="400">
+                <BlockStack gap="100">
+                  <Text as="h2" variant="headingMd">
+                    Default rule
+                  </Text>
+                  <Text as="p" variant="bodyMd" tone="subdued">
+                    Applies to every product without its own rule. Restock emails sent from the
+                    admin with "Notify now" ignore rules.
+                  </Text>
+                </BlockStack>
+
+                <RuleFields value={shopForm} onChange={setShopForm} locations={locations} />
+
+                <InlineStack align="end">
+                  <Button variant="primary" onClick={() => save(shopForm)} loading={saving}>
+                    Save default rule
+                  </Button>
+                </InlineStack>
+              </BlockStack>
+            </Card>
+
+            <Card padding="0">
+              <BlockStack>
+                <InlineStack align="space-between" blockAlign="center">
+                  <Box padding="400">
+                    <Text as="h2" variant="headingMd">
+                      Product rules
+                    </Text>
+                  </Box>
+                  <Box padding="400">
+                    <Button onClick={addProductRule}>Add product rule</Button>
+                  </Box>
+                </InlineStack>
+
+                <IndexTable
+                  resourceName={{ singular: "rule", plural: "rules" }}
+                  itemCount={productRules.length}
+                  selectable={false}
+                  emptyState={
+                    <Box padding="400">
+                      <Text as="p" variant="bodyMd" alignment="center">
+                        Every product uses the default rule.
+                      </Text>
+                    </Box>
+                  }
+                  headings={[{ title: "Product" }, { title: "Rule" }, { title: "" }]}
+                >
+                  {productRules.map((rule, index) => (
+                    <IndexTable.Row id={rule.productId} key={rule.productId} position={index}>
+                      <IndexTable.Cell>
+                        {rule.productTitle || `Product ${rule.productId}`}
+                      </IndexTable.Cell>
+                      <IndexTable.Cell>{describeRule(rule, locations)}</IndexTable.Cell>
+                      <IndexTable.Cell>
+                        <InlineStack gap="200" align="end">
+                          <Button variant="plain" onClick={() => setProductForm(toFormState(rule))}>
+                            Edit
+                          </Button>
+                          <Button
+                            variant="plain"
+                            tone="critical"
+                            onClick={() => remove(rule.productId)}
+                          >
+                            Remove
+                          </Button>
+                        </InlineStack>
+                      </IndexTable.Cell>
+                    </IndexTable.Row>
+                  ))}
+                </IndexTable>
+              </BlockStack>
+            </Card>
+
+            {productForm && (
+              <Card>
+                <BlockStack gap="400">
+                  <Text as="h2" variant="headingMd">
+                    Rule for {productForm.productTitle || `Product ${productForm.productId}`}
+                  </Text>
+
+                  <RuleFields value={productForm} onChange={setProductForm} locations={locations} />
+
+                  <InlineStack align="end" gap="200">
+                    <Button onClick={() => setProductForm(null)}>Cancel</Button>
+                    <Button variant="primary" onClick={() => save(productForm)} loading={saving}>
+                      Save product rule
+                    </Button>
+                  </InlineStack>
+                </BlockStack>
+              </Card>
+            )}
+          </BlockStack>
+        </Layout.Section>
+      </Layout>
+    </Page>
+  );
+}
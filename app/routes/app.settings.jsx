@@ -0,0 +1,337 @@
+// app/routes/app.settings.jsx
+
+import { json } from "@remix-run/node";
+import { useActionData, useLoaderData, useNavigation, useSubmit } from "@remix-run/react";
+import React, { useEffect, useState } from "react";
+import {
+  Page,
+  Layout,
+  Card,
+  BlockStack,
+  Text,
+  TextField,
+  Checkbox,
+  Select,
+  Button,
+  Banner,
+  InlineStack,
+} from "@shopify/polaris";
+import { authenticate } from "../shopify.server";
+import db from "../db.server";
+import { MAX_ATTRIBUTION_WINDOW_DAYS, toAttributionWindowDays } from "../attribution.server";
+import { MAX_RESERVATION_HOURS, toReservationHours } from "../reservations.server";
+import {
+  getShopByDomain,
+  normalizeDomain,
+  parseCustomDomains,
+  parseDistributionList,
+  registerShop,
+  serializeCustomDomains,
+  toNotifyPolicy,
+} from "../shops.server";
+
+const NOTIFY_POLICY_OPTIONS = [
+  { label: "Company main contact", value: "main_contact" },
+  { label: "The buyer who subscribed", value: "subscriber" },
+  { label: "All contacts with an ordering role at the location", value: "location_contacts" },
+  { label: "Custom distribution list", value: "custom" },
+];
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// =================== LOADER ===================
+
+export async function loader({ request }) {
+  const { admin, session } = await authenticate.admin(request);
+
+  // Shops installed before the registry existed get their row on first visit
+  let shop = await getShopByDomain(session.shop);
+  if (!shop) {
+    shop = await registerShop(session, admin);
+  }
+
+  return json({
+    shopId: shop?.id ?? "",
+    shopDomain: session.shop,
+    customDomains: parseCustomDomains(shop?.customDomains),
+    region: shop?.region ?? "",
+    enabled: shop?.enabled ?? true,
+    notifyPolicy: toNotifyPolicy(shop?.notifyPolicy),
+    notifyDistributionList: parseDistributionList(shop?.notifyDistributionList),
+    attributionWindowDays: toAttributionWindowDays(shop?.attributionWindowDays),
+    maxAttributionWindowDays: MAX_ATTRIBUTION_WINDOW_DAYS,
+    reserveOnRestock: shop?.reserveOnRestock ?? false,
+    reservationHours: toReservationHours(shop?.reservationHours),
+    maxReservationHours: MAX_RESERVATION_HOURS,
+    hasOfflineToken: !!shop?.sessionId,
+  });
+}
+
+// =================== ACTION ===================
+
+export async function action({ request }) {
+  const { session } = await authenticate.admin(request);
+  const formData = await request.formData();
+
+  const rawDomains = String(formData.get("customDomains") ?? "")
+    .split(/[\n,]/)
+    .map((d) => d.trim())
+    .filter(Boolean);
+
+  const invalid = rawDomains.filter((d) => !normalizeDomain(d));
+  if (invalid.length > 0) {
+    return json({ ok: false, error: `Invalid domain(s): ${invalid.join(", ")}` }, { status: 400 });
+  }
+
+  const distributionList = String(formData.get("notifyDistributionList") ?? "")
+    .split(/[\n,]/)
+    .map((e) => e.trim())
+    .filter(Boolean);
+
+  const invalidEmails = distributionList.filter((e) => !EMAIL_PATTERN.test(e));
+  if (invalidEmails.length > 0) {
+    return json(
+      { ok: false, error: `Invalid email(s): ${invalidEmails.join(", ")}` },
+      { status: 400 },
+    );
+  }
+
+  const notifyPolicy = toNotifyPolicy(String(formData.get("notifyPolicy") ?? ""));
+  if (notifyPolicy === "custom" && distributionList.length === 0) {
+    return json(
+      { ok: false, error: "Add at least one email to the distribution list." },
+      { status: 400 },
+    );
+  }
+
+  const attributionWindowDays = Number(formData.get("attributionWindowDays"));
+  if (
+    !Number.isInteger(attributionWindowDays) ||
+    attributionWindowDays < 1 ||
+    attributionWindowDays > MAX_ATTRIBUTION_WINDOW_DAYS
+  ) {
+    return json(
+      {
+        ok: false,
+        error: `Attribution window must be between 1 and ${MAX_ATTRIBUTION_WINDOW_DAYS} days.`,
+      },
+      { status: 400 },
+    );
+  }
+
+  const reservationHours = Number(formData.get("reservationHours"));
+  if (
+    !Number.isInteger(reservationHours) ||
+    reservationHours < 1 ||
+    reservationHours > MAX_RESERVATION_HOURS
+  ) {
+    return json(
+      {
+        ok: false,
+        error: `Reservations must last between 1 and ${MAX_RESERVATION_HOURS} hours.`,
+      },
+      { status: 400 },
+    );
+  }
+
+  await db.shop.update({
+    where: { shopDomain: session.shop },
+    data: {
+      customDomains: serializeCustomDomains(rawDomains),
+      region: String(formData.get("region") ?? "").trim() || null,
+      enabled: formData.get("enabled") === "true",
+      notifyPolicy,
+      notifyDistributionList: JSON.stringify(Array.from(new Set(distributionList))),
+      attributionWindowDays,
+      reserveOnRestock: formData.get("reserveOnRestock") === "true",
+      reservationHours,
+    },
+  });
+
+  return json({ ok: true });
+}
+
+// =================== REACT PAGE ===================
+
+export default function BackinstockSettings() {
+  const loaderData = useLoaderData();
+  const actionData = useActionData();
+  const navigation = useNavigation();
+  const submit = useSubmit();
+
+  const [customDomains, setCustomDomains] = useState(loaderData.customDomains.join("\n"));
+  const [region, setRegion] = useState(loaderData.region);
+  const [enabled, setEnabled] = useState(loaderData.enabled);
+  const [notifyPolicy, setNotifyPolicy] = useState(loaderData.notifyPolicy);
+  const [distributionList, setDistributionList] = useState(
+    loaderData.notifyDistributionList.join("\n"),
+  );
+  const [attributionWindowDays, setAttributionWindowDays] = useState(
+    String(loaderData.attributionWindowDays),
+  );
+  const [reserveOnRestock, setReserveOnRestock] = useState(loaderData.reserveOnRestock);
+  const [reservationHours, setReservationHours] = useState(String(loaderData.reservationHours));
+
+  useEffect(() => {
+    setCustomDomains(loaderData.customDomains.join("\n"));
+    setRegion(loaderData.region);
+    setEnabled(loaderData.enabled);
+    setNotifyPolicy(loaderData.notifyPolicy);
+    setDistributionList(loaderData.notifyDistributionList.join("\n"));
+    setAttributionWindowDays(String(loaderData.attributionWindowDays));
+    setReserveOnRestock(loaderData.reserveOnRestock);
+    setReservationHours(String(loaderData.reservationHours));
+  }, [loaderData]);
+
+  const isSaving = navigation.state === "submitting";
+
+  const handleSave = () => {
+    submit(
+      {
+        customDomains,
+        region,
+        enabled: String(enabled),
+        notifyPolicy,
+        notifyDistributionList: distributionList,
+        attributionWindowDays,
+        reserveOnRestock: String(reserveOnRestock),
+        reservationHours,
+      },
+      { method: "post" },
+    );
+  };
+
+  return (
+    <Page title="Settings">
+      <Layout>
+        <Layout.Section>
+          <BlockStack gap="400">
+            {actionData?.ok === false && <Banner tone="critical">{actionData.error}</Banner>}
+            {actionData?.ok === true && <Banner tone="success">Settings saved.</Banner>}
+
+            {!loaderData.hasOfflineToken && (
+              <Banner tone="warning">
+                No offline token is linked to this shop. Reinstall or reopen the app so the
+                storefront and Flow endpoints can reach the Admin API.
+              </Banner>
+            )}
+
+            <Card>
+              <BlockStack gap="400">
+                <Text as="h2" variant="headingMd">
+                  Shop
+                </Text>
+                <Text as="p" variant="bodyMd">
+                  {loaderData.shopDomain} (ID {loaderData.shopId || "—"})
+                </Text>
+
+                <TextField
+                  label="Storefront domains"
+                  helpText="One per line, e.g. bloomconnect.com.hk. Subscribe requests are accepted from these origins; the first one is used in notification links."
+                  value={customDomains}
+                  onChange={setCustomDomains}
+                  multiline={4}
+                  autoComplete="off"
+                />
+
+                <TextField
+                  label="Region label"
+                  value={region}
+                  onChange={setRegion}
+                  placeholder="e.g. HK"
+                  autoComplete="off"
+                />
+
+                <Checkbox
+                  label="Back in stock enabled for this shop"
+                  checked={enabled}
+                  onChange={setEnabled}
+                />
+              </BlockStack>
+            </Card>
+
+            <Card>
+              <BlockStack gap="400">
+                <Text as="h2" variant="headingMd">
+                  Notification recipients
+                </Text>
+
+                <Select
+                  label="Who receives the restock email for a company"
+                  options={NOTIFY_POLICY_OPTIONS}
+                  value={notifyPolicy}
+                  onChange={setNotifyPolicy}
+                />
+
+                {notifyPolicy === "custom" && (
+                  <TextField
+                    label="Distribution list"
+                    helpText="One email per line. Every waiting company's notification goes to these addresses."
+                    value={distributionList}
+                    onChange={setDistributionList}
+                    multiline={4}
+                    autoComplete="off"
+                  />
+                )}
+              </BlockStack>
+            </Card>
+
+            <Card>
+              <BlockStack gap="400">
+                <Text as="h2" variant="headingMd">
+                  Order attribution
+                </Text>
+
+                <TextField
+                  label="Attribution window"
+                  type="number"
+                  min={1}
+                  max={loaderData.maxAttributionWindowDays}
+                  suffix="days"
+                  helpText="Orders placed through the email's product link are always credited. Without the link, an order of the variant by the notified company or buyer counts if it is placed within this many days of the email."
+                  value={attributionWindowDays}
+                  onChange={setAttributionWindowDays}
+                  autoComplete="off"
+                />
+              </BlockStack>
+            </Card>
+
+            <Card>
+              <BlockStack gap="400">
+                <Text as="h2" variant="headingMd">
+                  Reserve on restock
+                </Text>
+
+                <Checkbox
+                  label="Reserve stock for key accounts"
+                  helpText="When a company subscribed with a reserve quantity (set in the product's Back in Stock block), its restock creates a draft order at the company's catalog price that holds the stock. The email links to the draft order invoice instead of the product page."
+                  checked={reserveOnRestock}
+                  onChange={setReserveOnRestock}
+                />
+
+                <TextField
+                  label="Hold reserved stock for"
+                  type="number"
+                  min={1}
+                  max={loaderData.maxReservationHours}
+                  suffix="hours"
+                  helpText="Unpaid draft orders are deleted after this and the stock is released."
+                  value={reservationHours}
+                  onChange={setReservationHours}
+                  disabled={!reserveOnRestock}
+                  autoComplete="off"
+                />
+              </BlockStack>
+            </Card>
+
+            <InlineStack align="end">
+              <Button variant="primary" onClick={handleSave} loading={isSaving}>
+                Save
+              </Button>
+            </InlineStack>
+          </BlockStack>
+        </Layout.Section>
+      </Layout>
+    </Page>
+  );
+}
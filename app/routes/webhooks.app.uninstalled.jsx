@@ -12,5 +12,8 @@ export const action = async ({ request }) => {
     await db.session.deleteMany({ where: { shop } });
   }
 
+  // Keep the Shop row (custom domains, region) for a reinstall, but drop the token reference
+  await db.shop.updateMany({ where: { shopDomain: shop }, data: { sessionId: null } });
+
   return new Response();
 };
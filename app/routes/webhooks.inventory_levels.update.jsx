@@ -0,0 +1,45 @@
+import { authenticate } from "../shopify.server";
+import { handleInventoryChange } from "../inventory.server";
+
+export const action = async ({ request }) => {
+  const { admin, payload, shop, topic } = await authenticate.webhook(request);
+
+  console.log(`Received ${topic} webhook for ${shop}`);
+
+  // The app may have been uninstalled; nothing to look up without a session
+  if (!admin || !payload?.inventory_item_id) {
+    return new Response();
+  }
+
+  // The payload is per location; read the variant's total available instead
+  const resp = await admin.graphql(
+    `
+      query BackinstockInventoryItemVariant($id: ID!) {
+        inventoryItem(id: $id) {
+          id
+          variant {
+            id
+            inventoryQuantity
+          }
+        }
+      }
+    `,
+    { variables: { id: `gid://shopify/InventoryItem/${payload.inventory_item_id}` } },
+  );
+  const itemJson = await resp.json();
+  const variant = itemJson?.data?.inventoryItem?.variant;
+
+  if (!variant?.id || typeof variant.inventoryQuantity !== "number") {
+    console.warn("Backinstock inventory: no variant for inventory item", payload.inventory_item_id);
+    return new Response();
+  }
+
+  await handleInventoryChange({
+    shop,
+    variantId: variant.id,
+    inventoryItemId: String(payload.inventory_item_id),
+    available: variant.inventoryQuantity,
+  });
+
+  return new Response();
+};
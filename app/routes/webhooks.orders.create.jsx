@@ -0,0 +1,16 @@
+import { authenticate } from "../shopify.server";
+import { attributeOrder } from "../attribution.server";
+
+export const action = async ({ request }) => {
+  const { payload, shop, topic } = await authenticate.webhook(request);
+
+  console.log(`Received ${topic} webhook for ${shop}`);
+
+  const attributed = await attributeOrder(shop, payload);
+
+  if (attributed.length > 0) {
+    console.log("Backinstock attribution: order", payload?.id, attributed);
+  }
+
+  return new Response();
+};
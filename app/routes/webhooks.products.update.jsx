@@ -0,0 +1,23 @@
+import { authenticate } from "../shopify.server";
+import { handleInventoryChange } from "../inventory.server";
+
+export const action = async ({ request }) => {
+  const { payload, shop, topic } = await authenticate.webhook(request);
+
+  console.log(`Received ${topic} webhook for ${shop}`);
+
+  const variants = Array.isArray(payload?.variants) ? payload.variants : [];
+
+  for (const variant of variants) {
+    if (!variant?.id || typeof variant.inventory_quantity !== "number") continue;
+
+    await handleInventoryChange({
+      shop,
+      variantId: String(variant.id),
+      inventoryItemId: variant.inventory_item_id ? String(variant.inventory_item_id) : null,
+      available: variant.inventory_quantity,
+    });
+  }
+
+  return new Response();
+};
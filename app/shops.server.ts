@@ -0,0 +1,230 @@
+// app/shops.server.ts
+import prisma from "./db.server";
+import { unauthenticated } from "./shopify.server";
+
+/**
+ * Shop registry.
+ *
+ * Every installed store has a Shop row (filled by the afterAuth hook) that
+ * points at its offline Session. Public routes resolve the store either by
+ * numeric shop ID (Flow) or by myshopify domain (app proxy, webhooks).
+ *
+ * Stores installed before the registry existed only have the Session, and
+ * afterAuth doesn't run again while it stays valid: a lookup that misses
+ * registers them from their offline session first.
+ */
+
+export type NotifyPolicy = "subscriber" | "main_contact" | "location_contacts" | "custom";
+
+export const NOTIFY_POLICIES: NotifyPolicy[] = [
+  "subscriber",
+  "main_contact",
+  "location_contacts",
+  "custom",
+];
+
+export type ShopAdminConfig = {
+  shopId: string; // numeric, e.g. "59668267140"
+  shopDomain: string; // *.myshopify.com, used for Admin API calls
+  storefrontDomain: string; // first custom domain, else shopDomain
+  adminAccessToken: string;
+  region: string | null;
+  notifyPolicy: NotifyPolicy;
+  notifyDistributionList: string[];
+  reserveOnRestock: boolean;
+  reservationHours: number;
+};
+
+type ShopRow = {
+  id: string;
+  shopDomain: string;
+  customDomains: string;
+  sessionId: string | null;
+  region: string | null;
+  enabled: boolean;
+  notifyPolicy: string;
+  notifyDistributionList: string;
+  reserveOnRestock: boolean;
+  reservationHours: number;
+};
+
+// "https://Bloomconnect.com.hk/" -> "bloomconnect.com.hk"
+export function normalizeDomain(value: string): string {
+  const trimmed = value.trim().toLowerCase();
+  if (!trimmed) return "";
+
+  try {
+    return new URL(trimmed.includes("://") ? trimmed : `https://${trimmed}`).host;
+  } catch {
+    return "";
+  }
+}
+
+export function parseCustomDomains(value: string | null | undefined): string[] {
+  if (!value) return [];
+
+  try {
+    const parsed = JSON.parse(value);
+    return Array.isArray(parsed) ? parsed.filter((d) => typeof d === "string") : [];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Whether a browser Origin is one of the shop's storefronts.
+ */
+export function isStorefrontOrigin(
+  shop: { shopDomain: string; customDomains: string | null },
+  origin: string,
+): boolean {
+  const hosts = [shop.shopDomain, ...parseCustomDomains(shop.customDomains)];
+  return hosts.includes(normalizeDomain(origin));
+}
+
+// Same JSON-array-of-strings column format as customDomains
+export const parseDistributionList = parseCustomDomains;
+
+export function toNotifyPolicy(value: string | null | undefined): NotifyPolicy {
+  return NOTIFY_POLICIES.includes(value as NotifyPolicy) ? (value as NotifyPolicy) : "main_contact";
+}
+
+export function serializeCustomDomains(domains: string[]): string {
+  return JSON.stringify(Array.from(new Set(domains.map(normalizeDomain).filter(Boolean))));
+}
+
+/**
+ * Create or refresh the Shop row from an offline session.
+ * Called from the afterAuth hook, so every install/re-auth keeps the token reference current.
+ */
+export async function registerShop(
+  session: { id: string; shop: string; isOnline?: boolean },
+  admin: { graphql: (query: string) => Promise<Response> },
+) {
+  const resp = await admin.graphql(`
+    query BackinstockRegisterShop {
+      shop {
+        id
+      }
+    }
+  `);
+  const shopJson: any = await resp.json();
+  const shopGid: string = shopJson?.data?.shop?.id || "";
+  const shopId = shopGid.split("/").pop() || "";
+
+  if (!shopId) {
+    console.error("Backinstock shops: could not read shop id for", session.shop);
+    return null;
+  }
+
+  // Only offline sessions carry a token usable from public routes
+  const sessionData = session.isOnline ? {} : { sessionId: session.id };
+
+  const shop = await prisma.shop.upsert({
+    where: { id: shopId },
+    create: { id: shopId, shopDomain: session.shop, ...sessionData },
+    update: { shopDomain: session.shop, ...sessionData },
+  });
+
+  console.log("Backinstock shops: registered", shopId, session.shop);
+  return shop;
+}
+
+// Domains whose backfill failed in this process, so a dead token isn't retried per request
+const backfillFailed = new Set<string>();
+
+async function backfillShop(shopDomain: string) {
+  if (backfillFailed.has(shopDomain)) return null;
+
+  try {
+    const { admin, session } = await unauthenticated.admin(shopDomain);
+    const shop = await registerShop(session, admin);
+    if (!shop) backfillFailed.add(shopDomain);
+    return shop;
+  } catch (err) {
+    backfillFailed.add(shopDomain);
+    console.error("Backinstock shops: could not register from offline session", shopDomain, err);
+    return null;
+  }
+}
+
+// Flow only knows the numeric ID, so register every offline session still missing a row
+async function backfillShopsFromSessions() {
+  const sessions: { shop: string }[] = await prisma.session.findMany({
+    where: { isOnline: false },
+    select: { shop: true },
+  });
+  const registered = new Set(
+    (await prisma.shop.findMany({ select: { shopDomain: true } })).map(
+      (s: { shopDomain: string }) => s.shopDomain,
+    ),
+  );
+
+  for (const shopDomain of new Set(sessions.map((s) => s.shop))) {
+    if (!registered.has(shopDomain)) await backfillShop(shopDomain);
+  }
+}
+
+export async function getShopByDomain(shopDomain: string) {
+  return (await prisma.shop.findUnique({ where: { shopDomain } })) ?? backfillShop(shopDomain);
+}
+
+async function toAdminConfig(shop: ShopRow): Promise<ShopAdminConfig> {
+  if (!shop.enabled) {
+    throw new Error(`Shop ${shop.id} (${shop.shopDomain}) is disabled`);
+  }
+
+  const session = shop.sessionId
+    ? await prisma.session.findUnique({ where: { id: shop.sessionId } })
+    : null;
+
+  if (!session?.accessToken) {
+    throw new Error(`No offline session for shop ${shop.id} (${shop.shopDomain})`);
+  }
+
+  const customDomains = parseCustomDomains(shop.customDomains);
+
+  return {
+    shopId: shop.id,
+    shopDomain: shop.shopDomain,
+    storefrontDomain: customDomains[0] || shop.shopDomain,
+    adminAccessToken: session.accessToken,
+    region: shop.region,
+    notifyPolicy: toNotifyPolicy(shop.notifyPolicy),
+    notifyDistributionList: parseDistributionList(shop.notifyDistributionList),
+    reserveOnRestock: shop.reserveOnRestock,
+    reservationHours: shop.reservationHours,
+  };
+}
+
+/**
+ * Resolve by numeric shop ID or Shop GID (as sent by Shopify Flow).
+ */
+export async function getShopAdminConfigById(shopId: string): Promise<ShopAdminConfig> {
+  const numericId = shopId.startsWith("gid://") ? shopId.split("/").pop() || "" : shopId;
+  let shop = await prisma.shop.findUnique({ where: { id: numericId } });
+
+  if (!shop) {
+    await backfillShopsFromSessions();
+    shop = await prisma.shop.findUnique({ where: { id: numericId } });
+  }
+
+  if (!shop) {
+    throw new Error(`No Shop registered for shopId: ${numericId}`);
+  }
+
+  return toAdminConfig(shop);
+}
+
+/**
+ * Resolve by myshopify domain (as given by webhooks and admin sessions).
+ */
+export async function getShopAdminConfigByDomain(shopDomain: string): Promise<ShopAdminConfig> {
+  const shop = await getShopByDomain(shopDomain);
+
+  if (!shop) {
+    throw new Error(`No Shop registered for domain: ${shopDomain}`);
+  }
+
+  return toAdminConfig(shop);
+}
@@ -0,0 +1,51 @@
+// app/signed-links.server.ts
+import { createHmac, timingSafeEqual } from "crypto";
+
+/**
+ * Tamper-proof tokens for links we put in emails.
+ *
+ * A token is `base64url(JSON payload).base64url(HMAC-SHA256)`, signed with
+ * BACKINSTOCK_LINK_SECRET (falls back to the app's API secret). Tokens carry
+ * no secret data; the signature only proves we issued them.
+ */
+
+function linkSecret(): string {
+  const secret = process.env.BACKINSTOCK_LINK_SECRET || process.env.SHOPIFY_API_SECRET || "";
+  if (!secret) {
+    throw new Error("BACKINSTOCK_LINK_SECRET (or SHOPIFY_API_SECRET) must be set to sign links");
+  }
+  return secret;
+}
+
+function hmac(data: string): Buffer {
+  return createHmac("sha256", linkSecret()).update(data).digest();
+}
+
+export function signPayload(payload: Record<string, unknown>): string {
+  const data = Buffer.from(JSON.stringify(payload)).toString("base64url");
+  return `${data}.${hmac(data).toString("base64url")}`;
+}
+
+/**
+ * Returns the payload when the signature matches, otherwise null.
+ */
+export function verifyPayload<T = Record<string, unknown>>(token: string | null | undefined): T | null {
+  if (!token) return null;
+
+  // Exactly "<data>.<signature>", both base64url. Node's decoder skips
+  // characters it doesn't know, so anything else could still verify.
+  const parts = token.split(".");
+  if (parts.length !== 2 || !parts.every((part) => /^[\w-]+$/.test(part))) return null;
+
+  const [data, signature] = parts;
+
+  const expected = hmac(data);
+  const given = Buffer.from(signature, "base64url");
+  if (given.length !== expected.length || !timingSafeEqual(given, expected)) return null;
+
+  try {
+    return JSON.parse(Buffer.from(data, "base64url").toString("utf8")) as T;
+  } catch {
+    return null;
+  }
+}
@@ -0,0 +1,542 @@
+// app/subscriptions.server.ts
+import { randomBytes } from "crypto";
+import prisma from "./db.server";
+import { signPayload, verifyPayload } from "./signed-links.server";
+import { ConflictError, retryOnConflict, withVariantLock } from "./variant-lock.server";
+
+/**
+ * Local subscription store.
+ *
+ * The Subscription table is the source of truth. The
+ * `backinstock.notify_companies` variant metafield is only a mirror of the
+ * pending company IDs so the storefront (Liquid) can read it.
+ *
+ * Three kinds of subscriber:
+ * - company: a B2B company (optionally the contact who clicked)
+ * - customer: a logged-in retail customer, keyed by customer ID
+ * - email: a guest address, "unconfirmed" until the double opt-in link is opened
+ */
+
+export const MIRROR_NAMESPACE = "backinstock";
+export const MIRROR_KEY = "notify_companies";
+
+export type SubscriptionStatus = "unconfirmed" | "pending" | "notified" | "cancelled";
+
+export type SubscriptionKind = "company" | "customer" | "email";
+
+/**
+ * Who a subscription belongs to. Unsubscribe links and the storefront cancel
+ * button act on the open rows of one subscriber; a company key with a
+ * contactId or companyLocationId only covers that contact's or location's rows.
+ */
+export type SubscriberKey =
+  | { kind: "company"; companyId: string; contactId?: string; companyLocationId?: string }
+  | { kind: "customer"; customerId: string }
+  | { kind: "email"; email: string };
+
+// How long a guest has to open the confirmation link
+const CONFIRM_TOKEN_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+// How long the unsubscribe link in a notification email works
+const UNSUBSCRIBE_TOKEN_TTL_MS = 60 * 24 * 60 * 60 * 1000;
+
+/**
+ * Any Admin GraphQL caller that resolves to the parsed JSON body.
+ * Lets routes pass either the offline-token fetch helper or `admin.graphql`.
+ */
+export type GraphqlRunner = (query: string, variables?: Record<string, any>) => Promise<any>;
+
+// Display names stored with the row for searching the admin list
+type SnapshotFields = {
+  productTitle?: string | null;
+  sku?: string | null;
+  companyName?: string | null;
+};
+
+type SubscribeInput = SnapshotFields & {
+  shop: string;
+  variantId: string;
+  productId?: string | null;
+  companyId: string;
+  companyLocationId?: string | null;
+  contactId?: string | null;
+  customerId?: string | null;
+  email?: string | null; // contact address given in the storefront form
+  requestedQuantity?: number | null;
+  reserveQuantity?: number | null; // key accounts, see app/reservations.server.ts
+  note?: string | null;
+  locale?: string | null;
+};
+
+type IndividualSubscribeInput = SnapshotFields & {
+  shop: string;
+  variantId: string;
+  productId?: string | null;
+  customerId?: string | null;
+  email?: string | null;
+  requestedQuantity?: number | null;
+  note?: string | null;
+  locale?: string | null;
+};
+
+/**
+ * Asking again with a new quantity, note or email updates the waiting row.
+ */
+async function refreshRequestDetails(
+  existing: { id: number },
+  details: {
+    email?: string | null;
+    requestedQuantity?: number | null;
+    reserveQuantity?: number | null;
+    note?: string | null;
+    locale?: string | null;
+  },
+) {
+  const data = {
+    ...(details.locale ? { locale: details.locale } : {}),
+    ...(details.email ? { email: details.email } : {}),
+    ...(details.requestedQuantity ? { requestedQuantity: details.requestedQuantity } : {}),
+    ...(details.reserveQuantity ? { reserveQuantity: details.reserveQuantity } : {}),
+    ...(details.note ? { note: details.note } : {}),
+  };
+
+  if (Object.keys(data).length === 0) return existing;
+  return prisma.subscription.update({ where: { id: existing.id }, data });
+}
+
+// "gid://shopify/ProductVariant/123" -> "123"
+export function toNumericId(id: string | number | null | undefined): string {
+  if (id === null || id === undefined) return "";
+  const str = String(id);
+  return str.startsWith("gid://") ? str.split("/").pop() || "" : str;
+}
+
+/**
+ * Create a pending subscription unless this company contact is already waiting on the variant.
+ */
+export async function subscribeCompany(input: SubscribeInput) {
+  const variantId = toNumericId(input.variantId);
+  const companyId = toNumericId(input.companyId);
+  const customerId = input.customerId ? toNumericId(input.customerId) : null;
+  const email = input.email?.trim().toLowerCase() || null;
+
+  // One pending row per company contact, so the "subscriber" policy can reach each buyer
+  const existing = await prisma.subscription.findFirst({
+    where: {
+      shop: input.shop,
+      variantId,
+      kind: "company",
+      companyId,
+      customerId,
+      status: "pending",
+    },
+  });
+
+  if (existing) {
+    const subscription = await refreshRequestDetails(existing, { ...input, email });
+    return { subscription, created: false };
+  }
+
+  const subscription = await prisma.subscription.create({
+    data: {
+      shop: input.shop,
+      variantId,
+      productId: input.productId ? toNumericId(input.productId) : null,
+      kind: "company",
+      email,
+      requestedQuantity: input.requestedQuantity ?? null,
+      reserveQuantity: input.reserveQuantity ?? null,
+      note: input.note ?? null,
+      locale: input.locale ?? null,
+      productTitle: input.productTitle || null,
+      sku: input.sku || null,
+      companyName: input.companyName || null,
+      companyId,
+      companyLocationId: input.companyLocationId ? toNumericId(input.companyLocationId) : null,
+      contactId: input.contactId ? toNumericId(input.contactId) : null,
+      customerId,
+    },
+  });
+
+  return { subscription, created: true };
+}
+
+/**
+ * Subscribe a retail customer (by customer ID) or a guest (by email).
+ *
+ * Customer subscriptions are pending straight away: Shopify vouches for the
+ * logged-in customer. Guest emails start "unconfirmed" with a confirmToken and
+ * only join the restock run once `confirmEmailSubscription` is called. Asking
+ * again before confirming returns the same row so the link can be resent.
+ * A customer's `email` is where they asked to be reached instead of their account address.
+ */
+export async function subscribeIndividual(input: IndividualSubscribeInput) {
+  const variantId = toNumericId(input.variantId);
+  const customerId = input.customerId ? toNumericId(input.customerId) : null;
+  const email = input.email?.trim().toLowerCase() || null;
+
+  if (!customerId && !email) {
+    throw new Error("subscribeIndividual needs a customerId or an email");
+  }
+
+  const existing = await prisma.subscription.findFirst({
+    where: customerId
+      ? { shop: input.shop, variantId, kind: "customer", customerId, status: "pending" }
+      : {
+          shop: input.shop,
+          variantId,
+          kind: "email",
+          email,
+          status: { in: ["unconfirmed", "pending"] },
+        },
+  });
+
+  if (existing) {
+    const subscription = await refreshRequestDetails(existing, {
+      ...input,
+      email: customerId ? email : null,
+    });
+    return { subscription, created: false };
+  }
+
+  const subscription = await prisma.subscription.create({
+    data: {
+      shop: input.shop,
+      variantId,
+      productId: input.productId ? toNumericId(input.productId) : null,
+      kind: customerId ? "customer" : "email",
+      customerId,
+      email,
+      requestedQuantity: input.requestedQuantity ?? null,
+      note: input.note ?? null,
+      locale: input.locale ?? null,
+      productTitle: input.productTitle || null,
+      sku: input.sku || null,
+      status: customerId ? "pending" : "unconfirmed",
+      confirmToken: customerId ? null : randomBytes(24).toString("base64url"),
+    },
+  });
+
+  return { subscription, created: true };
+}
+
+/**
+ * Double opt-in: turn the unconfirmed guest row behind `token` pending.
+ * Returns null for unknown or expired tokens.
+ */
+export async function confirmEmailSubscription(shop: string, token: string) {
+  const subscription = await prisma.subscription.findUnique({ where: { confirmToken: token } });
+
+  if (!subscription || subscription.shop !== shop) return null;
+  if (subscription.status !== "unconfirmed") return subscription;
+
+  if (Date.now() - new Date(subscription.createdAt).getTime() > CONFIRM_TOKEN_TTL_MS) {
+    return null;
+  }
+
+  return prisma.subscription.update({
+    where: { id: subscription.id },
+    data: { status: "pending", confirmedAt: new Date() },
+  });
+}
+
+export async function listPendingSubscriptions(shop: string, variantId: string) {
+  return prisma.subscription.findMany({
+    where: { shop, variantId: toNumericId(variantId), status: "pending" },
+    orderBy: { createdAt: "asc" },
+  });
+}
+
+export async function listPendingCompanyIds(shop: string, variantId: string): Promise<string[]> {
+  const rows = await listPendingSubscriptions(shop, variantId);
+  return Array.from(
+    new Set(
+      rows
+        .filter((r: { kind: string }) => r.kind === "company")
+        .map((r: { companyId: string }) => r.companyId),
+    ),
+  );
+}
+
+export async function markSubscriptionsNotified(ids: number[]) {
+  if (ids.length === 0) return 0;
+
+  const result = await prisma.subscription.updateMany({
+    where: { id: { in: ids }, status: "pending" },
+    data: { status: "notified", notifiedAt: new Date() },
+  });
+
+  return result.count;
+}
+
+/**
+ * Subscriptions written before the local store existed only live in the
+ * metafield. Adopt any company found there that has no pending row yet.
+ */
+export async function adoptLegacyMirror(
+  shop: string,
+  variantId: string,
+  productId: string | null,
+  mirrorCompanyIds: string[],
+) {
+  const numericVariantId = toNumericId(variantId);
+
+  return withVariantLock(shop, numericVariantId, async () => {
+    const pending = new Set(await listPendingCompanyIds(shop, numericVariantId));
+    const missing = mirrorCompanyIds.map(toNumericId).filter((id) => id && !pending.has(id));
+
+    for (const companyId of missing) {
+      await subscribeCompany({ shop, variantId: numericVariantId, productId, companyId });
+    }
+
+    return missing.length;
+  });
+}
+
+export function parseMirrorValue(value: string | null | undefined): string[] {
+  if (!value) return [];
+
+  try {
+    const parsed = JSON.parse(value);
+    return Array.isArray(parsed) ? parsed.filter((c) => typeof c === "string") : [];
+  } catch (err) {
+    console.error("Backinstock subscriptions: failed to parse notify_companies mirror", err);
+    return [];
+  }
+}
+
+/**
+ * Rewrite the notify_companies metafield from the pending rows.
+ *
+ * Uses the metafield's compareDigest so a write based on a stale read is
+ * rejected by Shopify, and retries with a fresh read when that happens.
+ */
+export async function syncNotifyCompaniesMirror(
+  graphql: GraphqlRunner,
+  shop: string,
+  variantId: string,
+) {
+  const ownerId = `gid://shopify/ProductVariant/${toNumericId(variantId)}`;
+
+  return retryOnConflict(async () => {
+    const readJson = await graphql(
+      `
+        query BackinstockMirrorDigest($id: ID!) {
+          productVariant(id: $id) {
+            metafield(namespace: "${MIRROR_NAMESPACE}", key: "${MIRROR_KEY}") {
+              compareDigest
+            }
+          }
+        }
+      `,
+      { id: ownerId },
+    );
+
+    // null = "the metafield must not exist yet"
+    const compareDigest: string | null =
+      readJson?.data?.productVariant?.metafield?.compareDigest ?? null;
+
+    const companies = await listPendingCompanyIds(shop, variantId);
+
+    const writeJson = await graphql(
+      `
+        mutation SyncBackinstockNotifyCompanies($metafields: [MetafieldsSetInput!]!) {
+          metafieldsSet(metafields: $metafields) {
+            metafields {
+              id
+            }
+            userErrors {
+              field
+              message
+              code
+            }
+          }
+        }
+      `,
+      {
+        metafields: [
+          {
+            ownerId,
+            namespace: MIRROR_NAMESPACE,
+            key: MIRROR_KEY,
+            type: "json",
+            value: JSON.stringify(companies),
+            compareDigest,
+          },
+        ],
+      },
+    );
+
+    const userErrors = writeJson?.data?.metafieldsSet?.userErrors ?? [];
+
+    if (userErrors.some((e: { code?: string }) => e.code === "STALE_OBJECT")) {
+      throw new ConflictError(`notify_companies changed underneath us for ${ownerId}`);
+    }
+
+    if (userErrors.length > 0) {
+      console.error("Backinstock subscriptions: mirror metafieldsSet userErrors", userErrors);
+    }
+
+    return { companies, userErrors };
+  });
+}
+
+/**
+ * Subscribe + mirror refresh as one serialized step for the variant.
+ */
+export async function subscribeAndSyncMirror(graphql: GraphqlRunner, input: SubscribeInput) {
+  const variantId = toNumericId(input.variantId);
+
+  return withVariantLock(input.shop, variantId, async () => {
+    const { subscription, created } = await subscribeCompany(input);
+    const { companies, userErrors } = await syncNotifyCompaniesMirror(
+      graphql,
+      input.shop,
+      variantId,
+    );
+
+    return { subscription, created, companies, userErrors };
+  });
+}
+
+/**
+ * Mark subscriptions notified + mirror refresh as one serialized step.
+ */
+export async function markNotifiedAndSyncMirror(
+  graphql: GraphqlRunner,
+  shop: string,
+  variantId: string,
+  subscriptionIds: number[],
+) {
+  const numericVariantId = toNumericId(variantId);
+
+  return withVariantLock(shop, numericVariantId, async () => {
+    const notifiedCount = await markSubscriptionsNotified(subscriptionIds);
+    const { companies, userErrors } = await syncNotifyCompaniesMirror(
+      graphql,
+      shop,
+      numericVariantId,
+    );
+
+    return { notifiedCount, companies, userErrors };
+  });
+}
+
+/**
+ * Cancel everyone still waiting on a variant (admin "Clear") + mirror refresh,
+ * as one serialized step. Returns how many rows were cancelled.
+ */
+export async function cancelVariantAndSyncMirror(
+  graphql: GraphqlRunner,
+  shop: string,
+  variantId: string,
+) {
+  const numericVariantId = toNumericId(variantId);
+
+  return withVariantLock(shop, numericVariantId, async () => {
+    const result = await prisma.subscription.updateMany({
+      where: {
+        shop,
+        variantId: numericVariantId,
+        status: { in: ["unconfirmed", "pending"] },
+      },
+      data: { status: "cancelled", cancelledAt: new Date() },
+    });
+    const { userErrors } = await syncNotifyCompaniesMirror(graphql, shop, numericVariantId);
+
+    return { cancelled: result.count as number, userErrors };
+  });
+}
+
+function subscriberWhere(subscriber: SubscriberKey) {
+  switch (subscriber.kind) {
+    case "company":
+      return {
+        kind: "company",
+        companyId: toNumericId(subscriber.companyId),
+        ...(subscriber.contactId ? { contactId: toNumericId(subscriber.contactId) } : {}),
+        ...(subscriber.companyLocationId
+          ? { companyLocationId: toNumericId(subscriber.companyLocationId) }
+          : {}),
+      };
+    case "customer":
+      return { kind: "customer", customerId: toNumericId(subscriber.customerId) };
+    case "email":
+      return { kind: "email", email: subscriber.email.trim().toLowerCase() };
+  }
+}
+
+/**
+ * Signed token for the one-click unsubscribe link in notification emails.
+ * It cancels the subscriber's open rows on that one variant, and expires.
+ */
+export function unsubscribeToken(
+  shop: string,
+  subscriber: SubscriberKey,
+  variantId: string,
+): string {
+  return signPayload({
+    shop,
+    subscriber,
+    variantId: toNumericId(variantId),
+    exp: Date.now() + UNSUBSCRIBE_TOKEN_TTL_MS,
+  });
+}
+
+export function parseUnsubscribeToken(
+  token: string | null | undefined,
+): { shop: string; subscriber: SubscriberKey; variantId: string } | null {
+  const payload = verifyPayload<{
+    shop?: string;
+    subscriber?: SubscriberKey;
+    variantId?: string;
+    exp?: number;
+  }>(token);
+  if (!payload?.shop || !payload.subscriber?.kind || !payload.variantId) return null;
+  if (typeof payload.exp !== "number" || payload.exp < Date.now()) return null;
+
+  return { shop: payload.shop, subscriber: payload.subscriber, variantId: payload.variantId };
+}
+
+/**
+ * Cancel the subscriber's open rows (all variants, or just `variantId`),
+ * stamping cancelledAt, and refresh the mirror of every variant where a
+ * company was removed. Returns how many rows were cancelled.
+ */
+export async function cancelAndSyncMirror(
+  graphql: GraphqlRunner,
+  shop: string,
+  subscriber: SubscriberKey,
+  variantId?: string,
+) {
+  const where = {
+    shop,
+    ...subscriberWhere(subscriber),
+    ...(variantId ? { variantId: toNumericId(variantId) } : {}),
+    status: { in: ["unconfirmed", "pending"] },
+  };
+
+  const rows = await prisma.subscription.findMany({ where, select: { variantId: true } });
+  const variantIds: string[] = Array.from(
+    new Set(rows.map((r: { variantId: string }) => r.variantId)),
+  );
+
+  let cancelled = 0;
+
+  for (const id of variantIds) {
+    cancelled += await withVariantLock(shop, id, async () => {
+      const result = await prisma.subscription.updateMany({
+        where: { ...where, variantId: id },
+        data: { status: "cancelled", cancelledAt: new Date() },
+      });
+
+      if (subscriber.kind === "company" && result.count > 0) {
+        await syncNotifyCompaniesMirror(graphql, shop, id);
+      }
+
+      return result.count as number;
+    });
+  }
+
+  return cancelled;
+}
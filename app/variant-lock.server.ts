@@ -0,0 +1,143 @@
+// app/variant-lock.server.ts
+import { randomUUID } from "crypto";
+import prisma from "./db.server";
+
+/**
+ * Serializes subscription mutations per shop+variant.
+ *
+ * - In-process: callers for the same key are chained on one promise queue.
+ * - Cross-process: a MutationLock row guards the same key, so two app
+ *   instances can't interleave their read/write of the same variant. The
+ *   holder keeps pushing its expiresAt out while it runs, so only a crashed
+ *   process's lock ever expires.
+ */
+
+const LOCK_TTL_MS = 30_000;
+const LOCK_RENEW_MS = 10_000;
+const LOCK_WAIT_MS = 15_000;
+const LOCK_POLL_MS = 100;
+
+const queues = new Map<string, Promise<unknown>>();
+
+function sleep(ms: number) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+export function variantLockKey(shop: string, variantId: string) {
+  return `variant:${shop}:${variantId}`;
+}
+
+/**
+ * Run `fn` after every earlier call queued under the same key has settled.
+ */
+function runQueued<T>(key: string, fn: () => Promise<T>): Promise<T> {
+  const previous = queues.get(key) ?? Promise.resolve();
+  const run = previous.catch(() => undefined).then(fn);
+
+  const tail = run.catch(() => undefined);
+  queues.set(key, tail);
+  tail.then(() => {
+    if (queues.get(key) === tail) queues.delete(key);
+  });
+
+  return run;
+}
+
+async function acquireDbLock(key: string, owner: string) {
+  const deadline = Date.now() + LOCK_WAIT_MS;
+
+  while (true) {
+    try {
+      await prisma.mutationLock.create({
+        data: { key, owner, expiresAt: new Date(Date.now() + LOCK_TTL_MS) },
+      });
+      return;
+    } catch (err: any) {
+      // P2002 = unique constraint: someone else holds the lock
+      if (err?.code !== "P2002") throw err;
+    }
+
+    // Take over locks left behind by a crashed process
+    await prisma.mutationLock.deleteMany({
+      where: { key, expiresAt: { lt: new Date() } },
+    });
+
+    if (Date.now() > deadline) {
+      throw new Error(`Timed out waiting for lock ${key}`);
+    }
+
+    await sleep(LOCK_POLL_MS + Math.floor(Math.random() * LOCK_POLL_MS));
+  }
+}
+
+// Keep the lock alive while `fn` runs; Admin API retries can outlast one TTL
+function renewDbLock(key: string, owner: string) {
+  const timer = setInterval(async () => {
+    try {
+      const renewed = await prisma.mutationLock.updateMany({
+        where: { key, owner },
+        data: { expiresAt: new Date(Date.now() + LOCK_TTL_MS) },
+      });
+      if (renewed.count === 0) {
+        console.error("Backinstock lock: lost while held", key);
+      }
+    } catch (err) {
+      console.error("Backinstock lock: failed to renew", key, err);
+    }
+  }, LOCK_RENEW_MS);
+  timer.unref();
+
+  return () => clearInterval(timer);
+}
+
+async function releaseDbLock(key: string, owner: string) {
+  try {
+    await prisma.mutationLock.deleteMany({ where: { key, owner } });
+  } catch (err) {
+    console.error("Backinstock lock: failed to release", key, err);
+  }
+}
+
+export async function withVariantLock<T>(
+  shop: string,
+  variantId: string,
+  fn: () => Promise<T>,
+): Promise<T> {
+  const key = variantLockKey(shop, variantId);
+
+  return runQueued(key, async () => {
+    const owner = randomUUID();
+    await acquireDbLock(key, owner);
+    const stopRenewing = renewDbLock(key, owner);
+    try {
+      return await fn();
+    } finally {
+      stopRenewing();
+      await releaseDbLock(key, owner);
+    }
+  });
+}
+
+export class ConflictError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = "ConflictError";
+  }
+}
+
+/**
+ * Retry `fn` while it throws ConflictError, with jittered backoff.
+ */
+export async function retryOnConflict<T>(fn: () => Promise<T>, attempts = 5): Promise<T> {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await fn();
+    } catch (err) {
+      if (!(err instanceof ConflictError) || attempt >= attempts) throw err;
+
+      const delay = 50 * 2 ** (attempt - 1) + Math.floor(Math.random() * 50);
+      console.warn(`Backinstock lock: conflict, retrying in ${delay}ms (attempt ${attempt})`);
+      await sleep(delay);
+    }
+  }
+}
@@ -0,0 +1,239 @@
+// app/waiting.server.ts
+import prisma from "./db.server";
+import { loadNodes } from "./admin-graphql.server";
+import { toNumericId, type GraphqlRunner } from "./subscriptions.server";
+
+/**
+ * Who is waiting on what right now, from the pending rows of the local
+ * Subscription table, one row per variant.
+ *
+ * The "Waiting now" page lists variants with the most companies waiting first
+ * and pages through them with opaque cursors: a cursor is the sort key of the
+ * row it points at, so pages stay stable while subscriptions come and go.
+ */
+
+export const WAITING_PAGE_SIZE = 25;
+
+// Inventory levels (locations) read per variant
+const INVENTORY_LOCATIONS = 10;
+// Company names shown per variant
+const COMPANY_NAMES_SHOWN = 3;
+
+export type WaitingDemand = {
+  variantId: string;
+  waitingCompanies: number;
+  waitingSubscribers: number;
+  requestedUnits: number;
+  waitingSince: Date;
+};
+
+type SortKey = [companies: number, subscribers: number, variantId: string];
+
+function sortKey(d: WaitingDemand): SortKey {
+  return [d.waitingCompanies, d.waitingSubscribers, d.variantId];
+}
+
+// Most companies, then most subscribers, then variant ID
+function compareKeys(a: SortKey, b: SortKey) {
+  return b[0] - a[0] || b[1] - a[1] || a[2].localeCompare(b[2]);
+}
+
+function encodeWaitingCursor(d: WaitingDemand): string {
+  return Buffer.from(JSON.stringify(sortKey(d))).toString("base64url");
+}
+
+function decodeWaitingCursor(cursor: string | null | undefined): SortKey | null {
+  if (!cursor) return null;
+
+  try {
+    const key = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+    return Array.isArray(key) &&
+      typeof key[0] === "number" &&
+      typeof key[1] === "number" &&
+      typeof key[2] === "string"
+      ? (key as SortKey)
+      : null;
+  } catch {
+    return null;
+  }
+}
+
+// A subscriber who gave no quantity counts as one unit
+function requestedUnits(group: any): number {
+  return (
+    ((group._sum.requestedQuantity as number | null) ?? 0) +
+    (group._count._all - group._count.requestedQuantity)
+  );
+}
+
+function groupPendingByVariant(where: Record<string, unknown>) {
+  return prisma.subscription.groupBy({
+    by: ["variantId"],
+    where: { ...where, status: "pending" },
+    _count: { _all: true, requestedQuantity: true },
+    _sum: { requestedQuantity: true },
+    _min: { createdAt: true },
+  });
+}
+
+/**
+ * Waiting demand per variant, sorted by companies then subscribers.
+ */
+export async function waitingDemand(shop: string): Promise<WaitingDemand[]> {
+  const [perVariant, companyPairs] = await Promise.all([
+    groupPendingByVariant({ shop }),
+    prisma.subscription.findMany({
+      where: { shop, status: "pending", kind: "company" },
+      distinct: ["variantId", "companyId"],
+      select: { variantId: true },
+    }),
+  ]);
+
+  const companiesByVariant = new Map<string, number>();
+  for (const { variantId } of companyPairs as { variantId: string }[]) {
+    companiesByVariant.set(variantId, (companiesByVariant.get(variantId) ?? 0) + 1);
+  }
+
+  return (perVariant as any[])
+    .map((g) => ({
+      variantId: g.variantId as string,
+      waitingCompanies: companiesByVariant.get(g.variantId) ?? 0,
+      waitingSubscribers: g._count._all as number,
+      requestedUnits: requestedUnits(g),
+      waitingSince: g._min.createdAt as Date,
+    }))
+    .sort((a, b) => compareKeys(sortKey(a), sortKey(b)));
+}
+
+/**
+ * Total units wanted per variant by everyone waiting on it, for the variants given.
+ */
+export async function loadVariantDemand(shop: string, variantIds: string[]) {
+  const demand = new Map<string, number>();
+  if (variantIds.length === 0) return demand;
+
+  const groups = await groupPendingByVariant({
+    shop,
+    variantId: { in: variantIds.map(toNumericId) },
+  });
+  for (const g of groups as any[]) {
+    demand.set(g.variantId, requestedUnits(g));
+  }
+
+  return demand;
+}
+
+/**
+ * One page of waiting variants, after or before a cursor, with names,
+ * inventory per location and the first few waiting companies.
+ */
+export async function listWaitingPage(
+  graphql: GraphqlRunner,
+  shop: string,
+  { after, before }: { after?: string | null; before?: string | null },
+) {
+  const demand = await waitingDemand(shop);
+
+  const afterKey = decodeWaitingCursor(after);
+  const beforeKey = afterKey ? null : decodeWaitingCursor(before);
+
+  let start = 0;
+  if (afterKey) {
+    start = demand.findIndex((d) => compareKeys(sortKey(d), afterKey) > 0);
+    if (start === -1) start = demand.length;
+  } else if (beforeKey) {
+    const end = demand.findIndex((d) => compareKeys(sortKey(d), beforeKey) >= 0);
+    start = Math.max(0, (end === -1 ? demand.length : end) - WAITING_PAGE_SIZE);
+  }
+
+  const page = demand.slice(start, start + WAITING_PAGE_SIZE);
+  const variantIds = page.map((d) => d.variantId);
+
+  const [variants, companyRows, waitingCompanyIds] = await Promise.all([
+    loadNodes(
+      graphql,
+      variantIds.map((id) => `gid://shopify/ProductVariant/${id}`),
+      `
+        ... on ProductVariant {
+          id
+          title
+          sku
+          product {
+            id
+            title
+          }
+          inventoryItem {
+            inventoryLevels(first: ${INVENTORY_LOCATIONS}) {
+              nodes {
+                location {
+                  id
+                  name
+                }
+                quantities(names: ["available"]) {
+                  quantity
+                }
+              }
+            }
+          }
+        }
+      `,
+    ),
+    prisma.subscription.findMany({
+      where: { shop, status: "pending", kind: "company", variantId: { in: variantIds } },
+      distinct: ["variantId", "companyId"],
+      orderBy: { createdAt: "asc" },
+      select: { variantId: true, companyId: true, companyName: true },
+    }),
+    prisma.subscription.findMany({
+      where: { shop, status: "pending", kind: "company" },
+      distinct: ["companyId"],
+      select: { companyId: true },
+    }),
+  ]);
+
+  const companiesByVariant = new Map<string, string[]>();
+  for (const r of companyRows as {
+    variantId: string;
+    companyId: string;
+    companyName: string | null;
+  }[]) {
+    const names = companiesByVariant.get(r.variantId) ?? [];
+    names.push(r.companyName || `Company ${r.companyId}`);
+    companiesByVariant.set(r.variantId, names);
+  }
+
+  const rows = page.map((d) => {
+    const variant = variants[d.variantId];
+    const inventory = (variant?.inventoryItem?.inventoryLevels?.nodes ?? []).map((level: any) => ({
+      location: (level?.location?.name as string) || "—",
+      available: (level?.quantities?.[0]?.quantity as number) ?? 0,
+    }));
+
+    return {
+      variantId: d.variantId,
+      productId: toNumericId(variant?.product?.id),
+      productTitle: variant?.product?.title || `Variant ${d.variantId}`,
+      variantTitle: variant?.title && variant.title !== "Default Title" ? variant.title : "",
+      sku: variant?.sku || "—",
+      waitingCompanies: d.waitingCompanies,
+      waitingSubscribers: d.waitingSubscribers,
+      requestedUnits: d.requestedUnits,
+      waitingSince: new Date(d.waitingSince).toISOString(),
+      companies: (companiesByVariant.get(d.variantId) ?? []).slice(0, COMPANY_NAMES_SHOWN),
+      inventory,
+      available: variant
+        ? inventory.reduce((sum: number, l: { available: number }) => sum + l.available, 0)
+        : null,
+    };
+  });
+
+  return {
+    rows,
+    totalVariants: demand.length,
+    totalCompanies: waitingCompanyIds.length as number,
+    startCursor: page.length > 0 ? encodeWaitingCursor(page[0]) : null,
+    endCursor: page.length > 0 ? encodeWaitingCursor(page[page.length - 1]) : null,
+    hasPrevious: start > 0,
+    hasNext: start + WAITING_PAGE_SIZE < demand.length,
+  };
+}
@@ -1,10 +1,13 @@
-import React, { useEffect, useState } from "react";
+import React, { useCallback, useEffect, useState } from "react";
 import {
   reactExtension,
   useApi,
+  Banner,
   BlockStack,
+  Button,
   InlineStack,
   Text,
+  TextField,
 } from "@shopify/ui-extensions-react/admin";
 
 const TARGET = "admin.product-details.block.render";
@@ -17,56 +20,186 @@ function App() {
   const [rows, setRows] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState("");
+  const [notice, setNotice] = useState(null);
+  const [busy, setBusy] = useState("");
+
+  // Variant the "Add company" search is open for
+  const [addingTo, setAddingTo] = useState(null);
+  const [search, setSearch] = useState("");
+  const [results, setResults] = useState([]);
+  // Optional units to hold in a draft order for the company on restock
+  const [reserveQuantity, setReserveQuantity] = useState("");
 
   const productId = data?.selected?.[0]?.id;
+  const fetchFn = authenticatedFetch ?? fetch;
 
-  useEffect(() => {
-    async function load() {
-      console.log("Backinstock admin block productId:", productId);
+  const load = useCallback(async () => {
+    console.log("Backinstock admin block productId:", productId);
+
+    if (!productId) {
+      setLoading(false);
+      setRows([]);
+      setError("");
+      return;
+    }
+
+    try {
+      setLoading(true);
+      setError("");
+
+      const res = await fetchFn(
+        `/api/backinstock/list?productId=${encodeURIComponent(productId)}`
+      );
 
-      if (!productId) {
-        setLoading(false);
+      if (!res.ok) {
+        const text = await res.text();
+        console.error(
+          "Backinstock admin block – list error:",
+          res.status,
+          text
+        );
+        setError(`Could not load subscriptions`);
         setRows([]);
-        setError("");
         return;
       }
 
-      try {
-        setLoading(true);
-        setError("");
+      const data = await res.json();
+      console.log("Backinstock admin block – list data:", data);
 
-        const fetchFn = authenticatedFetch ?? fetch;
-        const res = await fetchFn(
-          `/api/backinstock/list?productId=${encodeURIComponent(productId)}`
-        );
+      setRows(Array.isArray(data) ? data : []);
+    } catch (err) {
+      console.error("Backinstock admin block – fetch failed:", err);
+      setError("Could not load subscriptions");
+      setRows([]);
+    } finally {
+      setLoading(false);
+    }
+  }, [productId, fetchFn]);
 
-        if (!res.ok) {
-          const text = await res.text();
-          console.error(
-            "Backinstock admin block – list error:",
-            res.status,
-            text
-          );
-          setError(`Could not load subscriptions`);
-          setRows([]);
-          return;
-        }
-
-        const data = await res.json();
-        console.log("Backinstock admin block – list data:", data);
-
-        setRows(Array.isArray(data) ? data : []);
-      } catch (err) {
-        console.error("Backinstock admin block – fetch failed:", err);
-        setError("Could not load subscriptions");
-        setRows([]);
-      } finally {
-        setLoading(false);
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  // Shared by the write actions: send JSON, report the outcome, reload the list
+  async function send(key, path, method, body, successMessage) {
+    setBusy(key);
+    setNotice(null);
+
+    try {
+      const res = await fetchFn(path, {
+        method,
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(body),
+      });
+      const result = await res.json().catch(() => ({}));
+
+      if (!res.ok || !result.ok) {
+        console.error(
+          "Backinstock admin block – action error:",
+          res.status,
+          result
+        );
+        setNotice({
+          tone: "critical",
+          message: result.error || "Action failed",
+        });
+        return;
       }
+
+      setNotice({
+        tone: result.skipped ? "warning" : "success",
+        message: result.skipped ? result.reason : successMessage,
+      });
+      await load();
+    } catch (err) {
+      console.error("Backinstock admin block – action failed:", err);
+      setNotice({ tone: "critical", message: "Action failed" });
+    } finally {
+      setBusy("");
     }
+  }
 
-    load();
-  }, [productId, authenticatedFetch]);
+  function removeCompany(row, companyId, companyName) {
+    return send(
+      `remove:${row.variantId}:${companyId}`,
+      "/api/backinstock/subscribers",
+      "DELETE",
+      { variantId: row.variantId, companyId },
+      `${companyName} removed from ${row.title}`
+    );
+  }
+
+  async function addCompany(row, company) {
+    const reserve = Number(reserveQuantity);
+    if (reserveQuantity.trim() && (!Number.isInteger(reserve) || reserve < 1)) {
+      setNotice({
+        tone: "critical",
+        message: "Reserve quantity must be a whole number of at least 1.",
+      });
+      return;
+    }
+
+    await send(
+      `add:${row.variantId}:${company.id}`,
+      "/api/backinstock/subscribers",
+      "POST",
+      {
+        variantId: row.variantId,
+        productId,
+        companyId: company.id,
+        companyName: company.name,
+        reserveQuantity: reserveQuantity.trim() ? reserve : null,
+      },
+      reserveQuantity.trim()
+        ? `${company.name} will have ${reserve} reserved when ${row.title} is restocked`
+        : `${company.name} subscribed to ${row.title}`
+    );
+    closeSearch();
+  }
+
+  function notifyNow(row) {
+    return send(
+      `notify:${row.variantId}`,
+      "/api/backinstock/notify",
+      "POST",
+      { variantId: row.variantId },
+      `Notification queued for ${row.title}`
+    );
+  }
+
+  function openSearch(variantId) {
+    setAddingTo(variantId);
+    setSearch("");
+    setResults([]);
+    setReserveQuantity("");
+  }
+
+  function closeSearch() {
+    setAddingTo(null);
+    setSearch("");
+    setResults([]);
+    setReserveQuantity("");
+  }
+
+  async function searchCompanies(value) {
+    setSearch(value);
+
+    if (!value.trim()) {
+      setResults([]);
+      return;
+    }
+
+    try {
+      const res = await fetchFn(
+        `/api/backinstock/companies?query=${encodeURIComponent(value)}`
+      );
+      const data = res.ok ? await res.json() : [];
+      setResults(Array.isArray(data) ? data : []);
+    } catch (err) {
+      console.error("Backinstock admin block – company search failed:", err);
+      setResults([]);
+    }
+  }
 
   if (!productId) {
     return (
@@ -82,6 +215,12 @@ function App() {
         Back In Stock — Subscribed Companies
       </Text>
 
+      {notice && (
+        <Banner tone={notice.tone} onDismiss={() => setNotice(null)}>
+          {notice.message}
+        </Banner>
+      )}
+
       {loading && <Text>Loading subscriptions…</Text>}
 
       {!loading && error && <Text tone="critical">{error}</Text>}
@@ -98,6 +237,7 @@ function App() {
               padding="base"
               border="base"
               cornerRadius="large"
+              gap="base"
             >
               <InlineStack gap="base">
                 <Text>Variant:</Text>
@@ -109,16 +249,101 @@ function App() {
                 <Text>{row.sku || "—"}</Text>
               </InlineStack>
 
-              <InlineStack gap="base">
-                <Text>Companies:</Text>
-                <Text>
-                  {row.companyNames && row.companyNames.length > 0
-                    ? row.companyNames.join(", ")
-                    : row.companies && row.companies.length > 0
-                    ? row.companies.join(", ")
-                    : "—"}
-                </Text>
-              </InlineStack>
+              {row.requestedUnits > 0 && (
+                <InlineStack gap="base">
+                  <Text>Total demand:</Text>
+                  <Text emphasis="bold">
+                    {row.requestedUnits === 1
+                      ? "1 unit"
+                      : `${row.requestedUnits} units`}
+                  </Text>
+                </InlineStack>
+              )}
+
+              <Text>Companies:</Text>
+              {row.companies && row.companies.length > 0 ? (
+                row.companies.map((companyId, i) => {
+                  const name = row.companyNames?.[i] || companyId;
+                  const reserve = row.reserves?.[companyId];
+                  return (
+                    <InlineStack
+                      key={companyId}
+                      gap="base"
+                      blockAlignment="center"
+                    >
+                      <Text>{name}</Text>
+                      {reserve > 0 && <Text>(reserve {reserve})</Text>}
+                      <Button
+                        variant="tertiary"
+                        tone="critical"
+                        disabled={!!busy}
+                        onPress={() => removeCompany(row, companyId, name)}
+                      >
+                        Remove
+                      </Button>
+                    </InlineStack>
+                  );
+                })
+              ) : (
+                <Text>—</Text>
+              )}
+
+              {addingTo === row.variantId ? (
+                <BlockStack gap="base">
+                  <TextField
+                    label="Search companies"
+                    value={search}
+                    onInput={searchCompanies}
+                  />
+                  <TextField
+                    label="Reserve quantity (optional)"
+                    value={reserveQuantity}
+                    onInput={setReserveQuantity}
+                  />
+                  {results.map((company) => (
+                    <InlineStack
+                      key={company.id}
+                      gap="base"
+                      blockAlignment="center"
+                    >
+                      <Text>{company.name}</Text>
+                      <Button
+                        variant="tertiary"
+                        disabled={
+                          !!busy ||
+                          (row.companies?.includes(company.id) &&
+                            !reserveQuantity.trim())
+                        }
+                        onPress={() => addCompany(row, company)}
+                      >
+                        {!row.companies?.includes(company.id)
+                          ? "Add"
+                          : reserveQuantity.trim()
+                            ? "Set reserve"
+                            : "Subscribed"}
+                      </Button>
+                    </InlineStack>
+                  ))}
+                  {search.trim() && results.length === 0 && (
+                    <Text>No companies found.</Text>
+                  )}
+                  <Button variant="tertiary" onPress={closeSearch}>
+                    Done
+                  </Button>
+                </BlockStack>
+              ) : (
+                <InlineStack gap="base">
+                  <Button
+                    disabled={!!busy}
+                    onPress={() => openSearch(row.variantId)}
+                  >
+                    Add company
+                  </Button>
+                  <Button disabled={!!busy} onPress={() => notifyNow(row)}>
+                    Send notification now
+                  </Button>
+                </InlineStack>
+              )}
             </BlockStack>
           ))}
         </BlockStack>
@@ -0,0 +1,9 @@
+import React from "react";
+import { reactExtension } from "@shopify/ui-extensions-react/admin";
+import { CompanySubscriptions } from "./CompanySubscriptions";
+
+const TARGET = "admin.company-details.block.render";
+
+export default reactExtension(TARGET, () => (
+  <CompanySubscriptions target={TARGET} filter="companyId" />
+));
@@ -0,0 +1,210 @@
+import React, { useCallback, useEffect, useState } from "react";
+import {
+  useApi,
+  Badge,
+  Banner,
+  BlockStack,
+  Button,
+  InlineStack,
+  Text,
+} from "@shopify/ui-extensions-react/admin";
+
+function formatDate(value) {
+  return value ? new Date(value).toLocaleDateString() : "—";
+}
+
+/**
+ * Subscriptions of the company or company location selected on the page.
+ * `filter` is the query parameter the selected ID is sent as.
+ */
+export function CompanySubscriptions({ target, filter }) {
+  const { data, authenticatedFetch, i18n } = useApi(target);
+
+  const [rows, setRows] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState("");
+  const [notice, setNotice] = useState(null);
+  const [busy, setBusy] = useState(null);
+
+  const selectedId = data?.selected?.[0]?.id;
+  const fetchFn = authenticatedFetch ?? fetch;
+
+  const load = useCallback(async () => {
+    if (!selectedId) {
+      setLoading(false);
+      setRows([]);
+      setError("");
+      return;
+    }
+
+    try {
+      setLoading(true);
+      setError("");
+
+      const res = await fetchFn(
+        `/api/backinstock/company?${filter}=${encodeURIComponent(selectedId)}`
+      );
+      const result = await res.json().catch(() => ({}));
+
+      if (!res.ok || !result.ok) {
+        console.error(
+          "Backinstock company block – list error:",
+          res.status,
+          result
+        );
+        setError(i18n.translate("errors.load"));
+        setRows([]);
+        return;
+      }
+
+      setRows(result.rows);
+    } catch (err) {
+      console.error("Backinstock company block – fetch failed:", err);
+      setError(i18n.translate("errors.load"));
+      setRows([]);
+    } finally {
+      setLoading(false);
+    }
+  }, [selectedId, filter, fetchFn, i18n]);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  async function unsubscribe(row) {
+    setBusy(row.id);
+    setNotice(null);
+
+    try {
+      const res = await fetchFn("/api/backinstock/subscribers", {
+        method: "DELETE",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          variantId: row.variantId,
+          companyId: row.companyId,
+          // The location block only cancels that location's subscription
+          ...(filter === "companyLocationId"
+            ? { companyLocationId: row.companyLocationId }
+            : {}),
+        }),
+      });
+      const result = await res.json().catch(() => ({}));
+
+      if (!res.ok || !result.ok) {
+        console.error(
+          "Backinstock company block – unsubscribe error:",
+          res.status,
+          result
+        );
+        setNotice({
+          tone: "critical",
+          message: result.error || i18n.translate("errors.unsubscribe"),
+        });
+        return;
+      }
+
+      setNotice({
+        tone: "success",
+        message: i18n.translate("unsubscribed", { title: row.title }),
+      });
+      await load();
+    } catch (err) {
+      console.error("Backinstock company block – unsubscribe failed:", err);
+      setNotice({
+        tone: "critical",
+        message: i18n.translate("errors.unsubscribe"),
+      });
+    } finally {
+      setBusy(null);
+    }
+  }
+
+  if (!selectedId) {
+    return (
+      <BlockStack>
+        <Text>{i18n.translate("unavailable")}</Text>
+      </BlockStack>
+    );
+  }
+
+  return (
+    <BlockStack gap="large">
+      <Text size="large" emphasis="bold">
+        {i18n.translate("title")}
+      </Text>
+
+      {notice && (
+        <Banner tone={notice.tone} onDismiss={() => setNotice(null)}>
+          {notice.message}
+        </Banner>
+      )}
+
+      {loading && <Text>{i18n.translate("loading")}</Text>}
+
+      {!loading && error && <Text tone="critical">{error}</Text>}
+
+      {!loading && !error && rows.length === 0 && (
+        <Text>{i18n.translate("empty")}</Text>
+      )}
+
+      {!loading && !error && rows.length > 0 && (
+        <BlockStack>
+          {rows.map((row) => (
+            <BlockStack
+              key={row.id}
+              padding="base"
+              border="base"
+              cornerRadius="large"
+              gap="base"
+            >
+              <InlineStack gap="base" blockAlignment="center">
+                <Text emphasis="bold">{row.title}</Text>
+                {row.status === "pending" ? (
+                  <Badge tone="attention">
+                    {i18n.translate("status.pending")}
+                  </Badge>
+                ) : (
+                  <Badge tone="success">
+                    {i18n.translate("status.notified")}
+                  </Badge>
+                )}
+              </InlineStack>
+
+              <InlineStack gap="base">
+                <Text>{i18n.translate("fields.sku")}</Text>
+                <Text>{row.sku || "—"}</Text>
+              </InlineStack>
+
+              {row.requestedQuantity && (
+                <InlineStack gap="base">
+                  <Text>{i18n.translate("fields.quantity")}</Text>
+                  <Text>{row.requestedQuantity}</Text>
+                </InlineStack>
+              )}
+
+              <InlineStack gap="base">
+                <Text>{i18n.translate("fields.subscribed")}</Text>
+                <Text>{formatDate(row.createdAt)}</Text>
+                <Text>{i18n.translate("fields.notified")}</Text>
+                <Text>{formatDate(row.notifiedAt)}</Text>
+              </InlineStack>
+
+              {row.status === "pending" && (
+                <InlineStack>
+                  <Button
+                    variant="tertiary"
+                    tone="critical"
+                    disabled={busy !== null}
+                    onPress={() => unsubscribe(row)}
+                  >
+                    {i18n.translate("unsubscribe")}
+                  </Button>
+                </InlineStack>
+              )}
+            </BlockStack>
+          ))}
+        </BlockStack>
+      )}
+    </BlockStack>
+  );
+}
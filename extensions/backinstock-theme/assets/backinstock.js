@@ -0,0 +1,371 @@
+// extensions/backinstock-theme/assets/backinstock.js
+//
+// Drives every [data-backinstock] block rendered by snippets/backinstock.liquid.
+// The snippet embeds per-variant availability as JSON; this script follows the
+// variant the buyer picks and shows, hides or retargets the block without a reload.
+// "Notify me" opens an accessible dialog (focus trap, Escape to close) that posts
+// the chosen variants, quantity, note and email; results go to ARIA live regions.
+//
+// Variant changes are picked up from:
+// - `variant:change` / `variant:changed` events (detail.variant or detail.variantId)
+// - the `?variant=` URL parameter, when the theme pushes or replaces history
+// - the product form's hidden `id` input
+(function () {
+  if (window.BackinstockBlock) return;
+
+  const VARIANT_EVENTS = ["variant:change", "variant:changed"];
+
+  function toNumericId(id) {
+    if (id === null || id === undefined) return "";
+    const str = String(id);
+    return str.startsWith("gid://") ? str.split("/").pop() : str;
+  }
+
+  const FOCUSABLE =
+    'a[href], button:not([disabled]), input:not([disabled]):not([type="hidden"]), select:not([disabled]), textarea:not([disabled]), [tabindex]:not([tabindex="-1"])';
+  const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+  class BackinstockBlock {
+    constructor(root) {
+      this.root = root;
+      this.config = JSON.parse(
+        root.querySelector("[data-backinstock-config]").textContent,
+      );
+      this.variants = new Map(this.config.variants.map((v) => [v.id, v]));
+      this.variantId = this.config.variantId;
+
+      this.openButton = root.querySelector("[data-backinstock-open]");
+      this.subscribedBox = root.querySelector("[data-backinstock-subscribed]");
+      this.cancelButton = root.querySelector("[data-backinstock-cancel]");
+      this.status = root.querySelector("[data-backinstock-status]");
+      this.overlay = root.querySelector("[data-backinstock-overlay]");
+      this.dialog = this.overlay.querySelector('[role="dialog"]');
+      this.form = root.querySelector("[data-backinstock-form]");
+      this.error = root.querySelector("[data-backinstock-error]");
+      this.submitButton = root.querySelector("[data-backinstock-submit]");
+
+      this.onKeydown = this.onKeydown.bind(this);
+
+      this.bind();
+      this.render();
+    }
+
+    bind() {
+      this.openButton.addEventListener("click", () => this.open());
+      this.root
+        .querySelector("[data-backinstock-close]")
+        .addEventListener("click", () => this.close());
+
+      // Click on the backdrop, not inside the dialog
+      this.overlay.addEventListener("click", (event) => {
+        if (event.target === this.overlay) this.close();
+      });
+
+      this.form.addEventListener("submit", (event) => {
+        event.preventDefault();
+        this.submit();
+      });
+
+      if (this.cancelButton) {
+        this.cancelButton.addEventListener("click", () => this.cancel());
+      }
+    }
+
+    get variant() {
+      return this.variants.get(this.variantId);
+    }
+
+    setVariant(id) {
+      const variantId = toNumericId(id);
+      if (
+        !variantId ||
+        variantId === this.variantId ||
+        !this.variants.has(variantId)
+      )
+        return;
+
+      this.variantId = variantId;
+      this.announce("");
+      this.render();
+    }
+
+    render() {
+      const variant = this.variant;
+      this.root.hidden = !variant || !variant.soldOut;
+      if (!variant) return;
+
+      if (this.subscribedBox) {
+        this.subscribedBox.hidden = !variant.subscribed;
+        this.openButton.hidden = variant.subscribed;
+      }
+    }
+
+    announce(message) {
+      this.status.textContent = message;
+    }
+
+    showError(message) {
+      this.error.textContent = message;
+      this.error.hidden = !message;
+    }
+
+    // Sold-out variants the buyer can still ask for; the current one is preselected
+    prepareVariantChoices() {
+      this.form
+        .querySelectorAll("[data-backinstock-variant]")
+        .forEach((label) => {
+          const variant = this.variants.get(label.dataset.backinstockVariant);
+          const input = label.querySelector("input");
+          const selectable = variant && variant.soldOut && !variant.subscribed;
+
+          label.hidden = !selectable;
+          input.disabled = !selectable;
+          input.checked = selectable && variant.id === this.variantId;
+        });
+    }
+
+    open() {
+      this.lastFocused = document.activeElement;
+      this.prepareVariantChoices();
+      this.showError("");
+      this.announce("");
+
+      this.overlay.hidden = false;
+      document.addEventListener("keydown", this.onKeydown);
+
+      const focusables = this.focusables();
+      if (focusables.length > 0) focusables[0].focus();
+    }
+
+    close() {
+      if (this.overlay.hidden) return;
+
+      this.overlay.hidden = true;
+      document.removeEventListener("keydown", this.onKeydown);
+
+      if (
+        this.lastFocused &&
+        this.lastFocused.isConnected &&
+        !this.lastFocused.hidden
+      ) {
+        this.lastFocused.focus();
+      } else {
+        this.openButton.focus();
+      }
+    }
+
+    focusables() {
+      return Array.from(this.dialog.querySelectorAll(FOCUSABLE)).filter(
+        (el) => !el.closest("[hidden]"),
+      );
+    }
+
+    // Escape closes; Tab and Shift+Tab cycle inside the dialog
+    onKeydown(event) {
+      if (event.key === "Escape") {
+        event.preventDefault();
+        this.close();
+        return;
+      }
+
+      if (event.key !== "Tab") return;
+
+      const focusables = this.focusables();
+      if (focusables.length === 0) return;
+
+      const first = focusables[0];
+      const last = focusables[focusables.length - 1];
+
+      if (event.shiftKey && document.activeElement === first) {
+        event.preventDefault();
+        last.focus();
+      } else if (!event.shiftKey && document.activeElement === last) {
+        event.preventDefault();
+        first.focus();
+      } else if (!this.dialog.contains(document.activeElement)) {
+        event.preventDefault();
+        first.focus();
+      }
+    }
+
+    setLoading(loading) {
+      this.submitButton.disabled = loading;
+      this.submitButton.setAttribute("aria-busy", loading ? "true" : "false");
+      this.form.setAttribute("aria-busy", loading ? "true" : "false");
+    }
+
+    collect() {
+      const data = new FormData(this.form);
+      const variantIds = this.form.querySelector("[data-backinstock-variant]")
+        ? data.getAll("variantIds").map(String)
+        : [this.variantId];
+
+      return {
+        variantIds,
+        quantity: String(data.get("quantity") || "").trim(),
+        note: String(data.get("note") || "").trim(),
+        email: String(data.get("email") || "").trim(),
+      };
+    }
+
+    async submit() {
+      const { messages } = this.config;
+      const values = this.collect();
+
+      if (values.variantIds.length === 0) {
+        this.showError(messages.noVariant);
+        return;
+      }
+
+      const emailRequired = this.config.mode === "email";
+      if (
+        (emailRequired || values.email) &&
+        !EMAIL_PATTERN.test(values.email)
+      ) {
+        this.showError(messages.invalidEmail);
+        this.form.querySelector('input[name="email"]').focus();
+        return;
+      }
+
+      this.showError("");
+      this.setLoading(true);
+
+      try {
+        const res = await fetch(this.config.proxyUrl, {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({
+            variantIds: values.variantIds,
+            companyId: this.config.companyId,
+            companyLocationId: this.config.companyLocationId,
+            quantity: values.quantity || undefined,
+            note: values.note || undefined,
+            locale: this.config.locale,
+            // Only send an address that differs from the account's
+            email:
+              values.email && values.email !== this.config.contactEmail
+                ? values.email
+                : undefined,
+          }),
+        });
+
+        const result = await res.json().catch(() => ({}));
+
+        if (!res.ok || !result.ok) {
+          this.showError(result.error || messages.error);
+          return;
+        }
+
+        if (this.config.mode === "company") {
+          values.variantIds.forEach((id) => {
+            const variant = this.variants.get(id);
+            if (variant) variant.subscribed = true;
+          });
+        }
+
+        this.close();
+        this.render();
+        this.announce(messages[this.config.mode]);
+      } catch (error) {
+        console.error("Backinstock registration failed", error);
+        this.showError(messages.error);
+      } finally {
+        this.setLoading(false);
+      }
+    }
+
+    async cancel() {
+      this.cancelButton.setAttribute("aria-busy", "true");
+
+      try {
+        const res = await fetch(`${this.config.proxyUrl}/unsubscribe`, {
+          method: "DELETE",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({
+            variantId: this.variantId,
+            companyId: this.config.companyId,
+          }),
+        });
+
+        if (!res.ok) {
+          this.announce(this.config.messages.cancelError);
+          return;
+        }
+
+        this.variant.subscribed = false;
+        this.render();
+        this.announce(this.config.messages.cancelled);
+        this.openButton.focus();
+      } catch (error) {
+        console.error("Backinstock cancel failed", error);
+        this.announce(this.config.messages.cancelError);
+      } finally {
+        this.cancelButton.setAttribute("aria-busy", "false");
+      }
+    }
+  }
+
+  const blocks = [];
+
+  function broadcast(variantId) {
+    blocks.forEach((block) => block.setVariant(variantId));
+  }
+
+  function variantFromUrl() {
+    return new URLSearchParams(window.location.search).get("variant");
+  }
+
+  function init() {
+    document.querySelectorAll("[data-backinstock]").forEach((root) => {
+      if (root.backinstock) return;
+      try {
+        root.backinstock = new BackinstockBlock(root);
+        blocks.push(root.backinstock);
+      } catch (error) {
+        console.error("Backinstock block failed to initialise", error);
+      }
+    });
+
+    const fromUrl = variantFromUrl();
+    if (fromUrl) broadcast(fromUrl);
+  }
+
+  VARIANT_EVENTS.forEach((name) => {
+    document.addEventListener(name, (event) => {
+      const detail = event.detail || {};
+      broadcast(detail.variant ? detail.variant.id : detail.variantId);
+    });
+  });
+
+  // Themes update ?variant= with history.replaceState / pushState
+  ["pushState", "replaceState"].forEach((method) => {
+    const original = history[method];
+    history[method] = function (...args) {
+      const result = original.apply(this, args);
+      const fromUrl = variantFromUrl();
+      if (fromUrl) broadcast(fromUrl);
+      return result;
+    };
+  });
+
+  window.addEventListener("popstate", () => {
+    const fromUrl = variantFromUrl();
+    if (fromUrl) broadcast(fromUrl);
+  });
+
+  // Fallback for themes that only update the product form
+  document.addEventListener("change", (event) => {
+    const form =
+      event.target.closest && event.target.closest('form[action*="/cart/add"]');
+    const idInput = form && form.querySelector('[name="id"]');
+    if (idInput) broadcast(idInput.value);
+  });
+
+  window.BackinstockBlock = BackinstockBlock;
+
+  if (document.readyState === "loading") {
+    document.addEventListener("DOMContentLoaded", init);
+  } else {
+    init();
+  }
+})();
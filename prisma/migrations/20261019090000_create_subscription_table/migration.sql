@@ -0,0 +1,20 @@
+-- CreateTable
+CREATE TABLE "Subscription" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "shop" TEXT NOT NULL,
+    "variantId" TEXT NOT NULL,
+    "productId" TEXT,
+    "companyId" TEXT NOT NULL,
+    "companyLocationId" TEXT,
+    "contactId" TEXT,
+    "status" TEXT NOT NULL DEFAULT 'pending',
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "notifiedAt" DATETIME,
+    "cancelledAt" DATETIME
+);
+
+-- CreateIndex
+CREATE INDEX "Subscription_shop_variantId_status_idx" ON "Subscription"("shop", "variantId", "status");
+
+-- CreateIndex
+CREATE INDEX "Subscription_shop_companyId_idx" ON "Subscription"("shop", "companyId");
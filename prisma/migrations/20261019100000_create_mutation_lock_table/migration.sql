@@ -0,0 +1,6 @@
+-- CreateTable
+CREATE TABLE "MutationLock" (
+    "key" TEXT NOT NULL PRIMARY KEY,
+    "owner" TEXT NOT NULL,
+    "expiresAt" DATETIME NOT NULL
+);
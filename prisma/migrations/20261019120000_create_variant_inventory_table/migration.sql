@@ -0,0 +1,15 @@
+-- CreateTable
+CREATE TABLE "VariantInventory" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "shop" TEXT NOT NULL,
+    "variantId" TEXT NOT NULL,
+    "inventoryItemId" TEXT,
+    "available" INTEGER NOT NULL,
+    "updatedAt" DATETIME NOT NULL
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "VariantInventory_shop_variantId_key" ON "VariantInventory"("shop", "variantId");
+
+-- CreateIndex
+CREATE INDEX "VariantInventory_shop_inventoryItemId_idx" ON "VariantInventory"("shop", "inventoryItemId");
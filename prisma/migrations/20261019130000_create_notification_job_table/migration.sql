@@ -0,0 +1,26 @@
+-- CreateTable
+CREATE TABLE "NotificationJob" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "shop" TEXT NOT NULL,
+    "variantId" TEXT NOT NULL,
+    "idempotencyKey" TEXT NOT NULL,
+    "payload" TEXT NOT NULL DEFAULT '{}',
+    "status" TEXT NOT NULL DEFAULT 'queued',
+    "attempts" INTEGER NOT NULL DEFAULT 0,
+    "maxAttempts" INTEGER NOT NULL DEFAULT 6,
+    "runAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "lockedAt" DATETIME,
+    "lastError" TEXT,
+    "result" TEXT,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "NotificationJob_idempotencyKey_key" ON "NotificationJob"("idempotencyKey");
+
+-- CreateIndex
+CREATE INDEX "NotificationJob_status_runAt_idx" ON "NotificationJob"("status", "runAt");
+
+-- CreateIndex
+CREATE INDEX "NotificationJob_shop_createdAt_idx" ON "NotificationJob"("shop", "createdAt");
@@ -0,0 +1,12 @@
+-- CreateTable
+CREATE TABLE "EmailTemplate" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "shop" TEXT NOT NULL,
+    "locale" TEXT NOT NULL DEFAULT 'en',
+    "subject" TEXT NOT NULL,
+    "body" TEXT NOT NULL,
+    "updatedAt" DATETIME NOT NULL
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "EmailTemplate_shop_locale_key" ON "EmailTemplate"("shop", "locale");
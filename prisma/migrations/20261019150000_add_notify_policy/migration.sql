@@ -0,0 +1,6 @@
+-- AlterTable
+ALTER TABLE "Subscription" ADD COLUMN "customerId" TEXT;
+
+-- AlterTable
+ALTER TABLE "Shop" ADD COLUMN "notifyPolicy" TEXT NOT NULL DEFAULT 'main_contact';
+ALTER TABLE "Shop" ADD COLUMN "notifyDistributionList" TEXT NOT NULL DEFAULT '[]';
@@ -0,0 +1,30 @@
+-- RedefineTables
+PRAGMA defer_foreign_keys=ON;
+PRAGMA foreign_keys=OFF;
+CREATE TABLE "new_Subscription" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "shop" TEXT NOT NULL,
+    "variantId" TEXT NOT NULL,
+    "productId" TEXT,
+    "kind" TEXT NOT NULL DEFAULT 'company',
+    "companyId" TEXT,
+    "companyLocationId" TEXT,
+    "contactId" TEXT,
+    "customerId" TEXT,
+    "email" TEXT,
+    "confirmToken" TEXT,
+    "confirmedAt" DATETIME,
+    "status" TEXT NOT NULL DEFAULT 'pending',
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "notifiedAt" DATETIME,
+    "cancelledAt" DATETIME
+);
+INSERT INTO "new_Subscription" ("id", "shop", "variantId", "productId", "companyId", "companyLocationId", "contactId", "customerId", "status", "createdAt", "notifiedAt", "cancelledAt") SELECT "id", "shop", "variantId", "productId", "companyId", "companyLocationId", "contactId", "customerId", "status", "createdAt", "notifiedAt", "cancelledAt" FROM "Subscription";
+DROP TABLE "Subscription";
+ALTER TABLE "new_Subscription" RENAME TO "Subscription";
+CREATE UNIQUE INDEX "Subscription_confirmToken_key" ON "Subscription"("confirmToken");
+CREATE INDEX "Subscription_shop_variantId_status_idx" ON "Subscription"("shop", "variantId", "status");
+CREATE INDEX "Subscription_shop_companyId_idx" ON "Subscription"("shop", "companyId");
+CREATE INDEX "Subscription_shop_email_idx" ON "Subscription"("shop", "email");
+PRAGMA foreign_keys=ON;
+PRAGMA defer_foreign_keys=OFF;
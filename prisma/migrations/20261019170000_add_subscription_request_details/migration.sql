@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "Subscription" ADD COLUMN "requestedQuantity" INTEGER;
+ALTER TABLE "Subscription" ADD COLUMN "note" TEXT;
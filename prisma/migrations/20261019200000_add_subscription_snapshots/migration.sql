@@ -0,0 +1,7 @@
+-- AlterTable
+ALTER TABLE "Subscription" ADD COLUMN "productTitle" TEXT;
+ALTER TABLE "Subscription" ADD COLUMN "sku" TEXT;
+ALTER TABLE "Subscription" ADD COLUMN "companyName" TEXT;
+
+-- CreateIndex
+CREATE INDEX "Subscription_shop_createdAt_idx" ON "Subscription"("shop", "createdAt");
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "VariantInventory" ADD COLUMN "outOfStockSince" DATETIME;
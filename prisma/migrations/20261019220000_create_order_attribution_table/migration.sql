@@ -0,0 +1,21 @@
+-- AlterTable
+ALTER TABLE "Shop" ADD COLUMN "attributionWindowDays" INTEGER NOT NULL DEFAULT 14;
+
+-- CreateTable
+CREATE TABLE "OrderAttribution" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "shop" TEXT NOT NULL,
+    "subscriptionId" INTEGER NOT NULL,
+    "variantId" TEXT NOT NULL,
+    "orderId" TEXT NOT NULL,
+    "revenue" REAL NOT NULL,
+    "currency" TEXT NOT NULL,
+    "via" TEXT NOT NULL,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "OrderAttribution_subscriptionId_orderId_key" ON "OrderAttribution"("subscriptionId", "orderId");
+
+-- CreateIndex
+CREATE INDEX "OrderAttribution_shop_createdAt_idx" ON "OrderAttribution"("shop", "createdAt");
@@ -0,0 +1,19 @@
+-- AlterTable
+ALTER TABLE "VariantInventory" ADD COLUMN "restockedAt" DATETIME;
+
+-- CreateTable
+CREATE TABLE "RestockRule" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "shop" TEXT NOT NULL,
+    "productId" TEXT NOT NULL DEFAULT '',
+    "productTitle" TEXT,
+    "minQuantity" INTEGER NOT NULL DEFAULT 1,
+    "locationIds" TEXT NOT NULL DEFAULT '[]',
+    "matchCompanyLocations" BOOLEAN NOT NULL DEFAULT false,
+    "companiesPerUnit" INTEGER NOT NULL DEFAULT 0,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "RestockRule_shop_productId_key" ON "RestockRule"("shop", "productId");
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "RestockRule" ADD COLUMN "quantityCoverage" INTEGER NOT NULL DEFAULT 100;
@@ -0,0 +1,32 @@
+-- AlterTable
+ALTER TABLE "Subscription" ADD COLUMN "reserveQuantity" INTEGER;
+
+-- AlterTable
+ALTER TABLE "Shop" ADD COLUMN "reserveOnRestock" BOOLEAN NOT NULL DEFAULT false;
+ALTER TABLE "Shop" ADD COLUMN "reservationHours" INTEGER NOT NULL DEFAULT 48;
+
+-- CreateTable
+CREATE TABLE "Reservation" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "shop" TEXT NOT NULL,
+    "subscriptionId" INTEGER NOT NULL,
+    "variantId" TEXT NOT NULL,
+    "companyId" TEXT NOT NULL,
+    "companyLocationId" TEXT NOT NULL,
+    "quantity" INTEGER NOT NULL,
+    "draftOrderId" TEXT NOT NULL,
+    "invoiceUrl" TEXT NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'active',
+    "expiresAt" DATETIME NOT NULL,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Reservation_subscriptionId_key" ON "Reservation"("subscriptionId");
+
+-- CreateIndex
+CREATE INDEX "Reservation_status_expiresAt_idx" ON "Reservation"("status", "expiresAt");
+
+-- CreateIndex
+CREATE INDEX "Reservation_shop_createdAt_idx" ON "Reservation"("shop", "createdAt");
@@ -0,0 +1,8 @@
+-- CreateTable
+CREATE TABLE "RequestNonce" (
+    "key" TEXT NOT NULL PRIMARY KEY,
+    "expiresAt" DATETIME NOT NULL
+);
+
+-- CreateIndex
+CREATE INDEX "RequestNonce_expiresAt_idx" ON "RequestNonce"("expiresAt");
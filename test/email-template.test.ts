@@ -0,0 +1,39 @@
+// test/email-template.test.ts
+import { describe, expect, it } from "vitest";
+import { renderTemplate } from "../app/email.server";
+
+/**
+ * Merchant-written templates must not reach the server's files through
+ * Liquid's partial tags.
+ */
+
+const fields = { product_title: "Sample product" };
+
+describe("renderTemplate", () => {
+  it("renders variables", async () => {
+    const { subject, html } = await renderTemplate(
+      { subject: "{{ product_title }} is back", body: "<p>{{ product_title }}</p>" },
+      fields,
+    );
+
+    expect(subject).toBe("Sample product is back");
+    expect(html).toBe("<p>Sample product</p>");
+  });
+
+  it.each([
+    '{% render "package.json" %}',
+    '{% include "package.json" %}',
+    '{% layout "package.json" %}',
+    '{% render "../.env" %}',
+  ])("refuses %s in the body", async (body) => {
+    await expect(renderTemplate({ subject: "Back in stock", body }, fields)).rejects.toThrow(
+      /Failed to lookup/,
+    );
+  });
+
+  it("refuses {% render %} in the subject", async () => {
+    await expect(
+      renderTemplate({ subject: '{% render "package.json" %}', body: "<p>Hi</p>" }, fields),
+    ).rejects.toThrow(/Failed to lookup/);
+  });
+});
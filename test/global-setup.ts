@@ -0,0 +1,48 @@
+// test/global-setup.ts
+import { execFileSync } from "child_process";
+import { mkdtempSync, rmSync } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+import type { TestProject } from "vitest/node";
+
+declare module "vitest" {
+  export interface ProvidedContext {
+    databaseUrl: string;
+  }
+}
+
+/**
+ * Build a throwaway SQLite database from prisma/schema.prisma for the run.
+ * Test files reach it through test/setup.js; dev.sqlite is never touched.
+ */
+export default function setup(project: TestProject) {
+  const dir = mkdtempSync(join(tmpdir(), "backinstock-test-"));
+  const databaseUrl = `file:${join(dir, "test.sqlite")}`;
+
+  const schemaSql = execFileSync(
+    "npx",
+    [
+      "--no-install",
+      "prisma",
+      "migrate",
+      "diff",
+      "--from-empty",
+      "--to-schema-datamodel",
+      "prisma/schema.prisma",
+      "--script",
+    ],
+    { encoding: "utf8" },
+  );
+  execFileSync(
+    "npx",
+    ["--no-install", "prisma", "db", "execute", "--stdin", "--url", databaseUrl],
+    {
+      input: schemaSql,
+      stdio: ["pipe", "inherit", "inherit"],
+    },
+  );
+
+  project.provide("databaseUrl", databaseUrl);
+
+  return () => rmSync(dir, { recursive: true, force: true });
+}
@@ -0,0 +1,174 @@
+// test/mock-admin-graphql.ts
+import { createHash } from "crypto";
+import { createServer } from "http";
+import type { AddressInfo } from "net";
+import type { GraphqlRunner } from "../app/subscriptions.server";
+
+/**
+ * Stand-in for the Admin GraphQL API, over real HTTP.
+ *
+ * Knows the two operations the notify_companies mirror uses, with Shopify's
+ * compare-and-set rules:
+ * - productVariant.metafield { compareDigest }
+ * - metafieldsSet: a compareDigest that doesn't match the stored value (null =
+ *   "must not exist yet") is rejected with a STALE_OBJECT user error
+ *
+ * Every response is delayed a few milliseconds so parallel callers interleave
+ * the way they do against the real API. Anything else answers with an error.
+ */
+
+type Metafield = { value: string; compareDigest: string };
+
+type MetafieldsSetInput = {
+  ownerId: string;
+  namespace: string;
+  key: string;
+  value: string;
+  compareDigest?: string | null;
+};
+
+export type MockAdminGraphql = Awaited<ReturnType<typeof startMockAdminGraphql>>;
+
+function digest(value: string) {
+  return createHash("sha256").update(value).digest("hex");
+}
+
+function sleep(ms: number) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+export async function startMockAdminGraphql({ latencyMs = 5 } = {}) {
+  const metafields = new Map<string, Metafield>();
+  const stats = { reads: 0, writes: 0, staleWrites: 0 };
+  let beforeNextWrite: (() => void) | null = null;
+
+  const metafieldKey = (ownerId: string, namespace: string, key: string) =>
+    `${ownerId}|${namespace}.${key}`;
+
+  function setMetafield(ownerId: string, namespace: string, key: string, value: string) {
+    metafields.set(metafieldKey(ownerId, namespace, key), { value, compareDigest: digest(value) });
+  }
+
+  function readDigest(query: string, variables: Record<string, any>) {
+    const [, namespace, key] = query.match(/namespace: "([^"]+)", key: "([^"]+)"/) ?? [];
+    const metafield = metafields.get(metafieldKey(variables.id, namespace, key));
+
+    stats.reads++;
+    return {
+      data: {
+        productVariant: {
+          metafield: metafield ? { compareDigest: metafield.compareDigest } : null,
+        },
+      },
+    };
+  }
+
+  function metafieldsSet(inputs: MetafieldsSetInput[]) {
+    // Lets a test change the value between a caller's read and its write
+    const hook = beforeNextWrite;
+    beforeNextWrite = null;
+    hook?.();
+
+    const userErrors: { field: string[]; message: string; code: string }[] = [];
+
+    inputs.forEach((input, index) => {
+      const current = metafields.get(metafieldKey(input.ownerId, input.namespace, input.key));
+      if (
+        input.compareDigest !== undefined &&
+        input.compareDigest !== (current?.compareDigest ?? null)
+      ) {
+        userErrors.push({
+          field: ["metafields", String(index)],
+          message: "The resource has been updated since it was loaded.",
+          code: "STALE_OBJECT",
+        });
+      }
+    });
+
+    if (userErrors.length > 0) {
+      stats.staleWrites++;
+      return { data: { metafieldsSet: { metafields: [], userErrors } } };
+    }
+
+    for (const input of inputs) {
+      setMetafield(input.ownerId, input.namespace, input.key, input.value);
+    }
+
+    stats.writes++;
+    return {
+      data: {
+        metafieldsSet: {
+          metafields: inputs.map((_, index) => ({ id: `gid://shopify/Metafield/${index + 1}` })),
+          userErrors: [],
+        },
+      },
+    };
+  }
+
+  const server = createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", async () => {
+      await sleep(Math.floor(Math.random() * latencyMs * 2));
+
+      let result: unknown;
+      try {
+        const { query, variables = {} } = JSON.parse(body);
+
+        if (query.includes("metafieldsSet(")) {
+          result = metafieldsSet(variables.metafields ?? []);
+        } else if (query.includes("productVariant(") && query.includes("compareDigest")) {
+          result = readDigest(query, variables);
+        } else {
+          result = { errors: [{ message: "Mock Admin GraphQL: unsupported operation" }] };
+        }
+      } catch (err) {
+        result = { errors: [{ message: `Mock Admin GraphQL: ${String(err)}` }] };
+      }
+
+      res.writeHead(200, { "Content-Type": "application/json" });
+      res.end(JSON.stringify(result));
+    });
+  });
+
+  await new Promise<void>((resolve) => server.listen(0, "127.0.0.1", resolve));
+  const url = `http://127.0.0.1:${(server.address() as AddressInfo).port}/graphql.json`;
+
+  const graphql: GraphqlRunner = async (query, variables) => {
+    const res = await fetch(url, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ query, variables }),
+    });
+    return res.json();
+  };
+
+  return {
+    url,
+    graphql,
+    stats,
+    setMetafield,
+
+    /** Parsed value of a json metafield, or undefined when it was never written. */
+    metafieldValue(ownerId: string, namespace: string, key: string) {
+      const metafield = metafields.get(metafieldKey(ownerId, namespace, key));
+      return metafield ? JSON.parse(metafield.value) : undefined;
+    },
+
+    interceptNextWrite(hook: () => void) {
+      beforeNextWrite = hook;
+    },
+
+    reset() {
+      metafields.clear();
+      Object.assign(stats, { reads: 0, writes: 0, staleWrites: 0 });
+      beforeNextWrite = null;
+    },
+
+    close() {
+      return new Promise<void>((resolve, reject) =>
+        server.close((err) => (err ? reject(err) : resolve())),
+      );
+    },
+  };
+}
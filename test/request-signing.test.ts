@@ -0,0 +1,116 @@
+// test/request-signing.test.ts
+import { createHmac, randomBytes } from "crypto";
+import { beforeEach, describe, expect, it } from "vitest";
+import prisma from "../app/db.server";
+import {
+  NONCE_HEADER,
+  SIGNATURE_HEADER,
+  TIMESTAMP_HEADER,
+  signRequest,
+  verifySignedRequest,
+} from "../app/request-signing.server";
+
+const SCOPE = "flow";
+const BODY = JSON.stringify({ shop_id: "59668267140", variant_id: "44000000001" });
+
+function signedRequest(headers: Record<string, string>, body = BODY) {
+  return new Request("https://app.example.com/api/backinstock/stock-restored", {
+    method: "POST",
+    headers: { "Content-Type": "application/json", ...headers },
+    body,
+  });
+}
+
+// Headers signed by hand, for timestamps signRequest wouldn't produce
+function headersAt(secret: string, timestampSeconds: number, body = BODY) {
+  const timestamp = String(timestampSeconds);
+  const nonce = randomBytes(16).toString("hex");
+  const signature = createHmac("sha256", secret)
+    .update(`${timestamp}.${nonce}.${body}`)
+    .digest("hex");
+
+  return { [TIMESTAMP_HEADER]: timestamp, [NONCE_HEADER]: nonce, [SIGNATURE_HEADER]: signature };
+}
+
+beforeEach(async () => {
+  await prisma.requestNonce.deleteMany({});
+});
+
+describe("verifySignedRequest", () => {
+  it("accepts a request signed with the current secret and returns its body", async () => {
+    const headers = signRequest(["current"], BODY);
+    const result = await verifySignedRequest(signedRequest(headers), SCOPE, ["current"]);
+
+    expect(result).toEqual({ ok: true, body: BODY });
+  });
+
+  it("accepts the old secret while a rotation lists both", async () => {
+    const headers = signRequest(["old"], BODY);
+    const result = await verifySignedRequest(signedRequest(headers), SCOPE, ["new", "old"]);
+
+    expect(result).toEqual({ ok: true, body: BODY });
+  });
+
+  it("rejects a bad signature", async () => {
+    const headers = signRequest(["someone-else"], BODY);
+    const result = await verifySignedRequest(signedRequest(headers), SCOPE, ["current"]);
+
+    expect(result).toMatchObject({ ok: false, status: 401, error: "Invalid signature" });
+  });
+
+  it("rejects a body changed after signing", async () => {
+    const headers = signRequest(["current"], BODY);
+    const result = await verifySignedRequest(
+      signedRequest(headers, BODY.replace("44000000001", "44000000002")),
+      SCOPE,
+      ["current"],
+    );
+
+    expect(result).toMatchObject({ ok: false, status: 401, error: "Invalid signature" });
+  });
+
+  it("rejects a timestamp outside the window, even when correctly signed", async () => {
+    const tenMinutesAgo = Math.floor(Date.now() / 1000) - 10 * 60;
+    const result = await verifySignedRequest(
+      signedRequest(headersAt("current", tenMinutesAgo)),
+      SCOPE,
+      ["current"],
+    );
+
+    expect(result).toMatchObject({
+      ok: false,
+      status: 401,
+      error: "Request timestamp outside the allowed window",
+    });
+  });
+
+  it("rejects a reused nonce", async () => {
+    const headers = signRequest(["current"], BODY);
+
+    const first = await verifySignedRequest(signedRequest(headers), SCOPE, ["current"]);
+    const replay = await verifySignedRequest(signedRequest(headers), SCOPE, ["current"]);
+
+    expect(first.ok).toBe(true);
+    expect(replay).toMatchObject({ ok: false, status: 401, error: "Request already received" });
+  });
+
+  it("does not use up a nonce on a request that fails the signature check", async () => {
+    const headers = signRequest(["current"], BODY);
+    const forged = { ...headers, [SIGNATURE_HEADER]: "00".repeat(32) };
+
+    await verifySignedRequest(signedRequest(forged), SCOPE, ["current"]);
+    const genuine = await verifySignedRequest(signedRequest(headers), SCOPE, ["current"]);
+
+    expect(genuine.ok).toBe(true);
+  });
+
+  it("refuses everything when no secret is configured", async () => {
+    const result = await verifySignedRequest(
+      signedRequest(signRequest(["current"], BODY)),
+      SCOPE,
+      [],
+    );
+
+    expect(result).toMatchObject({ ok: false, status: 500 });
+  });
+});
@@ -0,0 +1,11 @@
+// test/setup.js
+import { PrismaClient } from "@prisma/client";
+import { afterAll, inject } from "vitest";
+
+// app/db.server.js reuses this client outside production, so every module
+// (and every fresh import of one) talks to the test database
+global.prismaGlobal = new PrismaClient({ datasourceUrl: inject("databaseUrl") });
+
+afterAll(async () => {
+  await global.prismaGlobal.$disconnect();
+});
@@ -0,0 +1,118 @@
+// test/subscribe-concurrency.test.ts
+import { afterAll, beforeAll, beforeEach, describe, expect, it, vi } from "vitest";
+import prisma from "../app/db.server";
+import {
+  MIRROR_KEY,
+  MIRROR_NAMESPACE,
+  listPendingCompanyIds,
+  subscribeAndSyncMirror,
+} from "../app/subscriptions.server";
+import { startMockAdminGraphql, type MockAdminGraphql } from "./mock-admin-graphql";
+
+/**
+ * Parallel "Notify me" clicks on one variant must all end up both in the
+ * Subscription table and in the notify_companies mirror the storefront reads.
+ */
+
+const SHOP = "concurrency-test.myshopify.com";
+const VARIANT_ID = "44000000001";
+const OWNER_ID = `gid://shopify/ProductVariant/${VARIANT_ID}`;
+
+let admin: MockAdminGraphql;
+
+function companyIds(count: number) {
+  return Array.from({ length: count }, (_, i) => String(9000 + i));
+}
+
+function subscribeWith(subscribe: typeof subscribeAndSyncMirror, companyId: string) {
+  return subscribe(admin.graphql, {
+    shop: SHOP,
+    variantId: VARIANT_ID,
+    companyId,
+    contactId: `7${companyId}`,
+    customerId: `8${companyId}`,
+  });
+}
+
+function mirroredCompanies(): string[] {
+  return [...(admin.metafieldValue(OWNER_ID, MIRROR_NAMESPACE, MIRROR_KEY) ?? [])].sort();
+}
+
+beforeAll(async () => {
+  admin = await startMockAdminGraphql();
+});
+
+afterAll(async () => {
+  await admin.close();
+});
+
+beforeEach(async () => {
+  admin.reset();
+  await prisma.subscription.deleteMany({ where: { shop: SHOP } });
+  await prisma.mutationLock.deleteMany({});
+});
+
+describe("subscribeAndSyncMirror under concurrency", () => {
+  it("keeps every company when many buyers subscribe at once", async () => {
+    const expected = companyIds(25);
+
+    const results = await Promise.all(
+      expected.map((id) => subscribeWith(subscribeAndSyncMirror, id)),
+    );
+
+    expect(results.every((r) => r.created && r.userErrors.length === 0)).toBe(true);
+    expect((await listPendingCompanyIds(SHOP, VARIANT_ID)).sort()).toEqual(expected);
+    expect(mirroredCompanies()).toEqual(expected);
+  });
+
+  it("keeps every company across app instances sharing one database", async () => {
+    // Fresh module graphs = separate in-process queues, like two servers;
+    // only the MutationLock row keeps them apart
+    vi.resetModules();
+    const first = await import("../app/subscriptions.server");
+    vi.resetModules();
+    const second = await import("../app/subscriptions.server");
+    expect(first.subscribeAndSyncMirror).not.toBe(second.subscribeAndSyncMirror);
+
+    const expected = companyIds(20);
+
+    await Promise.all(
+      expected.map((id, i) =>
+        subscribeWith(
+          i % 2 === 0 ? first.subscribeAndSyncMirror : second.subscribeAndSyncMirror,
+          id,
+        ),
+      ),
+    );
+
+    expect((await listPendingCompanyIds(SHOP, VARIANT_ID)).sort()).toEqual(expected);
+    expect(mirroredCompanies()).toEqual(expected);
+    expect(await prisma.mutationLock.count()).toBe(0);
+  });
+
+  it("rereads and retries when the mirror changed between read and write", async () => {
+    await subscribeWith(subscribeAndSyncMirror, "9000");
+
+    // Another writer (say an older app version) overwrites the mirror mid-sync
+    admin.interceptNextWrite(() =>
+      admin.setMetafield(OWNER_ID, MIRROR_NAMESPACE, MIRROR_KEY, JSON.stringify(["1234"])),
+    );
+
+    const result = await subscribeWith(subscribeAndSyncMirror, "9001");
+
+    expect(admin.stats.staleWrites).toBe(1);
+    expect(result.userErrors).toEqual([]);
+    expect(mirroredCompanies()).toEqual(["9000", "9001"]);
+  });
+
+  it("does not duplicate a company that clicks twice at once", async () => {
+    const results = await Promise.all([
+      subscribeWith(subscribeAndSyncMirror, "9000"),
+      subscribeWith(subscribeAndSyncMirror, "9000"),
+    ]);
+
+    expect(results.filter((r) => r.created)).toHaveLength(1);
+    expect(await prisma.subscription.count({ where: { shop: SHOP } })).toBe(1);
+    expect(mirroredCompanies()).toEqual(["9000"]);
+  });
+});
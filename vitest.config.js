@@ -0,0 +1,13 @@
+import { defineConfig } from "vitest/config";
+
+// Kept apart from vite.config.js so tests don't load the Remix plugin
+export default defineConfig({
+  test: {
+    include: ["test/**/*.test.ts"],
+    globalSetup: ["test/global-setup.ts"],
+    setupFiles: ["test/setup.js"],
+    // Every file shares the one SQLite database built by the global setup
+    fileParallelism: false,
+    testTimeout: 30_000,
+  },
+});